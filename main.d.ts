@@ -0,0 +1,3518 @@
+// Type definitions for photoshelter-api-js
+
+/** Plain query parameters or request body fields */
+export type Params = { [key: string]: unknown };
+
+/** File contents, a stream or (Node.js) a file path */
+export type UploadContents =
+  | Blob
+  | ArrayBuffer
+  | Uint8Array
+  | ReadableStream
+  | string;
+
+/**
+ * A file to upload: its contents, a stream or (Node.js) a file path, or
+ * `{ file, filename, contentType }` to name contents that have no name.
+ * Streams are read into memory before sending; a file path is not.
+ */
+export type UploadSource =
+  | UploadContents
+  | {
+      file: UploadContents;
+      /** Sent as the file name, also used to guess the type (default "upload") */
+      filename?: string;
+      /** The MIME type, guessed from the file name when omitted */
+      contentType?: string;
+    };
+
+/** Retry settings, on the client or per request */
+export interface RetryOptions {
+  /** Retries after the first attempt (default 3) */
+  retries?: number;
+  /** Base backoff delay in ms (default 500) */
+  minDelay?: number;
+  /** Longest wait between attempts in ms (default 30000) */
+  maxDelay?: number;
+  /** Backoff multiplier (default 2) */
+  factor?: number;
+  /** Response statuses worth retrying */
+  statuses?: number[];
+  /** Methods retried by default (idempotent verbs) */
+  methods?: string[];
+  /** Also retry POST requests */
+  retryPost?: boolean;
+}
+
+/** Per-request options, accepted as the last argument of every namespace method */
+export interface RequestOptions {
+  /** Cancels the request */
+  signal?: AbortSignal;
+  /** Per-attempt timeout in ms, overriding the client's */
+  timeout?: number;
+  /** Extra request headers */
+  headers?: Record<string, string>;
+  /** Retry settings for this request, `false` to disable */
+  retry?: RetryOptions | boolean;
+  /** Queue lane: "interactive" (default) or "background" */
+  priority?: "interactive" | "background";
+  /** Related resources to include, e.g. "person" or ["media", "gallery"] */
+  include?: string | string[];
+  /**
+   * Flatten the JSON:API response, overriding the client's setting.
+   * The declared return types follow the client's setting.
+   */
+  normalize?: boolean;
+  /** `false` skips the argument checks for this call */
+  validate?: boolean;
+}
+
+/** Download progress, reported as bytes arrive */
+export interface DownloadProgress {
+  loaded: number;
+  total: number | null;
+  percent: number | null;
+}
+
+/** Request options of the streaming downloads */
+export interface DownloadOptions extends RequestOptions {
+  /** Called as bytes arrive */
+  onProgress?: (progress: DownloadProgress) => void;
+}
+
+/** An opened download */
+export interface DownloadStream {
+  stream: ReadableStream<Uint8Array>;
+  size: number | null;
+  contentType: string | null;
+  filename: string | null;
+}
+
+/**
+ * What a middleware sees of a request. The request fields can be changed
+ * before calling next(), the response once it resolves.
+ */
+export interface MiddlewareContext {
+  client: "v4" | "v3";
+  /** The API endpoint, e.g. "/media/123" */
+  readonly endpoint: string;
+  method: string;
+  /** The full URL, query parameters included */
+  url: URL;
+  headers: Record<string, string>;
+  /** The encoded request body */
+  body: string | FormData | undefined;
+  /** The request options of the call */
+  readonly options: RequestOptions & { [key: string]: unknown };
+  /** The response, set once next() resolves */
+  response?: Response;
+  /** Attempts the response took, retries included */
+  attempts?: number;
+  /** Shared between the middleware of one request */
+  state: { [key: string]: unknown };
+}
+
+/**
+ * A step around every request. Call `next()` to send the request (again,
+ * if called twice) and get its response; return a Response, or set
+ * `ctx.response`, to replace it. Failed statuses arrive as responses, only
+ * network failures and timeouts are thrown by `next()`.
+ */
+export type Middleware = (
+  ctx: MiddlewareContext,
+  next: () => Promise<Response>
+) => Promise<Response | void> | Response | void;
+
+/** Saves the session between runs, see createFileTokenStore() */
+export interface TokenStore {
+  /** Load the saved session */
+  get(): Promise<SessionData | null>;
+  /** Save the session */
+  set(data: SessionData): Promise<void>;
+  /** Forget the saved session */
+  clear(): Promise<void>;
+}
+
+/** Serializable session, from session.export() */
+export interface SessionData {
+  token: string | null;
+  org: { [key: string]: unknown } | null;
+  isTwoFactor: boolean | null;
+  loginTime: string | null;
+  oauth: OAuthTokens | null;
+}
+
+/** Tokens from the OAuth flow */
+export interface OAuthTokens {
+  accessToken: string;
+  refreshToken: string | null;
+  tokenType: string;
+  scope: string | null;
+  /** Epoch ms, null when the server gives no lifetime */
+  expiresAt: number | null;
+}
+
+/** Outcome of a login */
+export interface LoginResult {
+  status: "authenticated" | "two_factor_required";
+}
+
+/** A request scheduler from createScheduler() */
+export interface Scheduler {
+  schedule<T>(
+    task: () => Promise<T>,
+    options?: {
+      priority?: "interactive" | "background";
+      signal?: AbortSignal;
+    }
+  ): Promise<T>;
+  stats(): {
+    inFlight: number;
+    queued: number;
+    interactive: number;
+    background: number;
+  };
+}
+
+/** Client configuration of PhotoShelterV4API() */
+export interface ClientConfig {
+  /** API root, e.g. a staging or local mock server */
+  baseUrl?: string;
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** Per-attempt request timeout in ms */
+  timeout?: number;
+  /** Flatten JSON:API responses and resolve included relationships */
+  normalize?: boolean;
+  /** Check method arguments before sending requests (default true) */
+  validate?: boolean;
+  /** Retry settings, `false` to disable */
+  retry?: RetryOptions | boolean;
+  /** Throttling for every request made by the client */
+  rateLimit?: {
+    /** Maximum requests started per second */
+    requestsPerSecond?: number;
+    /** Maximum requests in flight at once */
+    maxConcurrent?: number;
+  };
+  /** A scheduler from createScheduler(), e.g. to share limits between clients */
+  scheduler?: Scheduler;
+  /** Saves the session after login and restores it on first use */
+  tokenStore?: TokenStore;
+  /** Supplies credentials for re-authentication */
+  credentials?: () => Promise<{
+    email: string;
+    password: string;
+    orgId?: string;
+  }>;
+  /** Log in again with `credentials` when there is no token or it is rejected with a 401, then replay the request */
+  reauthenticate?: boolean;
+  /** Supplies the two-factor code (e.g. from a TOTP secret) so login completes unattended */
+  twoFactorCodeProvider?: () => Promise<string | number>;
+  /** OAuth2 application settings, to act on behalf of PhotoShelter users */
+  oauth?: {
+    /** Client ID */
+    clientId: string;
+    /** Client secret (omit for public clients using PKCE only) */
+    clientSecret?: string;
+    /** Redirect URI registered for the application */
+    redirectUri?: string;
+    /** Default scope to request */
+    scope?: string;
+    /** Authorization page (defaults to `${baseUrl}/oauth/authorize`) */
+    authorizeUrl?: string;
+    /** Refresh this many ms before the access token expires (default 60000) */
+    refreshSkew?: number;
+  };
+  /** Record traffic to a file, or replay it without touching the network (Node.js only) */
+  cassette?: {
+    /** The cassette file (JSON) */
+    path: string;
+    /**
+     * "replay" (default, unmatched requests throw a CassetteError), "record",
+     * or "auto" to replay when the file exists and record otherwise
+     */
+    mode?: "replay" | "record" | "auto";
+    /** Bytes of each binary response body (download) to record, the rest is cut off (default 1 MiB) */
+    maxBinaryBody?: number;
+  };
+}
+
+// JSON:API documents
+
+export interface ResourceIdentifier {
+  id: string;
+  type: string;
+}
+
+export interface Relationship {
+  data?: ResourceIdentifier | ResourceIdentifier[] | null;
+  links?: Links;
+  meta?: Meta;
+}
+
+export type Links = { [name: string]: string | { href: string } | null };
+export type Meta = { [key: string]: unknown };
+
+/** A JSON:API resource object */
+export interface Resource<A extends object = { [key: string]: unknown }> {
+  id: string;
+  type: string;
+  attributes: A;
+  relationships?: { [name: string]: Relationship };
+  links?: Links;
+  meta?: Meta;
+}
+
+/** A JSON:API error object */
+export interface ErrorObject {
+  status?: string;
+  code?: string;
+  title?: string;
+  detail?: string;
+  source?: { pointer?: string; parameter?: string };
+  meta?: Meta;
+}
+
+/** A JSON:API response document */
+export interface Document<D = Resource | Resource[] | null> {
+  data: D;
+  included?: Resource[];
+  meta?: Meta;
+  links?: Links;
+  errors?: ErrorObject[];
+}
+
+/**
+ * A resource as returned by normalize(): attributes are merged in and
+ * relationships replaced with the included resources
+ */
+export type Normalized<R> = R extends Resource<infer A>
+  ? A & {
+      id: string;
+      type: string;
+      links?: Links;
+      meta?: Meta;
+      [key: string]: unknown;
+    }
+  : never;
+
+/** A document as returned by normalize() */
+export interface NormalizedDocument<D = unknown> {
+  data: D;
+  meta?: Meta;
+  links?: Links;
+}
+
+/** A resource, flattened when the client normalizes responses */
+export type Item<N extends boolean, R> = N extends true ? Normalized<R> : R;
+
+/** A response with one resource */
+export type SingleDocument<N extends boolean, R> = N extends true
+  ? NormalizedDocument<Normalized<R>>
+  : Document<R>;
+
+/** A response with a list of resources */
+export type ListDocument<N extends boolean, R> = N extends true
+  ? NormalizedDocument<Normalized<R>[]>
+  : Document<R[]>;
+
+/** Any response document */
+export type AnyDocument<N extends boolean> = N extends true
+  ? NormalizedDocument
+  : Document;
+
+// Resources. The API may add attributes, so unknown ones are allowed.
+
+export interface Timestamps {
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface MediaAttributes extends Timestamps {
+  file_name?: string;
+  file_size?: number;
+  mime_type?: string;
+  md5?: string;
+  width?: number;
+  height?: number;
+  captured_at?: string;
+  title?: string;
+  caption?: string;
+  keywords?: string[];
+  credit?: string;
+  copyright?: string;
+  [key: string]: unknown;
+}
+export interface Media extends Resource<MediaAttributes> {}
+
+export interface MediaVersionAttributes extends Timestamps {
+  file_name?: string;
+  file_size?: number;
+  is_active?: boolean;
+  [key: string]: unknown;
+}
+export interface MediaVersion extends Resource<MediaVersionAttributes> {}
+
+export interface GalleryAttributes extends Timestamps {
+  name?: string;
+  description?: string;
+  access?: string;
+  media_count?: number;
+  [key: string]: unknown;
+}
+export interface Gallery extends Resource<GalleryAttributes> {}
+
+export interface GalleryChildAttributes extends Timestamps {
+  media_id?: string;
+  position?: number;
+  [key: string]: unknown;
+}
+/** A media placed in a gallery, include "media" to get its details */
+export interface GalleryChild extends Resource<GalleryChildAttributes> {}
+
+export interface CollectionAttributes extends Timestamps {
+  name?: string;
+  description?: string;
+  access?: string;
+  [key: string]: unknown;
+}
+export interface Collection extends Resource<CollectionAttributes> {}
+
+export interface CollectionChildAttributes extends Timestamps {
+  name?: string;
+  /** "collection" or "gallery" */
+  type?: string;
+  [key: string]: unknown;
+}
+/** A collection or gallery inside a collection */
+export interface CollectionChild extends Resource<CollectionChildAttributes> {}
+
+/** A top-level collection or gallery */
+export type LibraryItem = Collection | Gallery;
+
+export interface PersonAttributes extends Timestamps {
+  name?: string;
+  description?: string;
+  [key: string]: unknown;
+}
+export interface Person extends Resource<PersonAttributes> {}
+
+export interface FaceAttributes extends Timestamps {
+  person_id?: string;
+  media_id?: string;
+  [key: string]: unknown;
+}
+export interface Face extends Resource<FaceAttributes> {}
+
+export interface MetadataFieldAttributes extends Timestamps {
+  name?: string;
+  description?: string;
+  field_type?: string;
+  [key: string]: unknown;
+}
+export interface MetadataField extends Resource<MetadataFieldAttributes> {}
+
+export interface MetadataSchemaAttributes extends Timestamps {
+  name?: string;
+  description?: string;
+  [key: string]: unknown;
+}
+export interface MetadataSchema extends Resource<MetadataSchemaAttributes> {}
+
+export interface MetadataValueAttributes extends Timestamps {
+  value?: unknown;
+  [key: string]: unknown;
+}
+export interface MetadataValue extends Resource<MetadataValueAttributes> {}
+
+// Queries
+
+/** A chainable query from createQuery() */
+export interface Query {
+  readonly target: "media" | "search" | "collections";
+  /** Match these words or phrases */
+  keywords(...words: Array<string | string[]>): Query;
+  /**
+   * Limit to a date range, either end may be omitted. Date-only strings
+   * are UTC days, and a date-only `to` covers that whole day.
+   */
+  dateRange(
+    field: "created_at" | "updated_at" | "captured_at",
+    from?: Date | string | number | null,
+    to?: Date | string | number | null
+  ): Query;
+  /** Only look inside these galleries */
+  inGalleries(...ids: Array<string | string[]>): Query;
+  /** Only return these kinds of files */
+  fileType(
+    ...types: Array<"image" | "video" | "audio" | "document" | Array<string>>
+  ): Query;
+  /** Sort the results, repeated calls add tie-breakers */
+  sort(field: string, direction?: "asc" | "desc"): Query;
+  /** Only return these attributes of a resource type (sparse fieldset) */
+  fields(type: string, ...names: Array<string | string[]>): Query;
+  /** Include related resources */
+  include(...relations: Array<string | string[]>): Query;
+  /** Items per page when iterating */
+  perPage(count: number): Query;
+  /** Serialize to query parameters */
+  toParams(): Params;
+}
+
+/** Query parameters, or a createQuery() builder */
+export type QueryInput<P = Params> = P | Query;
+
+// Namespaces
+
+/** Authentication Endpoints */
+export interface AuthenticateNamespace<N extends boolean = false> {
+  /**
+   * Authenticate user and get a token
+   * @param email - Email
+   * @param password - Password
+   * @param orgId - [Optional] Your organization ID
+   * @param options - Request options (signal, timeout, headers)
+   * @returns `{ status: "authenticated" }`, or
+   * `{ status: "two_factor_required" }` until authenticate.completeTwoFactor() is called
+   * @throws Throws an error if not ok status
+   */
+  login(
+    email: string,
+    password: string,
+    orgId?: string,
+    options?: RequestOptions
+  ): Promise<LoginResult>;
+  /**
+   * Finish a login that returned `{ status: "two_factor_required" }`
+   * @param code - The two-factor verification code; pass a string to keep leading zeros
+   * @param options - Request options (signal, timeout, headers)
+   * @returns `{ status: "authenticated" }`
+   * @throws Throws an error if there is no pending login or the code is rejected
+   */
+  completeTwoFactor(
+    code: string | number,
+    options?: RequestOptions
+  ): Promise<LoginResult>;
+  /**
+   * Invalidate the current token and clear the session
+   * @param options - Request options (signal, timeout, headers)
+   * @throws Throws an error if the server rejects the logout
+   */
+  logout(options?: RequestOptions): Promise<void>;
+}
+
+/** Collection Endpoints */
+export interface CollectionsNamespace<N extends boolean = false> {
+  /**
+   * Get all collections
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The collections information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Collection>>;
+  /**
+   * Iterate over all collections, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The collections
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Collection>, void, undefined>;
+  /**
+   * Get a specific collection by ID
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The collection information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Collection>>;
+  /**
+   * Search collections
+   * @param params - Search parameters, or a createQuery("collections") builder
+   * @param params.query - Search query
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The search results
+   */
+  search(
+    params: QueryInput<{
+      query: string;
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Collection>>;
+  /**
+   * Iterate over all collection search results, fetching pages as needed
+   * @param params - Query parameters, or a createQuery("collections") builder
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The collection search results
+   */
+  iterateSearch(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Collection>, void, undefined>;
+  /**
+   * Create a new collection
+   * @param params - Collection parameters
+   * @param params.name - Collection name
+   * @param params.description - Collection description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created collection information
+   */
+  create(
+    params: { name: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Collection>>;
+  /**
+   * Update an existing collection
+   * @param id - The ID of the collection
+   * @param params - Collection parameters
+   * @param params.name - Collection name
+   * @param params.description - Collection description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated collection information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Collection>>;
+  /**
+   * Delete a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get the children of a collection
+   * @param id - The ID of the collection
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The children information
+   */
+  getChildren(
+    id: string,
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, CollectionChild>>;
+  /**
+   * Iterate over all children of a collection, fetching pages as needed
+   * @param id - The ID of the collection
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The children of a collection
+   */
+  iterateChildren(
+    id: string,
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, CollectionChild>, void, undefined>;
+  /**
+   * Get the child count of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The child count information
+   */
+  getChildCount(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the key image of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The key image information
+   */
+  getKeyImage(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the link to a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The link information
+   */
+  getLink(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the access (visibility) of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The access information
+   */
+  getAccess(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get a specific child of a collection
+   * @param id - The ID of the collection
+   * @param childId - The ID of the child
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The child information
+   */
+  getChildById(
+    id: string,
+    childId: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, CollectionChild>>;
+  /**
+   * Get the access rights (permissions) of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The permissions information
+   */
+  getPermissions(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the parent of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The parent information
+   */
+  getParent(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Collection>>;
+  /**
+   * Get the breadcrumb path of a collection
+   * @param id - The ID of the collection
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The breadcrumb path information
+   */
+  getPath(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+}
+
+/** Contact Endpoints */
+export interface ContactsNamespace<N extends boolean = false> {
+  /**
+   * Search for contacts and contact groups
+   * @param params - Search parameters
+   * @param params.query - Search query
+   * @param params.email - Filter by email
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The search results
+   */
+  search(
+    params?: QueryInput<{
+      query?: string;
+      email?: string;
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all contact search results, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The contact search results
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific contact by ID
+   * @param id - The ID of the contact
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The contact information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+}
+
+/** Embed Token Endpoints */
+export interface EmbedTokensNamespace<N extends boolean = false> {
+  /**
+   * List all embed tokens
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The list of embed tokens
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all embed tokens, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The embed tokens
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Create an embed token
+   * @param data - Embed token data
+   * @param data.name - The name of the token
+   * @param data.description - The description of the token
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created embed token information
+   */
+  create(
+    data: { name: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Get a specific embed token by ID
+   * @param id - The ID of the embed token
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The embed token information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an embed token by ID
+   * @param id - The ID of the embed token
+   * @param data - Embed token data
+   * @param data.name - The name of the token
+   * @param data.description - The description of the token
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated embed token information
+   */
+  updateById(
+    id: string,
+    data: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete an embed token by ID
+   * @param id - The ID of the embed token
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Face Endpoints */
+export interface FacesNamespace<N extends boolean = false> {
+  /**
+   * Add a new face image to a person
+   * @param data - Face data
+   * @param data.file - Image file of the face (contents, stream or file path)
+   * @param data.person_id - The ID of the person
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created face information
+   */
+  add(
+    data: { file: UploadSource; person_id: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Face>>;
+  /**
+   * Get a specific face by ID
+   * @param id - The ID of the face
+   * @param params - Query parameters
+   * @param params.include - Include related resources of the primary resource
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The face information
+   */
+  getById(
+    id: string,
+    params?: { include?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Face>>;
+  /**
+   * Update a face by ID
+   * @param id - The ID of the face
+   * @param data - Face data
+   * @param data.person_id - The ID of the person
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated face information
+   */
+  updateById(
+    id: string,
+    data: { person_id: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Face>>;
+  /**
+   * Delete a face by ID
+   * @param id - The ID of the face
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Gallery Endpoints */
+export interface GalleriesNamespace<N extends boolean = false> {
+  /**
+   * Get all galleries
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The galleries information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Gallery>>;
+  /**
+   * Iterate over all galleries, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The galleries
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Gallery>, void, undefined>;
+  /**
+   * Get a specific gallery by ID
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The gallery information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Gallery>>;
+  /**
+   * Create a gallery
+   * @param data - The gallery data
+   * @param data.name - The name of the gallery
+   * @param data.description - The description of the gallery
+   * @param data.is_public - Whether the gallery is public
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created gallery information
+   */
+  create(
+    data: {
+      name: string;
+      description?: string;
+      is_public?: boolean;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Gallery>>;
+  /**
+   * Batch update galleries
+   * @param data - The gallery data
+   * @param data.gallery_ids - Array of gallery IDs to be updated
+   * @param data.updates - Updates to apply to the galleries
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated galleries information
+   */
+  batchUpdate(
+    data: { gallery_ids: string[]; updates?: Params; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update a gallery by ID
+   * @param id - The ID of the gallery
+   * @param data - The updated gallery data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  updateById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Gallery>>;
+  /**
+   * Delete a gallery by ID
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get the access (visibility) of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The access information
+   */
+  getAccessById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the child count of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The child count information
+   */
+  getChildCountById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get the children of a gallery
+   * @param id - The ID of the gallery
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The children information
+   */
+  getChildrenById(
+    id: string,
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, GalleryChild>>;
+  /**
+   * Iterate over all children of a gallery, fetching pages as needed
+   * @param id - The ID of the gallery
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The children of a gallery
+   */
+  iterateChildrenById(
+    id: string,
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, GalleryChild>, void, undefined>;
+  /**
+   * Add a child to a gallery
+   * @param id - The ID of the gallery
+   * @param data - The child data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  addChildById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Remove a child from a gallery
+   * @param id - The ID of the gallery
+   * @param childId - The ID of the child to be removed
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  removeChildById(
+    id: string,
+    childId: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get a specific child from a gallery
+   * @param id - The ID of the gallery
+   * @param childId - The ID of the child
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The child information
+   */
+  getChildById(
+    id: string,
+    childId: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, GalleryChild>>;
+  /**
+   * Update the media in a gallery
+   * @param id - The ID of the gallery
+   * @param data - The media data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  updateMedia(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get the cover of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The cover information
+   */
+  getCoverById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the key image of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The key image information
+   */
+  getKeyImageById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update the key image of a gallery
+   * @param id - The ID of the gallery
+   * @param data - The key image data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated key image information
+   */
+  updateKeyImageById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get the link of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The link information
+   */
+  getLinkById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get the parents of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The parents information
+   */
+  getParentsById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Collection>>;
+  /**
+   * Add a parent to a gallery
+   * @param id - The ID of the gallery
+   * @param data - The parent data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  addParentById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Remove a parent from a gallery
+   * @param id - The ID of the gallery
+   * @param parentId - The ID of the parent to be removed
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated gallery information
+   */
+  removeParentById(
+    id: string,
+    parentId: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get the breadcrumb path of a gallery
+   * @param id - The ID of the gallery
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The breadcrumb path information
+   */
+  getPathById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+}
+
+/** Integrations Endpoints */
+export interface IntegrationsNamespace<N extends boolean = false> {
+  /**
+   * List integration information
+   * @param options - Request options (signal, timeout, headers)
+   * @returns List of integration information
+   */
+  list(options?: RequestOptions): Promise<AnyDocument<N>>;
+}
+
+/** Library Endpoints */
+export interface LibraryNamespace<N extends boolean = false> {
+  /**
+   * Retrieve library listing
+   * @param params - Query parameters
+   * @param params.is_listed - Filter by listed or unlisted
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The library listing
+   */
+  getAll(
+    params?: QueryInput<{
+      is_listed?: boolean;
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, LibraryItem>>;
+  /**
+   * Iterate over the whole library listing, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The library listing
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, LibraryItem>, void, undefined>;
+}
+
+/** Media Endpoints */
+export interface MediaNamespace<N extends boolean = false> {
+  /**
+   * Retrieve a list of media
+   * @param params - Query parameters, or a createQuery("media") builder
+   * @param params.query - Search query
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The media information
+   */
+  getAll(
+    params?: QueryInput<{
+      query?: string;
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Media>>;
+  /**
+   * Iterate over all media, fetching pages as needed
+   * @param params - Query parameters, or a createQuery("media") builder
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The media
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Media>, void, undefined>;
+  /**
+   * Create a new media
+   * @param data - Media data
+   * @param data.file - Media file (contents, stream or file path)
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created media information
+   */
+  create(
+    data: { file: UploadSource; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Media>>;
+  /**
+   * Batch update media
+   * @param data - Media data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated media information
+   */
+  batchUpdate(data: Params, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Batch download media
+   * @param params - Download parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The download response
+   */
+  batchDownload(
+    params: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Batch get a set of media download options
+   * @param params - Download options parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The download options response
+   */
+  getBatchDownloadOptions(
+    params: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Batch update media metadata (Video only)
+   * @param data - Metadata data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated metadata information
+   */
+  batchUpdateMetadata(
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get a specific media by ID
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The media information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Media>>;
+  /**
+   * Update a media by ID
+   * @param id - The ID of the media
+   * @param data - Media data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated media information
+   */
+  updateById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Media>>;
+  /**
+   * Delete a media by ID
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get custom metadata of a media (Image only)
+   * @param id - The ID of the image
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The custom metadata information
+   */
+  getCustomMetadataById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Download media
+   * @param id - The ID of the media
+   * @param params - Download parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The download response
+   */
+  downloadById(
+    id: string,
+    params?: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Download and transform media
+   * @param id - The ID of the media
+   * @param params - Transform parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The download response
+   */
+  downloadTransformById(
+    id: string,
+    params?: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Stream a media download without buffering it in memory.
+   * Redirects to a CDN are followed without sending auth headers.
+   * @param id - The ID of the media
+   * @param params - Download parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @param options.onProgress - Called with `{ loaded, total, percent }` as bytes arrive
+   * @returns The body stream and file details
+   */
+  streamById(
+    id: string,
+    params?: Params,
+    options?: DownloadOptions
+  ): Promise<DownloadStream>;
+  /**
+   * Stream a transformed media download without buffering it in memory
+   * @param id - The ID of the media
+   * @param params - Transform parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @param options.onProgress - Called with `{ loaded, total, percent }` as bytes arrive
+   * @returns The body stream and file details
+   */
+  streamTransformById(
+    id: string,
+    params?: Params,
+    options?: DownloadOptions
+  ): Promise<DownloadStream>;
+  /**
+   * Download media straight to a file (Node.js only)
+   * @param id - The ID of the media
+   * @param path - The destination file
+   * @param download - Download settings
+   * @param download.params - Download or transform parameters
+   * @param download.transform - Use the transform endpoint
+   * @param download.resume - Continue a partial file with a Range request
+   * @param download.validator - The `validator` of the earlier, partial download: the file restarts if it changed since
+   * @param download.onProgress - Called with `{ loaded, total, percent }` as bytes arrive
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The written file, and its ETag or Last-Modified date
+   * @throws When the download fails; an error while writing carries the `validator` of the partial file
+   */
+  downloadToFileById(
+    id: string,
+    path: string,
+    download?: {
+      params?: Params;
+      transform?: boolean;
+      resume?: boolean;
+      validator?: string | null;
+      onProgress?: (progress: DownloadProgress) => void;
+    },
+    options?: RequestOptions
+  ): Promise<{
+    path: string;
+    size: number | null;
+    resumed: boolean;
+    validator: string | null;
+  }>;
+  /**
+   * Get galleries for a media
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The galleries information
+   */
+  getGalleriesById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Gallery>>;
+  /**
+   * Get EXIF data of a media
+   * @param id - The ID of the image
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The EXIF data
+   */
+  getExifById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get IPTC data of a media
+   * @param id - The ID of the image
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The IPTC data
+   */
+  getIptcById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Update IPTC data of a media
+   * @param id - The ID of the image
+   * @param data - IPTC data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated IPTC data
+   */
+  updateIptcById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get link of a media
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The link information
+   */
+  getLinkById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Get metadata of a media
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata information
+   */
+  getMetadataById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update metadata of a media
+   * @param id - The ID of the media
+   * @param data - Metadata data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated metadata information
+   */
+  updateMetadataById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get machine learning metadata of a media
+   * @param id - The ID of the media
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The machine learning metadata information
+   */
+  getMlMetadataById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update machine learning metadata of a media
+   * @param id - The ID of the media
+   * @param data - Machine learning metadata data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated machine learning metadata information
+   */
+  updateMlMetadataById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get XMP data of a media
+   * @param id - The ID of the image
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The XMP data
+   */
+  getXmpById(id: string, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Update XMP data of a media
+   * @param id - The ID of the image
+   * @param data - XMP data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated XMP data
+   */
+  updateXmpById(
+    id: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Upload a subtitle/caption
+   * @param id - The ID of the video
+   * @param data - Subtitle data
+   * @param data.file - Subtitle file (contents, stream or file path)
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The upload response
+   */
+  uploadSubtitleById(
+    id: string,
+    data: { file: UploadSource; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update a subtitle/caption
+   * @param id - The ID of the video
+   * @param subtitleId - The ID of the subtitle
+   * @param data - Subtitle data
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated subtitle information
+   */
+  updateSubtitleById(
+    id: string,
+    subtitleId: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+}
+
+/** Media Versions Endpoints */
+export interface MediaVersionsNamespace<N extends boolean = false> {
+  /**
+   * Get all versions for a given media ID
+   * @param mediaId - The ID of the media
+   * @param params - Query parameters
+   * @param params.include - Include additional information
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The list of media versions
+   */
+  getAll(
+    mediaId: string,
+    params?: QueryInput<{ include?: string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, MediaVersion>>;
+  /**
+   * Iterate over all versions of a media, fetching pages as needed
+   * @param mediaId - The ID of the media
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The versions of a media
+   */
+  iterate(
+    mediaId: string,
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, MediaVersion>, void, undefined>;
+  /**
+   * Create a new version for a given media ID
+   * @param mediaId - The ID of the media
+   * @param data - Media version parameters
+   * @param data.version_label - Label for the new version
+   * @param data.note - Note for the new version
+   * @param data.file - Version file (contents, stream or file path)
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created media version information
+   */
+  create(
+    mediaId: string,
+    data: {
+      version_label: string;
+      note?: string;
+      file?: UploadSource;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MediaVersion>>;
+  /**
+   * Update a specific media version by ID
+   * @param mediaId - The ID of the media
+   * @param versionId - The ID of the media version
+   * @param data - Media version parameters
+   * @param data.version_label - Label for the version
+   * @param data.note - Note for the version
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated media version information
+   */
+  update(
+    mediaId: string,
+    versionId: string,
+    data: { version_label?: string; note?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MediaVersion>>;
+  /**
+   * Delete a specific media version by ID
+   * @param mediaId - The ID of the media
+   * @param versionId - The ID of the media version
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    mediaId: string,
+    versionId: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Update media version details by ID
+   * @param mediaId - The ID of the media
+   * @param versionId - The ID of the media version
+   * @param data - Media version parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated media version information
+   */
+  updateDetails(
+    mediaId: string,
+    versionId: string,
+    data: Params,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MediaVersion>>;
+  /**
+   * Activate a media version by ID
+   * @param mediaId - The ID of the media
+   * @param versionId - The ID of the media version
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The activation response
+   */
+  activate(
+    mediaId: string,
+    versionId: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MediaVersion>>;
+}
+
+/** Machine Learning Metadata Endpoints */
+export interface MlMetadataNamespace<N extends boolean = false> {
+  /**
+   * Get all machine learning metadata
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The machine learning metadata information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all machine learning metadata, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The machine learning metadata
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific machine learning metadata by ID
+   * @param id - The ID of the machine learning metadata
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The machine learning metadata information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new machine learning metadata
+   * @param params - Machine learning metadata parameters
+   * @param params.name - Machine learning metadata name
+   * @param params.description - Machine learning metadata description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created machine learning metadata information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing machine learning metadata
+   * @param id - The ID of the machine learning metadata
+   * @param params - Machine learning metadata parameters
+   * @param params.name - Machine learning metadata name
+   * @param params.description - Machine learning metadata description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated machine learning metadata information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a machine learning metadata
+   * @param id - The ID of the machine learning metadata
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Metadata Endpoints */
+export interface MetadataNamespace<N extends boolean = false> {
+  /**
+   * Get all metadata fields
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata information
+   */
+  getAllFields(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, MetadataField>>;
+  /**
+   * Iterate over all metadata fields, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata fields
+   */
+  iterateFields(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, MetadataField>, void, undefined>;
+  /**
+   * Get a specific metadata field by ID
+   * @param id - The ID of the metadata field
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata field information
+   */
+  getFieldById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataField>>;
+  /**
+   * Create a new metadata field
+   * @param params - Metadata field parameters
+   * @param params.name - Metadata field name
+   * @param params.description - Metadata field description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created metadata field information
+   */
+  createField(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataField>>;
+  /**
+   * Update an existing metadata field
+   * @param id - The ID of the metadata field
+   * @param params - Metadata field parameters
+   * @param params.name - Metadata field name
+   * @param params.description - Metadata field description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated metadata field information
+   */
+  updateField(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataField>>;
+  /**
+   * Delete a metadata field
+   * @param id - The ID of the metadata field
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteField(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get all metadata schemas
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata schemas information
+   */
+  getAllSchemas(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, MetadataSchema>>;
+  /**
+   * Iterate over all metadata schemas, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata schemas
+   */
+  iterateSchemas(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, MetadataSchema>, void, undefined>;
+  /**
+   * Get a specific metadata schema by ID
+   * @param id - The ID of the metadata schema
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata schema information
+   */
+  getSchemaById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataSchema>>;
+  /**
+   * Create a new metadata schema
+   * @param params - Metadata schema parameters
+   * @param params.name - Metadata schema name
+   * @param params.description - Metadata schema description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created metadata schema information
+   */
+  createSchema(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataSchema>>;
+  /**
+   * Update an existing metadata schema
+   * @param id - The ID of the metadata schema
+   * @param params - Metadata schema parameters
+   * @param params.name - Metadata schema name
+   * @param params.description - Metadata schema description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated metadata schema information
+   */
+  updateSchema(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataSchema>>;
+  /**
+   * Delete a metadata schema
+   * @param id - The ID of the metadata schema
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteSchema(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+  /**
+   * Get all metadata values
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata values information
+   */
+  getAllValues(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, MetadataValue>>;
+  /**
+   * Iterate over all metadata values, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata values
+   */
+  iterateValues(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, MetadataValue>, void, undefined>;
+  /**
+   * Get a specific metadata value by ID
+   * @param id - The ID of the metadata value
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The metadata value information
+   */
+  getValueById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataValue>>;
+  /**
+   * Create a new metadata value
+   * @param params - Metadata value parameters
+   * @param params.field_id - ID of the associated metadata field
+   * @param params.value - Metadata value
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created metadata value information
+   */
+  createValue(
+    params: { field_id: string; value: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataValue>>;
+  /**
+   * Update an existing metadata value
+   * @param id - The ID of the metadata value
+   * @param params - Metadata value parameters
+   * @param params.field_id - ID of the associated metadata field
+   * @param params.value - Metadata value
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated metadata value information
+   */
+  updateValue(
+    id: string,
+    params: { field_id?: string; value?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, MetadataValue>>;
+  /**
+   * Delete a metadata value
+   * @param id - The ID of the metadata value
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  deleteValue(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** OAuth Endpoints */
+export interface OauthNamespace<N extends boolean = false> {
+  /**
+   * Build the authorization page URL for the authorization-code flow with PKCE.
+   * Keep the returned `state` and `codeVerifier` for exchangeCode().
+   * @param params - Authorization parameters
+   * @param params.scope - Scope, defaults to `config.oauth.scope`
+   * @param params.redirectUri - Redirect URI, defaults to `config.oauth.redirectUri`
+   * @param params.state - State value, generated if omitted
+   * @returns The URL to send the user to
+   */
+  getAuthorizeUrl(params?: {
+    scope?: string;
+    redirectUri?: string;
+    state?: string;
+  }): Promise<{ url: string; state: string; codeVerifier: string }>;
+  /**
+   * Exchange an authorization code for tokens and authenticate the client with them
+   * @param params - Exchange parameters
+   * @param params.code - Authorization code from the redirect
+   * @param params.codeVerifier - Verifier returned by getAuthorizeUrl()
+   * @param params.state - State received on the redirect
+   * @param params.expectedState - State returned by getAuthorizeUrl(), checked against `state`; required with `state`
+   * @param params.redirectUri - Redirect URI, defaults to `config.oauth.redirectUri`
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The OAuth tokens
+   * @throws Throws an error if the state does not match, or cannot be checked
+   */
+  exchangeCode(
+    params: {
+      code: string;
+      codeVerifier: string;
+      state?: string;
+      expectedState?: string;
+      redirectUri?: string;
+    },
+    options?: RequestOptions
+  ): Promise<OAuthTokens>;
+  /**
+   * Get a new access token with the refresh token
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The OAuth tokens
+   * @throws Throws an error if there is no refresh token
+   */
+  refresh(options?: RequestOptions): Promise<OAuthTokens>;
+  /**
+   * Authorize OAuth
+   * @param params - OAuth parameters
+   * @param params.client_id - Client ID
+   * @param params.redirect_uri - Redirect URI
+   * @param params.response_type - Response type
+   * @param params.scope - Scope
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The authorization response
+   */
+  authorize(
+    params: {
+      client_id: string;
+      redirect_uri: string;
+      response_type: string;
+      scope: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Get OAuth token. The client ID and secret default to `config.oauth`.
+   * @param params - OAuth parameters
+   * @param params.client_id - Client ID
+   * @param params.client_secret - Client secret
+   * @param params.code - Authorization code
+   * @param params.code_verifier - PKCE code verifier
+   * @param params.refresh_token - Refresh token
+   * @param params.redirect_uri - Redirect URI
+   * @param params.grant_type - Grant type
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The token response
+   */
+  token(
+    params: {
+      client_id?: string;
+      client_secret?: string;
+      code?: string;
+      code_verifier?: string;
+      refresh_token?: string;
+      redirect_uri?: string;
+      grant_type: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+}
+
+/** Organization Endpoints */
+export interface OrganizationNamespace<N extends boolean = false> {
+  /**
+   * Get all organizations
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The organizations information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all organizations, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The organizations
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific organization by ID
+   * @param id - The ID of the organization
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The organization information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new organization
+   * @param params - Organization parameters
+   * @param params.name - Organization name
+   * @param params.description - Organization description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created organization information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing organization
+   * @param id - The ID of the organization
+   * @param params - Organization parameters
+   * @param params.name - Organization name
+   * @param params.description - Organization description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated organization information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete an organization
+   * @param id - The ID of the organization
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** People Endpoints */
+export interface PeopleNamespace<N extends boolean = false> {
+  /**
+   * Get all people
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The people information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Person>>;
+  /**
+   * Iterate over all people, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The people
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Person>, void, undefined>;
+  /**
+   * Get a specific person by ID
+   * @param id - The ID of the person
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The person information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Person>>;
+  /**
+   * Create a new person
+   * @param params - Person parameters
+   * @param params.name - Person name
+   * @param params.description - Person description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created person information
+   */
+  create(
+    params: { name: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Person>>;
+  /**
+   * Update an existing person
+   * @param id - The ID of the person
+   * @param params - Person parameters
+   * @param params.name - Person name
+   * @param params.description - Person description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated person information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Person>>;
+  /**
+   * Delete a person
+   * @param id - The ID of the person
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Portal Endpoints */
+export interface PortalNamespace<N extends boolean = false> {
+  /**
+   * Get all portal items
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The portal items information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all portal items, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The portal items
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific portal item by ID
+   * @param id - The ID of the portal item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The portal item information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new portal item
+   * @param params - Portal item parameters
+   * @param params.name - Portal item name
+   * @param params.description - Portal item description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created portal item information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing portal item
+   * @param id - The ID of the portal item
+   * @param params - Portal item parameters
+   * @param params.name - Portal item name
+   * @param params.description - Portal item description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated portal item information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a portal item
+   * @param id - The ID of the portal item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Permissions Endpoints */
+export interface PermissionsNamespace<N extends boolean = false> {
+  /**
+   * Get all permissions
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The permissions information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all permissions, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The permissions
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific permission by ID
+   * @param id - The ID of the permission
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The permission information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new permission
+   * @param params - Permission parameters
+   * @param params.name - Permission name
+   * @param params.description - Permission description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created permission information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing permission
+   * @param id - The ID of the permission
+   * @param params - Permission parameters
+   * @param params.name - Permission name
+   * @param params.description - Permission description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated permission information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a permission
+   * @param id - The ID of the permission
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Resource Tickets Endpoints */
+export interface ResourceTicketsNamespace<N extends boolean = false> {
+  /**
+   * Get all resource tickets
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The resource tickets information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all resource tickets, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The resource tickets
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific resource ticket by ID
+   * @param id - The ID of the resource ticket
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The resource ticket information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new resource ticket
+   * @param params - Resource ticket parameters
+   * @param params.name - Resource ticket name
+   * @param params.description - Resource ticket description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created resource ticket information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing resource ticket
+   * @param id - The ID of the resource ticket
+   * @param params - Resource ticket parameters
+   * @param params.name - Resource ticket name
+   * @param params.description - Resource ticket description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated resource ticket information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a resource ticket
+   * @param id - The ID of the resource ticket
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Search Endpoints */
+export interface SearchNamespace<N extends boolean = false> {
+  /**
+   * Search all items
+   * @param params - Search parameters, or a createQuery("search") builder
+   * @param params.query - Search query
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The search results
+   */
+  searchAll(
+    params: QueryInput<{
+      query: string;
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Media>>;
+  /**
+   * Iterate over all search results, fetching pages as needed
+   * @param params - Query parameters, or a createQuery("search") builder
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The search results
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Media>, void, undefined>;
+}
+
+/** Settings Endpoints */
+export interface SettingsNamespace<N extends boolean = false> {
+  /**
+   * Get all settings
+   * @param params - Query parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The settings information
+   */
+  getAll(
+    params?: QueryInput<Params>,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+  /**
+   * Update settings
+   * @param params - Settings parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated settings information
+   */
+  update(params: Params, options?: RequestOptions): Promise<AnyDocument<N>>;
+}
+
+/** Squirrel Endpoints */
+export interface SquirrelNamespace<N extends boolean = false> {
+  /**
+   * Get all squirrel items
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The squirrel items information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all squirrel items, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The squirrel items
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific squirrel item by ID
+   * @param id - The ID of the squirrel item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The squirrel item information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new squirrel item
+   * @param params - Squirrel item parameters
+   * @param params.name - Squirrel item name
+   * @param params.description - Squirrel item description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created squirrel item information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing squirrel item
+   * @param id - The ID of the squirrel item
+   * @param params - Squirrel item parameters
+   * @param params.name - Squirrel item name
+   * @param params.description - Squirrel item description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated squirrel item information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a squirrel item
+   * @param id - The ID of the squirrel item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Trash Endpoints */
+export interface TrashNamespace<N extends boolean = false> {
+  /**
+   * Get all trash items
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The trash items information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all trash items, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The trash items
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific trash item by ID
+   * @param id - The ID of the trash item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The trash item information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Restore a trash item
+   * @param id - The ID of the trash item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The restore response
+   */
+  restore(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a trash item
+   * @param id - The ID of the trash item
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Two-Factor Endpoints */
+export interface TwoFactorNamespace<N extends boolean = false> {
+  /**
+   * Enable two-factor authentication
+   * @param params - Two-factor parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The enable response
+   */
+  enable(params: Params, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Disable two-factor authentication
+   * @param params - Two-factor parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The disable response
+   */
+  disable(params: Params, options?: RequestOptions): Promise<AnyDocument<N>>;
+  /**
+   * Verify two-factor authentication
+   * @param params - Two-factor parameters
+   * @param params.code - Verification code
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The verify response
+   */
+  verify(
+    params: { code: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+}
+
+/** User Endpoints */
+export interface UserNamespace<N extends boolean = false> {
+  /**
+   * Get all user information
+   * @param params - Query parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The user information
+   */
+  getAll(
+    params?: QueryInput<Params>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Get a specific user by ID
+   * @param id - The ID of the user
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The user information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new user
+   * @param params - User parameters
+   * @param params.name - User name
+   * @param params.email - User email
+   * @param params.password - User password
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created user information
+   */
+  create(
+    params: {
+      name: string;
+      email: string;
+      password?: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing user
+   * @param id - The ID of the user
+   * @param params - User parameters
+   * @param params.name - User name
+   * @param params.email - User email
+   * @param params.password - User password
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated user information
+   */
+  update(
+    id: string,
+    params: {
+      name?: string;
+      email?: string;
+      password?: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a user
+   * @param id - The ID of the user
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Users Endpoints */
+export interface UsersNamespace<N extends boolean = false> {
+  /**
+   * Get all users
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The users information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all users, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The users
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific user by ID
+   * @param id - The ID of the user
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The user information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new user
+   * @param params - User parameters
+   * @param params.name - User name
+   * @param params.email - User email
+   * @param params.password - User password
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created user information
+   */
+  create(
+    params: {
+      name: string;
+      email: string;
+      password?: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing user
+   * @param id - The ID of the user
+   * @param params - User parameters
+   * @param params.name - User name
+   * @param params.email - User email
+   * @param params.password - User password
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated user information
+   */
+  update(
+    id: string,
+    params: {
+      name?: string;
+      email?: string;
+      password?: string;
+      [key: string]: unknown;
+    },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a user
+   * @param id - The ID of the user
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Version Endpoints */
+export interface VersionNamespace<N extends boolean = false> {
+  /**
+   * Get all version information
+   * @param params - Query parameters
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The version information
+   */
+  getAll(
+    params?: QueryInput<Params>,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N>>;
+}
+
+/** Workspaces Endpoints */
+export interface WorkspacesNamespace<N extends boolean = false> {
+  /**
+   * Get all workspaces
+   * @param params - Query parameters
+   * @param params.page - Page number
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The workspaces information
+   */
+  getAll(
+    params?: QueryInput<{
+      page?: number | string;
+      per_page?: number | string;
+      [key: string]: unknown;
+    }>,
+    options?: RequestOptions
+  ): Promise<ListDocument<N, Resource>>;
+  /**
+   * Iterate over all workspaces, fetching pages as needed
+   * @param params - Query parameters
+   * @param params.per_page - Number of items per page
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The workspaces
+   */
+  iterate(
+    params?: QueryInput<{ per_page?: number | string; [key: string]: unknown }>,
+    options?: RequestOptions
+  ): AsyncGenerator<Item<N, Resource>, void, undefined>;
+  /**
+   * Get a specific workspace by ID
+   * @param id - The ID of the workspace
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The workspace information
+   */
+  getById(
+    id: string,
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Create a new workspace
+   * @param params - Workspace parameters
+   * @param params.name - Workspace name
+   * @param params.description - Workspace description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The created workspace information
+   */
+  create(
+    params: { name: string; description: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Update an existing workspace
+   * @param id - The ID of the workspace
+   * @param params - Workspace parameters
+   * @param params.name - Workspace name
+   * @param params.description - Workspace description
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The updated workspace information
+   */
+  update(
+    id: string,
+    params: { name?: string; description?: string; [key: string]: unknown },
+    options?: RequestOptions
+  ): Promise<SingleDocument<N, Resource>>;
+  /**
+   * Delete a workspace
+   * @param id - The ID of the workspace
+   * @param options - Request options (signal, timeout, headers)
+   * @returns The delete response
+   */
+  delete(
+    id: string,
+    options?: RequestOptions
+  ): Promise<AnyDocument<N> | ArrayBuffer>;
+}
+
+/** Session change events */
+export type SessionEvent =
+  | "login"
+  | "logout"
+  | "tokenExpired"
+  | "tokenRefreshed"
+  | "twoFactorRequired";
+
+/** Live view of the authentication state */
+export interface Session {
+  /** The auth token, null when logged out */
+  readonly token: string | null;
+  /** The organization from the login response */
+  readonly org: { [key: string]: unknown } | null;
+  /** Whether the account uses two-factor authentication */
+  readonly isTwoFactor: boolean | null;
+  /** When the current session was started */
+  readonly loginTime: Date | null;
+  /** Whether a token is available */
+  readonly isAuthenticated: boolean;
+  /** The OAuth access token, null without OAuth */
+  readonly accessToken: string | null;
+  /** When the OAuth access token expires */
+  readonly accessTokenExpiresAt: Date | null;
+  /** Whether a login is waiting for completeTwoFactor() */
+  readonly isTwoFactorPending: boolean;
+  /** Snapshot the session so another process can restore it */
+  export(): SessionData | null;
+  /**
+   * Resume a session exported earlier, skipping login
+   * @returns Whether a session was restored
+   */
+  restore(data: SessionData | null): Promise<boolean>;
+  /**
+   * Listen for session changes
+   * @returns Removes the listener
+   */
+  on(event: SessionEvent, listener: (details: Params) => void): () => void;
+  /**
+   * Listen for the next occurrence of a session change
+   * @returns Removes the listener
+   */
+  once(event: SessionEvent, listener: (details: Params) => void): () => void;
+  /** Stop listening for session changes */
+  off(event: SessionEvent, listener: (details: Params) => void): void;
+}
+
+// Library helpers
+
+/** A collection, gallery or media reached by walk() */
+export interface WalkNode {
+  id: string;
+  type: "collection" | "gallery" | "media";
+  /** The name (file name for media) */
+  name: string | null;
+  /** Breadcrumb of names from the root down to this node */
+  path: Array<string | null>;
+  /** The nodes above this one, root first */
+  ancestors: Array<{
+    id: string;
+    type: "collection" | "gallery" | "media";
+    name: string | null;
+  }>;
+  /** Levels below the root (the root itself is 0) */
+  depth: number;
+  /** The resource as returned by the API; for media, the normalized gallery child with its `media` included */
+  item: { [key: string]: unknown };
+}
+
+export interface WalkSettings {
+  /** Maximum levels below the root (default unlimited) */
+  depth?: number;
+  /** Types to yield (default collections and galleries) */
+  types?: Array<"collection" | "gallery" | "media">;
+  /** Detected when omitted */
+  rootType?: "collection" | "gallery";
+  /** Return true to skip a node and everything below it */
+  prune?: (node: WalkNode) => boolean | Promise<boolean>;
+  /** Return false to yield a node without visiting its children */
+  descend?: (node: WalkNode) => boolean | Promise<boolean>;
+  /** Called when a gallery or collection already visited is reached through another parent */
+  onRevisit?: (node: WalkNode) => void | Promise<void>;
+}
+
+export interface InventorySettings {
+  /** "csv" (default), "json" or "ndjson" */
+  format?: "csv" | "json" | "ndjson";
+  /** Columns to include, any attribute name works too (default INVENTORY_COLUMNS) */
+  columns?: string[];
+  /** Row types (default all) */
+  types?: Array<"collection" | "gallery" | "media">;
+  /** List gallery contents to fill in media paths, keeping every media ID in memory (default true up to 100,000 media) */
+  placements?: boolean;
+}
+
+export interface DownloadTreeSettings {
+  /** Detected when omitted */
+  type?: "collection" | "gallery";
+  /** Downloads in flight at once (default 4) */
+  concurrency?: number;
+  /** Download parameters for every media */
+  params?: Params;
+  /** Manifest file name inside the destination folder */
+  manifest?: string;
+  /** Called after each file */
+  onProgress?: (progress: {
+    completed: number;
+    total: number;
+    path: string;
+    status: "downloaded" | "skipped" | "failed";
+  }) => void;
+}
+
+export interface DownloadTreeReport {
+  root: { id: string; type: "collection" | "gallery" };
+  /** Path of the manifest file */
+  manifest: string;
+  /** Relative paths downloaded this run */
+  downloaded: string[];
+  /** Relative paths already up to date */
+  skipped: string[];
+  failed: Array<{ path: string; id: string; error: Error }>;
+}
+
+export interface BatchDownloadSettings {
+  /** The destination file for the archive */
+  path: string;
+  /** e.g. "original" (preferred when omitted) */
+  size?: string;
+  /** e.g. "jpg", the first format offered when omitted */
+  format?: string;
+  /** First wait between status checks in ms (default 1000) */
+  pollInterval?: number;
+  /** Longest wait between status checks in ms (default 15000) */
+  maxPollInterval?: number;
+  /** Give up waiting for the archive after this many ms (default 600000) */
+  maxWait?: number;
+  /** Called on every status check */
+  onStatus?: (status: {
+    id: string | null;
+    status: string;
+    ready: boolean;
+    failures: Array<{ id: string; reason: string }>;
+  }) => void;
+  /** Called as archive bytes arrive */
+  onProgress?: (progress: DownloadProgress) => void;
+}
+
+export interface BatchDownloadReport {
+  path: string;
+  size: number | null;
+  option: { size: string; format: string };
+  /** Media in the archive */
+  included: string[];
+  /** Media left out of the archive */
+  failed: Array<{ id: string; reason: string }>;
+}
+
+export interface UploadDirectorySettings {
+  /** Globs a file must match, e.g. "*.{jpg,cr3}" */
+  include?: string | string[];
+  /** Globs ruling out files and folders */
+  exclude?: string | string[];
+  /** Include sub-folders (default true) */
+  recursive?: boolean;
+  /** "filename" (default), "checksum" or false */
+  dedupe?: "filename" | "checksum" | false;
+  /** Uploads in flight at once (default 3) */
+  concurrency?: number;
+  /** Extra media.create() fields for every file */
+  data?: Params;
+  /** Called after each file */
+  onProgress?: (progress: {
+    completed: number;
+    total: number;
+    file: UploadedFile;
+  }) => void;
+}
+
+export interface UploadedFile {
+  /** Path below the uploaded folder */
+  path: string;
+  status: "uploaded" | "skipped" | "failed";
+  mediaId: string | null;
+  reason?: string;
+  error?: Error;
+}
+
+export interface UploadDirectoryReport {
+  galleryId: string;
+  uploaded: number;
+  skipped: number;
+  failed: number;
+  files: UploadedFile[];
+}
+
+export interface SyncSettings {
+  /** "local" wins, "remote" wins or keep "both" (default) */
+  conflict?: "local" | "remote" | "both";
+  /** Propagate removals to the other side (default true) */
+  deletions?: boolean;
+  /** Globs a local file must match */
+  include?: string | string[];
+  /** Globs ruling out local files */
+  exclude?: string | string[];
+  /** State file name inside the folder */
+  state?: string;
+}
+
+export interface SyncAction {
+  type:
+    | "upload"
+    | "replace"
+    | "download"
+    | "deleteLocal"
+    | "removeRemote"
+    | "keepBoth"
+    | "link"
+    | "forget";
+  name: string;
+  reason: string;
+  /** What changed on each side, for conflicts */
+  conflict?: string;
+  /** New name of the local file, for keepBoth */
+  copyName?: string;
+  local?: { [key: string]: unknown };
+  remote?: { [key: string]: unknown };
+}
+
+export interface SyncPlan {
+  dir: string;
+  galleryId: string;
+  conflict: "local" | "remote" | "both";
+  filter: { include?: string | string[]; exclude?: string | string[] };
+  statePath: string;
+  actions: SyncAction[];
+  /** How many files are already in sync */
+  unchanged: number;
+}
+
+export interface SyncReport {
+  applied: number;
+  failed: number;
+  results: Array<{
+    type: SyncAction["type"];
+    name: string;
+    status: "applied" | "failed";
+    error?: Error;
+  }>;
+}
+
+export interface SyncGallerySettings extends SyncSettings {
+  /** Only plan, change nothing */
+  dryRun?: boolean;
+  /** A reviewed plan to apply instead of planning again */
+  plan?: SyncPlan;
+  /** Transfers in flight at once (default 3) */
+  concurrency?: number;
+  /** Called after each action */
+  onProgress?: (progress: {
+    completed: number;
+    total: number;
+    action: SyncReport["results"][number];
+  }) => void;
+}
+
+/** A client from PhotoShelterV4API(), `N` is whether it normalizes responses */
+export interface PhotoShelterV4Client<N extends boolean = false> {
+  /** @deprecated Use `session` instead */
+  readonly info: {
+    readonly authToken: string | null;
+    readonly org: { [key: string]: unknown } | null;
+    readonly isTwoFactor: boolean | null;
+  };
+  readonly session: Session;
+  readonly scheduler: Scheduler;
+  collectAll: typeof collectAll;
+
+  /**
+   * Add a middleware around every request of the client, login included:
+   * `client.use(async (ctx, next) => { ... const response = await next(); ... })`
+   * @returns Removes the middleware
+   */
+  use(middleware: Middleware): () => void;
+
+  /**
+   * Walk the library tree depth-first, yielding each collection, gallery
+   * and (optionally) media with its breadcrumb path
+   * @param rootId - The collection or gallery to start from, the whole library when omitted
+   */
+  walk(
+    rootId?: string,
+    settings?: WalkSettings,
+    options?: RequestOptions
+  ): AsyncGenerator<WalkNode, void, undefined>;
+  walk(
+    settings: WalkSettings,
+    options?: RequestOptions
+  ): AsyncGenerator<WalkNode, void, undefined>;
+  /** Stream an inventory of every collection, gallery and media of the account */
+  exportInventory(
+    settings?: InventorySettings,
+    options?: RequestOptions
+  ): AsyncGenerator<string, void, undefined>;
+  /** Write an inventory of the account to a file (Node.js only) */
+  saveInventory(
+    path: string,
+    settings?: InventorySettings,
+    options?: RequestOptions
+  ): Promise<{ path: string; format: "csv" | "json" | "ndjson" }>;
+  /** Mirror a collection or gallery to a local folder (Node.js only) */
+  downloadTree(
+    rootId: string,
+    destDir: string,
+    settings?: DownloadTreeSettings,
+    options?: RequestOptions
+  ): Promise<DownloadTreeReport>;
+  /** Download several media as one archive (Node.js only) */
+  batchDownload(
+    mediaIds: string[],
+    settings: BatchDownloadSettings,
+    options?: RequestOptions
+  ): Promise<BatchDownloadReport>;
+  /** Upload the files of a local folder into a gallery (Node.js only) */
+  uploadDirectory(
+    dir: string,
+    galleryId: string,
+    settings?: UploadDirectorySettings,
+    options?: RequestOptions
+  ): Promise<UploadDirectoryReport>;
+  /** Compare a local folder with a gallery and plan the changes (Node.js only) */
+  planSync(
+    dir: string,
+    galleryId: string,
+    settings?: SyncSettings,
+    options?: RequestOptions
+  ): Promise<SyncPlan>;
+  /** Bring a local folder and a gallery in sync (Node.js only) */
+  syncGallery(
+    dir: string,
+    galleryId: string,
+    settings?: SyncGallerySettings,
+    options?: RequestOptions
+  ): Promise<{ plan: SyncPlan; report: SyncReport | null }>;
+
+  authenticate: AuthenticateNamespace<N>;
+  collections: CollectionsNamespace<N>;
+  contacts: ContactsNamespace<N>;
+  embedTokens: EmbedTokensNamespace<N>;
+  faces: FacesNamespace<N>;
+  galleries: GalleriesNamespace<N>;
+  integrations: IntegrationsNamespace<N>;
+  library: LibraryNamespace<N>;
+  media: MediaNamespace<N>;
+  mediaVersions: MediaVersionsNamespace<N>;
+  mlMetadata: MlMetadataNamespace<N>;
+  metadata: MetadataNamespace<N>;
+  oauth: OauthNamespace<N>;
+  organization: OrganizationNamespace<N>;
+  people: PeopleNamespace<N>;
+  portal: PortalNamespace<N>;
+  permissions: PermissionsNamespace<N>;
+  resourceTickets: ResourceTicketsNamespace<N>;
+  search: SearchNamespace<N>;
+  settings: SettingsNamespace<N>;
+  squirrel: SquirrelNamespace<N>;
+  trash: TrashNamespace<N>;
+  twoFactor: TwoFactorNamespace<N>;
+  user: UserNamespace<N>;
+  users: UsersNamespace<N>;
+  version: VersionNamespace<N>;
+  workspaces: WorkspacesNamespace<N>;
+}
+
+/**
+ * Create a PhotoShelter API client
+ * @param apiKey - Your PhotoShelter API key
+ * @param config - Client configuration
+ */
+export function PhotoShelterV4API<N extends boolean = false>(
+  apiKey: string,
+  config?: ClientConfig & { normalize?: N }
+): PhotoShelterV4Client<N>;
+
+/** A client from PhotoShelterV3API() */
+export interface PhotoShelterV3Client {
+  authenticate: {
+    /** Authenticate user and get a token */
+    login(email: string, password: string, orgId?: string): Promise<void>;
+  };
+  workspaces: {
+    /** Get current review information for a media asset */
+    getMediaReview(workspaceId: string, mediaId: string): Promise<unknown>;
+  };
+  /**
+   * Add a middleware around every request of the client, login included
+   * @returns Removes the middleware
+   */
+  use(middleware: Middleware): () => void;
+}
+
+/**
+ * Create a PhotoShelter V3 API client
+ * @param apiKey - Your PhotoShelter API key
+ */
+export function PhotoShelterV3API(apiKey: string): PhotoShelterV3Client;
+
+/** Lazily iterate over every item of a paginated JSON:API list */
+export function paginate<T = Resource>(
+  fetchPage: (params: Params) => Promise<{ data?: T[] | unknown }>,
+  params?: Params
+): AsyncGenerator<T, void, undefined>;
+
+/** Collect the items of an async iterable into an array */
+export function collectAll<T>(
+  iterable: AsyncIterable<T>,
+  options?: { maxItems?: number }
+): Promise<T[]>;
+
+/** Create a request scheduler that throttles and queues outgoing requests */
+export function createScheduler(options?: {
+  requestsPerSecond?: number;
+  maxConcurrent?: number;
+}): Scheduler;
+
+/**
+ * Flatten a JSON:API document. A resource that refers back to one it is
+ * nested in gets an `{ id, type }` stub there, so the result has no cycles.
+ */
+export function normalize<D extends Resource | Resource[] | null>(
+  document: Document<D>
+): NormalizedDocument<
+  D extends Resource[]
+    ? Normalized<D[number]>[]
+    : D extends Resource
+    ? Normalized<D>
+    : null
+>;
+export function normalize<T>(document: T): T;
+
+/**
+ * Create a chainable query for media listing, global search or collection search.
+ * Sending it to another target's endpoint fails with a ValidationError.
+ * @param target - "media" (default), "search" or "collections"
+ */
+export function createQuery(target?: "media" | "search" | "collections"): Query;
+
+/** Describe a sync plan, one line per action and a summary */
+export function formatSyncPlan(plan: SyncPlan): string;
+
+/** Columns exported when none are selected */
+export const INVENTORY_COLUMNS: string[];
+
+/** Keep the session in memory, e.g. to share it between clients in one process */
+export function createMemoryTokenStore(
+  initial?: SessionData | null
+): TokenStore;
+
+/** Keep the session in a JSON file (Node.js only) */
+export function createFileTokenStore(path: string): TokenStore;
+
+// Mock server
+
+/** Fixtures of the mock server, IDs are generated when omitted */
+export interface MockFixtures {
+  /** Accepted logins, any login is accepted when empty */
+  users?: Array<{
+    email: string;
+    password: string;
+    /** Require this two-factor code after login */
+    twoFactorCode?: string;
+    org?: { [key: string]: unknown };
+  }>;
+  media?: Array<
+    MediaAttributes & {
+      id?: string;
+      content?: string | Uint8Array | ArrayBuffer;
+    }
+  >;
+  collections?: Array<
+    CollectionAttributes & { id?: string; parent_id?: string }
+  >;
+  galleries?: Array<
+    GalleryAttributes & {
+      id?: string;
+      parent_id?: string;
+      parent_ids?: string[];
+      media_ids?: string[];
+    }
+  >;
+  metadataFields?: Array<MetadataFieldAttributes & { id?: string }>;
+  metadataSchemas?: Array<MetadataSchemaAttributes & { id?: string }>;
+  metadataValues?: Array<MetadataValueAttributes & { id?: string }>;
+}
+
+/** A request received by the mock server */
+export interface MockRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  headers: Record<string, string | string[] | undefined>;
+  body: unknown;
+}
+
+/** An error or latency scenario of the mock server */
+export interface MockScenario {
+  /** Only requests with this method (default any) */
+  method?: string;
+  /** Path pattern, e.g. "/media/:id" or "/galleries/*" (default any) */
+  path?: string | RegExp;
+  /** Respond with this status instead of the real answer */
+  status?: number;
+  /** Error title of the response */
+  title?: string;
+  /** Full JSON:API error objects of the response */
+  errors?: ErrorObject[];
+  /** Response body, replaces the error document */
+  body?: unknown;
+  /** Response headers, e.g. `{ "retry-after": "1" }` */
+  headers?: Record<string, string>;
+  /** Wait this many ms first (without `status`, the request is then handled normally) */
+  delay?: number;
+  /** Drop the connection without answering */
+  reset?: boolean;
+  /** Only affect this many requests (default all) */
+  times?: number;
+}
+
+/** Delay in ms added to every mock server response */
+export type MockLatency =
+  | number
+  | { min: number; max?: number }
+  | ((request: {
+      method: string;
+      path: string;
+      query: Record<string, string>;
+    }) => number);
+
+/** A running mock server from createMockServer() */
+export interface MockServer {
+  /** Pass as the client's `config.baseUrl` */
+  readonly baseUrl: string;
+  readonly port: number;
+  /** The in-memory data */
+  readonly store: { [key: string]: unknown };
+  /** Every request received */
+  readonly requests: MockRequest[];
+  /** Delay added to every response, can be changed at any time */
+  latency: MockLatency;
+  /** Add fixtures, returns the IDs added by kind */
+  seed(fixtures: MockFixtures): { [kind: string]: string[] };
+  /** Back to the initial fixtures, without scenarios or logged requests */
+  reset(): void;
+  /** Add an error/latency scenario, returns a function removing it */
+  inject(scenario: MockScenario): () => void;
+  /** Invalidate every issued token, the next requests get a 401 */
+  expireTokens(): void;
+  /** Stop the server */
+  close(): Promise<void>;
+}
+
+/**
+ * Start a fake PhotoShelter V4 API on localhost (Node.js only), backed by an
+ * in-memory store
+ */
+export function createMockServer(settings?: {
+  /** Port to listen on (default: a free one) */
+  port?: number;
+  /** Interface to listen on (default "127.0.0.1") */
+  host?: string;
+  /** Only accept this API key (default: any) */
+  apiKey?: string;
+  /** Initial data */
+  fixtures?: MockFixtures;
+  /** Delay added to every response */
+  latency?: MockLatency;
+  /** Answer downloads with a redirect to an unauthenticated CDN URL */
+  redirectDownloads?: boolean;
+}): Promise<MockServer>;
+
+// Errors
+
+export interface ErrorDetails {
+  status?: number;
+  endpoint?: string;
+  method?: string;
+  errors?: ErrorObject[];
+  headers?: Record<string, string>;
+  attempts?: number;
+  cause?: unknown;
+}
+
+/** Base error for every failure raised by the PhotoShelter clients */
+export class PhotoShelterError extends Error {
+  constructor(message: string, details?: ErrorDetails);
+  /** HTTP status code, if a response was received */
+  status?: number;
+  /** The API endpoint that was requested */
+  endpoint?: string;
+  /** The HTTP method of the request */
+  method?: string;
+  /** The raw JSON:API `errors[]` objects */
+  errors: ErrorObject[];
+  /** The response headers */
+  headers: Record<string, string>;
+  /** How many attempts were made before giving up */
+  attempts: number;
+}
+
+/** Missing, invalid or expired credentials (401/403) */
+export class AuthenticationError extends PhotoShelterError {}
+
+/** The requested resource does not exist (404) */
+export class NotFoundError extends PhotoShelterError {}
+
+/** The request was rejected as invalid (400/409/422) */
+export class ValidationError extends PhotoShelterError {}
+
+/** Too many requests (429) */
+export class RateLimitError extends PhotoShelterError {
+  /** Seconds to wait before retrying, from the Retry-After header */
+  retryAfter?: number;
+}
+
+/** The API failed to process the request (5xx) */
+export class ServerError extends PhotoShelterError {}
+
+/** The request never got a response (DNS, connection reset, ...) */
+export class NetworkError extends PhotoShelterError {}
+
+/** No response arrived within the configured timeout */
+export class TimeoutError extends NetworkError {}
+
+/** A request had no match in the replayed cassette, or the cassette is unusable */
+export class CassetteError extends PhotoShelterError {}
@@ -1,26 +1,272 @@
+import { toFormData, toUrlEncoded } from "./src/multipart.js";
+import { paginate, collectAll } from "./src/pagination.js";
+import { resolveRetry, withRetry } from "./src/retry.js";
+import { createScheduler } from "./src/scheduler.js";
+import { sleep, withTimeout } from "./src/timeout.js";
+import { createEmitter } from "./src/events.js";
+import { normalize } from "./src/jsonapi.js";
+import { createQuery, toQueryParams } from "./src/query.js";
+import { downloadTree } from "./src/tree.js";
+import { walk } from "./src/walk.js";
+import { formatInventory, saveInventory } from "./src/inventory.js";
+import { readBatchJob, selectBatchOption } from "./src/batch.js";
+import { uploadDirectory } from "./src/upload.js";
+import { formatSyncPlan, planSync, syncGallery } from "./src/sync.js";
+import { SCHEMAS } from "./src/schemas.js";
+import { withValidation } from "./src/validate.js";
+import { withCassette } from "./src/cassette.js";
+import { createMiddleware } from "./src/middleware.js";
+import {
+  getFileSize,
+  getFilename,
+  getRangeStart,
+  getTotalSize,
+  getValidator,
+  isRedirect,
+  trackProgress,
+  writeToFile,
+} from "./src/download.js";
+import {
+  createCodeChallenge,
+  createCodeVerifier,
+  createState,
+  toOAuthTokens,
+} from "./src/oauth.js";
+import {
+  AuthenticationError,
+  PhotoShelterError,
+  TimeoutError,
+  ValidationError,
+  createNetworkError,
+  createResponseError,
+} from "./src/errors.js";
+
+export {
+  paginate,
+  collectAll,
+  createScheduler,
+  normalize,
+  createQuery,
+  formatSyncPlan,
+};
+export { INVENTORY_COLUMNS } from "./src/inventory.js";
+export {
+  createMemoryTokenStore,
+  createFileTokenStore,
+} from "./src/tokenStore.js";
+export { createMockServer } from "./src/mockServer.js";
+export {
+  PhotoShelterError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CassetteError,
+} from "./src/errors.js";
+
+/**
+ * Per-request options, accepted as the last argument of every namespace method
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {number} [timeout] - Per-attempt timeout in ms, overriding the client's
+ * @property {Object} [headers] - Extra request headers
+ * @property {Object|boolean} [retry] - Retry settings for this request, `false` to disable
+ * @property {string} [priority] - Queue lane: "interactive" (default) or "background"
+ * @property {string|string[]} [include] - Related resources to include, e.g. "person" or ["media", "gallery"]
+ * @property {boolean} [normalize] - Flatten the JSON:API response, overriding the client's setting
+ * @property {boolean} [validate] - `false` skips the argument checks for this call
+ */
+
+/**
+ * A file to upload: its contents, a stream or (Node.js) a file path, or
+ * `{ file, filename, contentType }` to name contents that have no name.
+ * Streams are read into memory before sending; a file path is not.
+ * @typedef {Blob|File|ArrayBuffer|Uint8Array|ReadableStream|string|{file: Blob|ArrayBuffer|Uint8Array|ReadableStream|string, filename: string, contentType: string}} UploadSource
+ */
+
 /**
  * Create a PhotoShelter API client
  * @param {string} apiKey - Your PhotoShelter API key
-
+ * @param {Object} [config] - Client configuration
+ * @param {string} [config.baseUrl] - API root, e.g. a staging or local mock server
+ * @param {Function} [config.fetch] - fetch implementation (defaults to the global fetch)
+ * @param {Object} [config.headers] - Headers sent with every request
+ * @param {number} [config.timeout] - Per-attempt request timeout in ms
+ * @param {boolean} [config.normalize] - Flatten JSON:API responses and resolve included relationships
+ * @param {boolean} [config.validate] - Check method arguments before sending requests (default true)
+ * @param {Object|boolean} [config.retry] - Retry settings, `false` to disable
+ * @param {number} [config.retry.retries] - Retries after the first attempt (default 3)
+ * @param {number} [config.retry.minDelay] - Base backoff delay in ms (default 500)
+ * @param {number} [config.retry.maxDelay] - Longest wait between attempts in ms (default 30000)
+ * @param {number} [config.retry.factor] - Backoff multiplier (default 2)
+ * @param {number[]} [config.retry.statuses] - Response statuses worth retrying
+ * @param {string[]} [config.retry.methods] - Methods retried by default (idempotent verbs)
+ * @param {boolean} [config.retry.retryPost] - Also retry POST requests
+ * @param {Object} [config.rateLimit] - Throttling for every request made by the client
+ * @param {number} [config.rateLimit.requestsPerSecond] - Maximum requests started per second
+ * @param {number} [config.rateLimit.maxConcurrent] - Maximum requests in flight at once
+ * @param {Object} [config.scheduler] - A scheduler from createScheduler(), e.g. to share limits between clients
+ * @param {TokenStore} [config.tokenStore] - Saves the session after login and restores it on first use
+ * @param {function(): Promise<{email: string, password: string, orgId: string}>} [config.credentials] - Supplies credentials for re-authentication
+ * @param {boolean} [config.reauthenticate] - Log in again with `credentials` when there is no token or it is rejected with a 401, then replay the request
+ * @param {function(): Promise<string|number>} [config.twoFactorCodeProvider] - Supplies the two-factor code (e.g. from a TOTP secret) so login completes unattended
+ * @param {Object} [config.oauth] - OAuth2 application settings, to act on behalf of PhotoShelter users
+ * @param {string} config.oauth.clientId - Client ID
+ * @param {string} [config.oauth.clientSecret] - Client secret (omit for public clients using PKCE only)
+ * @param {string} [config.oauth.redirectUri] - Redirect URI registered for the application
+ * @param {string} [config.oauth.scope] - Default scope to request
+ * @param {string} [config.oauth.authorizeUrl] - Authorization page (defaults to `${baseUrl}/oauth/authorize`)
+ * @param {number} [config.oauth.refreshSkew] - Refresh this many ms before the access token expires (default 60000)
+ * @param {Object} [config.cassette] - Record traffic to a file, or replay it without touching the network (Node.js only)
+ * @param {string} config.cassette.path - The cassette file (JSON)
+ * @param {string} [config.cassette.mode] - "replay" (default, unmatched requests throw a CassetteError), "record", or "auto" to replay when the file exists and record otherwise
+ * @param {number} [config.cassette.maxBinaryBody] - Bytes of each binary response body (download) to record, the rest is cut off (default 1 MiB)
  */
-export function PhotoShelterV4API(apiKey) {
-  const baseUrl = "https://www.photoshelter.com/psapi/v4.0";
+export function PhotoShelterV4API(apiKey, config = {}) {
+  const baseUrl = config.baseUrl || "https://www.photoshelter.com/psapi/v4.0";
+  const liveFetch = config.fetch || ((...args) => globalThis.fetch(...args));
+  const fetch = config.cassette
+    ? withCassette(liveFetch, config.cassette, { baseUrl, apiKey })
+    : liveFetch;
+  const scheduler = config.scheduler || createScheduler(config.rateLimit);
+  const events = createEmitter();
+  const middleware = createMiddleware();
   let authToken = null,
     org = null,
+    isTwoFactor = null,
+    loginTime = null,
+    pendingChallenge = null,
+    oauthTokens = null;
+
+  const startSession = (json) => {
+    authToken = json.token;
+    org = json.org;
+    isTwoFactor = json.two_factor;
+    loginTime = new Date();
+  };
+
+  const clearSession = () => {
+    authToken = null;
+    org = null;
     isTwoFactor = null;
+    loginTime = null;
+    pendingChallenge = null;
+  };
 
-  const handleErrors = async (response, location) => {
-    if (response.status == "404") {
-      throw new Error(
-        `Request Failed. Request Response: ${location} = ${response.statusText}`
-      );
+  const finishLogin = async (json) => {
+    startSession(json);
+    pendingChallenge = null;
+    storeLoaded = true;
+    await config.tokenStore?.set(exportSession());
+    events.emit("login", { org, isTwoFactor, loginTime });
+  };
+
+  const exportSession = () =>
+    authToken || oauthTokens
+      ? {
+          token: authToken,
+          org,
+          isTwoFactor,
+          loginTime: loginTime?.toJSON() ?? null,
+          oauth: oauthTokens,
+        }
+      : null;
+
+  const restoreSession = (data) => {
+    if (!data?.token && !data?.oauth) {
+      return false;
     }
-    const json = await response.json();
-    const msg = json.errors
-      .map((e) => e.title)
-      .filter(Boolean)
-      .join(" | ");
-    throw new Error(`Request Failed. Request Response: ${location} = ${msg}`);
+    authToken = data.token ?? null;
+    org = data.org ?? null;
+    isTwoFactor = data.isTwoFactor ?? null;
+    loginTime = data.loginTime ? new Date(data.loginTime) : null;
+    oauthTokens = data.oauth ?? null;
+    return true;
+  };
+
+  let storeLoaded = !config.tokenStore;
+  const loadStoredSession = async () => {
+    if (!storeLoaded) {
+      storeLoaded = true;
+      restoreSession(await config.tokenStore.get());
+    }
+  };
+
+  const canReauthenticate = () =>
+    Boolean(config.reauthenticate && config.credentials);
+
+  let reauthentication = null;
+  const reauthenticate = () => {
+    if (!reauthentication) {
+      reauthentication = (async () => {
+        const { email, password, orgId } = await config.credentials();
+        await authenticate.login(email, password, orgId);
+      })().finally(() => {
+        reauthentication = null;
+      });
+    }
+    return reauthentication;
+  };
+
+  const isAccessTokenExpiring = () =>
+    oauthTokens?.expiresAt != null &&
+    oauthTokens.expiresAt - (config.oauth?.refreshSkew ?? 60000) <= Date.now();
+
+  let refreshing = null;
+  const refreshAccessToken = () => {
+    if (!refreshing) {
+      refreshing = oauth.refresh().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  };
+
+  const authHeaders = (token) => {
+    if (token || authToken) {
+      return { "X-PS-Auth-Token": token || authToken };
+    }
+    return oauthTokens
+      ? { Authorization: `Bearer ${oauthTokens.accessToken}` }
+      : {};
+  };
+
+  const expireCredentials = async (headers, endpoint) => {
+    const usedToken = headers["X-PS-Auth-Token"];
+    if (usedToken && usedToken === authToken) {
+      clearSession();
+      await config.tokenStore?.clear();
+      events.emit("tokenExpired", { token: usedToken, endpoint });
+    }
+    const usedBearer = headers.Authorization;
+    if (usedBearer && usedBearer === authHeaders().Authorization) {
+      oauthTokens = oauthTokens.refreshToken
+        ? { ...oauthTokens, expiresAt: 0 }
+        : null;
+      events.emit("tokenExpired", { oauth: true, endpoint });
+    }
+  };
+
+  const renewCredentials = async () => {
+    if (authToken || (oauthTokens && !isAccessTokenExpiring())) {
+      return true;
+    }
+    if (oauthTokens?.refreshToken) {
+      await refreshAccessToken();
+      return true;
+    }
+    if (canReauthenticate()) {
+      await reauthenticate();
+      return true;
+    }
+    return false;
+  };
+
+  const handleErrors = async (response, endpoint, method, attempts) => {
+    throw await createResponseError(response, { endpoint, method, attempts });
   };
 
   const responseType = async (response) => {
@@ -35,38 +281,415 @@ export function PhotoShelterV4API(apiKey) {
   /**
    * Make an authenticated request to the PhotoShelter API
    * @param {string} endpoint - The API endpoint
-   * @param {Object} params - The query parameters
-   * @param {Object} [options] - Optional fetch options (e.g., method, headers)
+   * @param {Object} params - The query parameters, or a createQuery() builder
+   * @param {Object} [options] - Optional fetch options (e.g., method, headers, signal)
+   * @param {Object} [options.body] - Payload sent as the request body
+   * @param {string} [options.bodyType] - Body encoding: "json" (default), "form" (URL-encoded, nested values bracketed), "multipart", or "encoded" for a body already built, sent as is
+   * @param {number} [options.timeout] - Per-attempt timeout in ms
+   * @param {Object|boolean} [options.retry] - Retry settings for this request, `false` to disable
+   * @param {string} [options.priority] - Queue lane: "interactive" (default) or "background"
+   * @param {boolean} [options.reauthenticate] - Allow a re-login and replay on 401 (default true)
+   * @param {string} [options.token] - Auth token to send instead of the session's
+   * @param {boolean} [options.auth] - Send credentials (default true)
+   * @param {string|string[]} [options.include] - Related resources to include
+   * @param {boolean} [options.normalize] - Flatten the JSON:API response
+   * @param {boolean} [options.raw] - Resolve with the unread Response (ok or redirect) instead of its body
+   * @param {boolean} [options.validate] - Ignored here, read by the namespace methods
    * @returns {Promise<Object>} - The API response
    */
   const request = async (endpoint, params = {}, options = {}) => {
-    if (!authToken) {
-      throw new Error("No auth token. Make sure to authenticate.login() first");
+    params = toQueryParams(params, endpoint);
+    const {
+      body,
+      bodyType = "json",
+      retry,
+      priority,
+      timeout = config.timeout,
+      signal,
+      reauthenticate: allowReauthentication = true,
+      token,
+      auth = true,
+      include,
+      normalize: shouldNormalize = config.normalize,
+      raw = false,
+      validate,
+      ...fetchOptions
+    } = options;
+    if (auth) {
+      await loadStoredSession();
+      if (!token && !authToken) {
+        if (oauthTokens?.refreshToken && isAccessTokenExpiring()) {
+          await refreshAccessToken();
+        } else if (!oauthTokens && canReauthenticate()) {
+          await reauthenticate();
+        }
+      }
+      if (!token && !authToken && !oauthTokens) {
+        throw new AuthenticationError(
+          pendingChallenge
+            ? "Two-factor verification pending. Call authenticate.completeTwoFactor() first"
+            : "No auth token. Make sure to authenticate.login() first",
+          { endpoint, method: fetchOptions.method || "GET" }
+        );
+      }
     }
-    options.headers = {
-      ...options.headers,
-      "X-PS-Auth-Token": authToken,
+    fetchOptions.headers = {
+      ...config.headers,
+      ...fetchOptions.headers,
+      ...(auth ? authHeaders(token) : {}),
       "X-PS-API-Key": apiKey,
-      "Content-Type": "application/json",
+    };
+
+    if (bodyType === "multipart") {
+      fetchOptions.body = await toFormData(body);
+    } else if (bodyType === "encoded") {
+      fetchOptions.body = body;
+    } else if (body !== undefined) {
+      const isForm = bodyType === "form";
+      fetchOptions.headers["Content-Type"] = isForm
+        ? "application/x-www-form-urlencoded"
+        : "application/json";
+      fetchOptions.body = isForm ? toUrlEncoded(body) : JSON.stringify(body);
+    }
+    const built = {
+      body: fetchOptions.body,
+      contentType: fetchOptions.headers["Content-Type"],
     };
 
     const url = new URL(`${baseUrl}${endpoint}`);
-    const searchParams = new URLSearchParams(params);
+    const searchParams = new URLSearchParams(
+      include ? { ...params, include: [].concat(include).join(",") } : params
+    );
 
     url.search = searchParams.toString();
 
+    const context = {
+      client: "v4",
+      endpoint,
+      method: fetchOptions.method || "GET",
+      url,
+      headers: fetchOptions.headers,
+      body: fetchOptions.body,
+      options,
+      state: {},
+    };
+    const timers = [];
+    const send = async () => {
+      const attempt = withTimeout(signal, timeout);
+      timers.push(attempt);
+      try {
+        return await fetch(context.url, {
+          ...fetchOptions,
+          method: context.method,
+          headers: context.headers,
+          body: context.body,
+          signal: attempt.signal,
+        });
+      } catch (error) {
+        throw createNetworkError(error, { endpoint, method: context.method });
+      }
+    };
+
     try {
-      const response = await fetch(url, options);
+      const response = await middleware.run(context, async () => {
+        const { response, attempts } = await withRetry(
+          () => scheduler.schedule(send, { priority, signal }),
+          context.method,
+          resolveRetry(config.retry, retry),
+          signal
+        );
+        context.attempts = attempts;
+        return response;
+      });
+      const { method, attempts } = context;
+      if (response.status === 401 && auth) {
+        await expireCredentials(context.headers, endpoint);
+        if (allowReauthentication && (await renewCredentials())) {
+          await response.body?.cancel();
+          // Replay the body as built: a stream it was read from is used up
+          return await request(endpoint, params, {
+            ...options,
+            body: built.body,
+            bodyType: "encoded",
+            headers: {
+              ...options.headers,
+              ...(built.contentType && { "Content-Type": built.contentType }),
+            },
+            reauthenticate: false,
+          });
+        }
+      }
+      if (raw && isRedirect(response)) {
+        return response;
+      }
       if (!response.ok) {
-        return await handleErrors(response, endpoint);
+        return await handleErrors(response, endpoint, method, attempts);
+      }
+      if (raw) {
+        return response;
+      }
+
+      const json = await responseType(response);
+      return shouldNormalize ? normalize(json) : json;
+    } finally {
+      // A raw body is still being read: keep the caller's signal linked
+      timers.forEach((attempt) =>
+        raw ? attempt.stopTimer() : attempt.clear()
+      );
+    }
+  };
+
+  // Files hosted outside the API (CDN, signed archive links) get no auth headers
+  const fetchFile = async (location, headers, signal, endpoint) => {
+    let response;
+    try {
+      response = await fetch(location, { headers, signal });
+    } catch (error) {
+      throw createNetworkError(error, { endpoint, method: "GET" });
+    }
+    if (!response.ok && response.status !== 416) {
+      throw await createResponseError(response, { endpoint, method: "GET" });
+    }
+    return response;
+  };
+
+  const openDownload = async (
+    endpoint,
+    params,
+    options = {},
+    offset = 0,
+    validator = null
+  ) => {
+    // With a validator, a file that changed comes back whole (200), not appended to
+    const range = offset
+      ? {
+          Range: `bytes=${offset}-`,
+          ...(validator && { "If-Range": validator }),
+        }
+      : {};
+    if (/^https?:\/\//i.test(endpoint)) {
+      return await fetchFile(endpoint, range, options.signal, endpoint);
+    }
+    const response = await request(endpoint, params, {
+      ...options,
+      headers: { ...options.headers, ...range },
+      redirect: "manual",
+      raw: true,
+    });
+    if (!isRedirect(response)) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    if (response.type === "opaqueredirect") {
+      // The runtime hides the target (browsers), let fetch follow it
+      return await request(endpoint, params, {
+        ...options,
+        headers: { ...options.headers, ...range },
+        raw: true,
+      });
+    }
+    // Auth headers stay with the API, the CDN gets a plain request
+    const location = new URL(
+      response.headers.get("location"),
+      `${baseUrl}${endpoint}`
+    );
+    return await fetchFile(location, range, options.signal, endpoint);
+  };
+
+  const streamDownload = async (endpoint, params, options = {}) => {
+    const { onProgress, ...requestOptions } = options;
+    const response = await openDownload(endpoint, params, requestOptions);
+    const size = getTotalSize(response);
+    return {
+      stream: trackProgress(response.body, onProgress, { total: size }),
+      size,
+      contentType: response.headers.get("content-type"),
+      filename: getFilename(response.headers.get("content-disposition")),
+    };
+  };
+
+  const saveDownload = async (endpoint, path, download, options) => {
+    const {
+      params = {},
+      resume = false,
+      validator = null,
+      onProgress,
+    } = download;
+    const offset = resume ? await getFileSize(path) : 0;
+    let response;
+    try {
+      response = await openDownload(
+        endpoint,
+        params,
+        options,
+        offset,
+        validator
+      );
+    } catch (error) {
+      if (offset && error.status === 416) {
+        return { path, size: offset, resumed: true, validator };
       }
+      throw error;
+    }
+    if (response.status === 416) {
+      await response.body?.cancel();
+      return { path, size: offset, resumed: true, validator };
+    }
+    // Only bytes continuing the file exactly are appended, else start over
+    if (
+      offset > 0 &&
+      response.status === 206 &&
+      getRangeStart(response) !== offset
+    ) {
+      await response.body?.cancel();
+      response = await openDownload(endpoint, params, options);
+    }
 
-      return await responseType(response);
+    const append = offset > 0 && response.status === 206;
+    const start = append ? offset : 0;
+    const size = getTotalSize(response, start);
+    const current = getValidator(response) ?? (append ? validator : null);
+    try {
+      await writeToFile(
+        trackProgress(response.body, onProgress, {
+          total: size,
+          offset: start,
+        }),
+        path,
+        { append }
+      );
     } catch (error) {
+      // What a resume of the partial file needs to check it is still current
+      if (error !== null && typeof error === "object") {
+        error.validator = current;
+      }
       throw error;
     }
+    return { path, size, resumed: append, validator: current };
+  };
+
+  // A JSON body describes a batch job, anything else is the archive itself
+  const readArchiveJob = async (response) =>
+    /json/i.test(response.headers.get("content-type") ?? "")
+      ? readBatchJob(await response.json())
+      : null;
+
+  const batchDownload = async (mediaIds, settings = {}, options = {}) => {
+    const {
+      size,
+      format,
+      path,
+      pollInterval = 1000,
+      maxPollInterval = 15000,
+      maxWait = 600000,
+      onStatus,
+      onProgress,
+    } = settings;
+    const endpoint = "/media/batch/download";
+    const ids = [].concat(mediaIds).map(String);
+    // Checked up front: the archive may take minutes to prepare
+    if (typeof path !== "string" || !path.trim()) {
+      throw new ValidationError(
+        "Invalid arguments for batchDownload(): settings.path is required",
+        {
+          endpoint,
+          method: "GET",
+          errors: [
+            {
+              title: "Invalid parameter",
+              detail: "settings.path is required",
+              source: { parameter: "settings.path" },
+            },
+          ],
+        }
+      );
+    }
+
+    const option = selectBatchOption(
+      await request(
+        `${endpoint}/options`,
+        { media_ids: ids.join(",") },
+        { ...options, normalize: false }
+      ),
+      { size, format }
+    );
+    const params = { media_ids: ids.join(","), size: option.size };
+    if (option.format) {
+      params.format = option.format;
+    }
+
+    // The archive may be prepared asynchronously: poll until it has a URL
+    const started = Date.now();
+    let delay = pollInterval;
+    let response = await openDownload(endpoint, params, options);
+    let job = await readArchiveJob(response);
+    while (job && !job.ready) {
+      onStatus?.(job);
+      if (job.failed) {
+        throw new PhotoShelterError(
+          `Request Failed. Request Response: ${endpoint} = Batch download ${job.status}`,
+          { endpoint, method: "GET", errors: job.failures }
+        );
+      }
+      if (Date.now() - started + delay > maxWait) {
+        throw new TimeoutError(
+          `Request Failed. Request Response: ${endpoint} = Archive not ready after ${maxWait}ms`,
+          { endpoint, method: "GET" }
+        );
+      }
+      await sleep(delay, options.signal);
+      delay = Math.min(delay * 2, maxPollInterval);
+      response = await openDownload(
+        endpoint,
+        job.id ? { ...params, job_id: job.id } : params,
+        options
+      );
+      job = await readArchiveJob(response);
+    }
+
+    if (job) {
+      onStatus?.(job);
+      // A link back into the API keeps auth, anything else is fetched plainly
+      const location = new URL(job.url, `${baseUrl}/`);
+      const api = new URL(`${baseUrl}/`);
+      const internal =
+        location.origin === api.origin &&
+        location.pathname.startsWith(api.pathname);
+      response = internal
+        ? await openDownload(
+            `/${location.pathname.slice(api.pathname.length)}`,
+            Object.fromEntries(location.searchParams),
+            options
+          )
+        : await openDownload(location.href, {}, options);
+    }
+    const total = getTotalSize(response);
+    await writeToFile(
+      trackProgress(response.body, onProgress, { total }),
+      path
+    );
+
+    const failures = job?.failures ?? [];
+    const failed = new Set(failures.map((failure) => failure.id));
+    return {
+      path,
+      size: total,
+      option: { size: option.size, format: option.format },
+      included: ids.filter((id) => !failed.has(id)),
+      failed: failures,
+    };
   };
 
+  // Invalid params, like a query for another endpoint, throw when read
+  const pages = (endpoint, params, options) =>
+    (async function* () {
+      yield* paginate(
+        (pageParams) => request(endpoint, pageParams, options),
+        toQueryParams(params, endpoint)
+      );
+    })();
+
   const toForm = (obj) => {
     return Object.keys(obj)
       .map((key) =>
@@ -85,32 +708,217 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} email - Email
      * @param {string} password - Password
      * @param {string} [orgId] - [Optional] Your organization ID
-     * @returns {Promise}
-     * @throws Throws an error if not ok status
-     */
-    login: async (email, password, orgId) => {
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<{status: string}>} - `{ status: "authenticated" }`, or
+     * `{ status: "two_factor_required" }` until authenticate.completeTwoFactor() is called
+     * @throws {PhotoShelterError} Throws an error if not ok status
+     */
+    login: async (email, password, orgId, options = {}) => {
+      const { signal, clear } = withTimeout(
+        options.signal,
+        options.timeout ?? config.timeout
+      );
+      let json;
       try {
-        const body = toForm({ email, password, mode: "token", org_id: orgId });
-        const response = await fetch(`${baseUrl}/authenticate`, {
+        const context = {
+          client: "v4",
+          endpoint: "/authenticate",
           method: "POST",
+          url: new URL(`${baseUrl}/authenticate`),
           headers: {
+            ...config.headers,
+            ...options.headers,
             "content-type": "application/x-www-form-urlencoded",
             "X-PS-Api-Key": apiKey,
           },
-          body,
+          body: toForm({ email, password, mode: "token", org_id: orgId }),
+          options,
+          state: {},
+        };
+        // Errors thrown by middleware reach the caller as they are
+        const response = await middleware.run(context, async () => {
+          try {
+            return await fetch(context.url, {
+              method: context.method,
+              headers: context.headers,
+              body: context.body,
+              signal,
+            });
+          } catch (error) {
+            throw createNetworkError(error, {
+              endpoint: "/authenticate",
+              method: context.method,
+            });
+          }
         });
 
         if (!response.ok) {
-          return await handleErrors(response, "login");
+          return await handleErrors(response, "/authenticate", "POST");
+        }
+        json = await responseType(response);
+      } finally {
+        clear();
+      }
+
+      if (!json.two_factor) {
+        await finishLogin(json);
+        return { status: "authenticated" };
+      }
+      pendingChallenge = json;
+      events.emit("twoFactorRequired", { org: json.org });
+      if (!config.twoFactorCodeProvider) {
+        return { status: "two_factor_required" };
+      }
+      const code = await config.twoFactorCodeProvider();
+      return await authenticate.completeTwoFactor(code, options);
+    },
+
+    /**
+     * Finish a login that returned `{ status: "two_factor_required" }`
+     * @param {string|number} code - The two-factor verification code; pass a string to keep leading zeros
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<{status: string}>} - `{ status: "authenticated" }`
+     * @throws {PhotoShelterError} Throws an error if there is no pending login or the code is rejected
+     */
+    completeTwoFactor: async (code, options) => {
+      if (!pendingChallenge) {
+        throw new AuthenticationError(
+          "No pending two-factor login. Call authenticate.login() first",
+          { endpoint: "/twofactor/verify", method: "POST" }
+        );
+      }
+      const challenge = pendingChallenge;
+      const json = await request(
+        "/twofactor/verify",
+        {},
+        {
+          ...options,
+          method: "POST",
+          body: { code: String(code) },
+          token: challenge.token,
+          reauthenticate: false,
+        }
+      );
+      await finishLogin({
+        ...challenge,
+        token: json?.token || challenge.token,
+      });
+      return { status: "authenticated" };
+    },
+
+    /**
+     * Invalidate the current token and clear the session
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise}
+     * @throws {PhotoShelterError} Throws an error if the server rejects the logout
+     */
+    logout: async (options) => {
+      await loadStoredSession();
+      if (!authToken && !oauthTokens) {
+        return;
+      }
+      try {
+        if (authToken) {
+          await request(
+            "/authenticate/logout",
+            {},
+            { ...options, method: "POST", reauthenticate: false }
+          );
         }
-        const json = await responseType(response);
-        authToken = json.token;
-        org = json.org;
-        isTwoFactor = json.two_factor;
       } catch (error) {
-        throw error;
+        // The token is already invalid server-side, nothing left to revoke
+        if (!(error instanceof AuthenticationError)) {
+          throw error;
+        }
+      } finally {
+        clearSession();
+        oauthTokens = null;
+        await config.tokenStore?.clear();
+        events.emit("logout", {});
+      }
+    },
+  };
+
+  /**
+   * Live view of the authentication state
+   * @namespace session
+   */
+  const session = {
+    /** @returns {string|null} - The auth token, null when logged out */
+    get token() {
+      return authToken;
+    },
+    /** @returns {Object|null} - The organization from the login response */
+    get org() {
+      return org;
+    },
+    /** @returns {boolean|null} - Whether the account uses two-factor authentication */
+    get isTwoFactor() {
+      return isTwoFactor;
+    },
+    /** @returns {Date|null} - When the current session was started */
+    get loginTime() {
+      return loginTime;
+    },
+    /** @returns {boolean} - Whether a token is available */
+    get isAuthenticated() {
+      return Boolean(authToken || oauthTokens);
+    },
+    /** @returns {string|null} - The OAuth access token, null without OAuth */
+    get accessToken() {
+      return oauthTokens?.accessToken ?? null;
+    },
+    /** @returns {Date|null} - When the OAuth access token expires */
+    get accessTokenExpiresAt() {
+      return oauthTokens?.expiresAt ? new Date(oauthTokens.expiresAt) : null;
+    },
+    /** @returns {boolean} - Whether a login is waiting for completeTwoFactor() */
+    get isTwoFactorPending() {
+      return Boolean(pendingChallenge);
+    },
+
+    /**
+     * Snapshot the session so another process can restore it
+     * @returns {Object|null} - Serializable session data, null when logged out
+     */
+    export: exportSession,
+
+    /**
+     * Resume a session exported earlier, skipping login
+     * @param {Object} data - The output of session.export()
+     * @returns {Promise<boolean>} - Whether a session was restored
+     */
+    restore: async (data) => {
+      storeLoaded = true;
+      const restored = restoreSession(data);
+      if (restored) {
+        await config.tokenStore?.set(exportSession());
       }
+      return restored;
     },
+
+    /**
+     * Listen for session changes
+     * @param {string} event - "login", "logout", "tokenExpired", "tokenRefreshed" or "twoFactorRequired"
+     * @param {Function} listener - Called with the event details
+     * @returns {Function} - Removes the listener
+     */
+    on: events.on,
+
+    /**
+     * Listen for the next occurrence of a session change
+     * @param {string} event - "login", "logout", "tokenExpired", "tokenRefreshed" or "twoFactorRequired"
+     * @param {Function} listener - Called with the event details
+     * @returns {Function} - Removes the listener
+     */
+    once: events.once,
+
+    /**
+     * Stop listening for session changes
+     * @param {string} event - "login", "logout", "tokenExpired", "tokenRefreshed" or "twoFactorRequired"
+     * @param {Function} listener - The listener passed to on()
+     */
+    off: events.off,
   };
 
   /**
@@ -123,36 +931,66 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The collections information
      */
-    getAll: async (params = {}) => await request("/collections", params),
+    getAll: async (params = {}, options) =>
+      await request("/collections", params, options),
+
+    /**
+     * Iterate over all collections, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The collections
+     */
+    iterate: (params = {}, options) => pages("/collections", params, options),
 
     /**
      * Get a specific collection by ID
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The collection information
      */
-    getById: async (id) => await request(`/collections/${id}`),
+    getById: async (id, options) =>
+      await request(`/collections/${id}`, {}, options),
 
     /**
      * Search collections
-     * @param {Object} params - Search parameters
+     * @param {Object} params - Search parameters, or a createQuery("collections") builder
      * @param {string} params.query - Search query
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The search results
      */
-    search: async (params) => await request("/collections/search", params),
+    search: async (params, options) =>
+      await request("/collections/search", params, options),
+
+    /**
+     * Iterate over all collection search results, fetching pages as needed
+     * @param {Object} [params] - Query parameters, or a createQuery("collections") builder
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The collection search results
+     */
+    iterateSearch: (params = {}, options) =>
+      pages("/collections/search", params, options),
 
     /**
      * Create a new collection
      * @param {Object} params - Collection parameters
      * @param {string} params.name - Collection name
      * @param {string} [params.description] - Collection description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created collection information
      */
-    create: async (params) =>
-      await request("/collections", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/collections",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing collection
@@ -160,18 +998,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Collection parameters
      * @param {string} [params.name] - Collection name
      * @param {string} [params.description] - Collection description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated collection information
      */
-    update: async (id, params) =>
-      await request(`/collections/${id}`, params, { method: "PATCH" }),
+    update: async (id, params, options) =>
+      await request(
+        `/collections/${id}`,
+        {},
+        { ...options, method: "PATCH", body: params }
+      ),
 
     /**
      * Delete a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/collections/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/collections/${id}`, {}, { ...options, method: "DELETE" }),
 
     /**
      * Get the children of a collection
@@ -179,69 +1023,95 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The children information
      */
-    getChildren: async (id, params = {}) =>
-      await request(`/collections/${id}/children`, params),
+    getChildren: async (id, params = {}, options) =>
+      await request(`/collections/${id}/children`, params, options),
+
+    /**
+     * Iterate over all children of a collection, fetching pages as needed
+     * @param {string} id - The ID of the collection
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The children of a collection
+     */
+    iterateChildren: (id, params = {}, options) =>
+      pages(`/collections/${id}/children`, params, options),
 
     /**
      * Get the child count of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The child count information
      */
-    getChildCount: async (id) => await request(`/collections/${id}/count`),
+    getChildCount: async (id, options) =>
+      await request(`/collections/${id}/count`, {}, options),
 
     /**
      * Get the key image of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The key image information
      */
-    getKeyImage: async (id) => await request(`/collections/${id}/key_image`),
+    getKeyImage: async (id, options) =>
+      await request(`/collections/${id}/key_image`, {}, options),
 
     /**
      * Get the link to a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The link information
      */
-    getLink: async (id) => await request(`/collections/${id}/link`),
+    getLink: async (id, options) =>
+      await request(`/collections/${id}/link`, {}, options),
 
     /**
      * Get the access (visibility) of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The access information
      */
-    getAccess: async (id) => await request(`/collections/${id}/access`),
+    getAccess: async (id, options) =>
+      await request(`/collections/${id}/access`, {}, options),
 
     /**
      * Get a specific child of a collection
      * @param {string} id - The ID of the collection
      * @param {string} childId - The ID of the child
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The child information
      */
-    getChildById: async (id, childId) =>
-      await request(`/collections/${id}/children/${childId}`),
+    getChildById: async (id, childId, options) =>
+      await request(`/collections/${id}/children/${childId}`, {}, options),
 
     /**
      * Get the access rights (permissions) of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The permissions information
      */
-    getPermissions: async (id) =>
-      await request(`/collections/${id}/permissions`),
+    getPermissions: async (id, options) =>
+      await request(`/collections/${id}/permissions`, {}, options),
 
     /**
      * Get the parent of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The parent information
      */
-    getParent: async (id) => await request(`/collections/${id}/parent`),
+    getParent: async (id, options) =>
+      await request(`/collections/${id}/parent`, {}, options),
 
     /**
      * Get the breadcrumb path of a collection
      * @param {string} id - The ID of the collection
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The breadcrumb path information
      */
-    getPath: async (id) => await request(`/collections/${id}/path`),
+    getPath: async (id, options) =>
+      await request(`/collections/${id}/path`, {}, options),
   };
 
   /**
@@ -256,16 +1126,29 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} [params.email] - Filter by email
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The search results
      */
-    search: async (params = {}) => await request("/contacts", params),
+    search: async (params = {}, options) =>
+      await request("/contacts", params, options),
+
+    /**
+     * Iterate over all contact search results, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The contact search results
+     */
+    iterate: (params = {}, options) => pages("/contacts", params, options),
 
     /**
      * Get a specific contact by ID
      * @param {string} id - The ID of the contact
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The contact information
      */
-    getById: async (id) => await request(`/contacts/${id}`),
+    getById: async (id, options) =>
+      await request(`/contacts/${id}`, {}, options),
   };
 
   /**
@@ -278,26 +1161,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The list of embed tokens
      */
-    getAll: async (params = {}) => await request("/embed-tokens", params),
+    getAll: async (params = {}, options) =>
+      await request("/embed-tokens", params, options),
+
+    /**
+     * Iterate over all embed tokens, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The embed tokens
+     */
+    iterate: (params = {}, options) => pages("/embed-tokens", params, options),
 
     /**
      * Create an embed token
      * @param {Object} data - Embed token data
      * @param {string} data.name - The name of the token
      * @param {string} [data.description] - The description of the token
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created embed token information
      */
-    create: async (data) =>
-      await request("/embed-tokens", data, { method: "POST" }),
+    create: async (data, options) =>
+      await request(
+        "/embed-tokens",
+        {},
+        { ...options, method: "POST", body: data }
+      ),
 
     /**
      * Get a specific embed token by ID
      * @param {string} id - The ID of the embed token
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The embed token information
      */
-    getById: async (id) => await request(`/embed-tokens/${id}`),
+    getById: async (id, options) =>
+      await request(`/embed-tokens/${id}`, {}, options),
 
     /**
      * Update an embed token by ID
@@ -305,18 +1206,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} data - Embed token data
      * @param {string} [data.name] - The name of the token
      * @param {string} [data.description] - The description of the token
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated embed token information
      */
-    updateById: async (id, data) =>
-      await request(`/embed-tokens/${id}`, data, { method: "PATCH" }),
+    updateById: async (id, data, options) =>
+      await request(
+        `/embed-tokens/${id}`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Delete an embed token by ID
      * @param {string} id - The ID of the embed token
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteById: async (id) =>
-      await request(`/embed-tokens/${id}`, {}, { method: "DELETE" }),
+    deleteById: async (id, options) =>
+      await request(
+        `/embed-tokens/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
   };
 
   /**
@@ -327,45 +1238,52 @@ export function PhotoShelterV4API(apiKey) {
     /**
      * Add a new face image to a person
      * @param {Object} data - Face data
-     * @param {File} data.file - Image file of the face
+     * @param {UploadSource} data.file - Image file of the face (contents, stream or file path)
      * @param {string} data.person_id - The ID of the person
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created face information
      */
-    add: async (data) =>
-      await request("/faces", data, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      }),
+    add: async (data, options) =>
+      await request(
+        "/faces",
+        {},
+        { ...options, method: "POST", body: data, bodyType: "multipart" }
+      ),
 
     /**
      * Get a specific face by ID
      * @param {string} id - The ID of the face
      * @param {Object} params - Query parameters
      * @param {string} [params.include] - Include related resources of the primary resource
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The face information
      */
-    getById: async (id, params = {}) => await request(`/faces/${id}`, params),
+    getById: async (id, params = {}, options) =>
+      await request(`/faces/${id}`, params, options),
 
     /**
      * Update a face by ID
      * @param {string} id - The ID of the face
      * @param {Object} data - Face data
      * @param {string} data.person_id - The ID of the person
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated face information
      */
-    updateById: async (id, data) =>
-      await request(`/faces/${id}`, data, {
-        method: "PATCH",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      }),
+    updateById: async (id, data, options) =>
+      await request(
+        `/faces/${id}`,
+        {},
+        { ...options, method: "PATCH", body: data, bodyType: "form" }
+      ),
 
     /**
      * Delete a face by ID
      * @param {string} id - The ID of the face
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteById: async (id) =>
-      await request(`/faces/${id}`, {}, { method: "DELETE" }),
+    deleteById: async (id, options) =>
+      await request(`/faces/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -378,16 +1296,29 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The galleries information
      */
-    getAll: async (params = {}) => await request("/galleries", params),
+    getAll: async (params = {}, options) =>
+      await request("/galleries", params, options),
+
+    /**
+     * Iterate over all galleries, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The galleries
+     */
+    iterate: (params = {}, options) => pages("/galleries", params, options),
 
     /**
      * Get a specific gallery by ID
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The gallery information
      */
-    getById: async (id) => await request(`/galleries/${id}`),
+    getById: async (id, options) =>
+      await request(`/galleries/${id}`, {}, options),
 
     /**
      * Create a gallery
@@ -395,170 +1326,248 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} data.name - The name of the gallery
      * @param {string} [data.description] - The description of the gallery
      * @param {boolean} [data.is_public] - Whether the gallery is public
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created gallery information
      */
-    create: async (data) =>
-      await request("/galleries", data, { method: "POST" }),
+    create: async (data, options) =>
+      await request(
+        "/galleries",
+        {},
+        { ...options, method: "POST", body: data }
+      ),
 
     /**
      * Batch update galleries
      * @param {Object} data - The gallery data
      * @param {string[]} data.gallery_ids - Array of gallery IDs to be updated
      * @param {Object} [data.updates] - Updates to apply to the galleries
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated galleries information
      */
-    batchUpdate: async (data) =>
-      await request("/galleries/batch", data, { method: "PATCH" }),
+    batchUpdate: async (data, options) =>
+      await request(
+        "/galleries/batch",
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Update a gallery by ID
      * @param {string} id - The ID of the gallery
      * @param {Object} data - The updated gallery data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    updateById: async (id, data) =>
-      await request(`/galleries/${id}`, data, { method: "PATCH" }),
+    updateById: async (id, data, options) =>
+      await request(
+        `/galleries/${id}`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Delete a gallery by ID
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteById: async (id) =>
-      await request(`/galleries/${id}`, {}, { method: "DELETE" }),
+    deleteById: async (id, options) =>
+      await request(`/galleries/${id}`, {}, { ...options, method: "DELETE" }),
 
     /**
      * Get the access (visibility) of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The access information
      */
-    getAccessById: async (id) => await request(`/galleries/${id}/access`),
+    getAccessById: async (id, options) =>
+      await request(`/galleries/${id}/access`, {}, options),
 
     /**
      * Get the child count of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The child count information
      */
-    getChildCountById: async (id) => await request(`/galleries/${id}/count`),
+    getChildCountById: async (id, options) =>
+      await request(`/galleries/${id}/count`, {}, options),
 
     /**
      * Get the children of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {Object} params - Query parameters
+     * @param {number} [params.page] - Page number
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The children information
      */
-    getChildrenById: async (id) => await request(`/galleries/${id}/children`),
+    getChildrenById: async (id, params = {}, options) =>
+      await request(`/galleries/${id}/children`, params, options),
+
+    /**
+     * Iterate over all children of a gallery, fetching pages as needed
+     * @param {string} id - The ID of the gallery
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The children of a gallery
+     */
+    iterateChildrenById: (id, params = {}, options) =>
+      pages(`/galleries/${id}/children`, params, options),
 
     /**
      * Add a child to a gallery
      * @param {string} id - The ID of the gallery
      * @param {Object} data - The child data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    addChildById: async (id, data) =>
-      await request(`/galleries/${id}/children`, data, { method: "POST" }),
+    addChildById: async (id, data, options) =>
+      await request(
+        `/galleries/${id}/children`,
+        {},
+        { ...options, method: "POST", body: data }
+      ),
 
     /**
      * Remove a child from a gallery
      * @param {string} id - The ID of the gallery
      * @param {string} childId - The ID of the child to be removed
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    removeChildById: async (id, childId) =>
+    removeChildById: async (id, childId, options) =>
       await request(
         `/galleries/${id}/children/${childId}`,
         {},
-        { method: "DELETE" }
+        { ...options, method: "DELETE" }
       ),
 
     /**
      * Get a specific child from a gallery
      * @param {string} id - The ID of the gallery
      * @param {string} childId - The ID of the child
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The child information
      */
-    getChildById: async (id, childId) =>
-      await request(`/galleries/${id}/children/${childId}`),
+    getChildById: async (id, childId, options) =>
+      await request(`/galleries/${id}/children/${childId}`, {}, options),
 
     /**
      * Update the media in a gallery
      * @param {string} id - The ID of the gallery
      * @param {Object} data - The media data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    updateMedia: async (id, data) =>
-      await request(`/galleries/${id}/media`, data, { method: "PATCH" }),
+    updateMedia: async (id, data, options) =>
+      await request(
+        `/galleries/${id}/media`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get the cover of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The cover information
      */
-    getCoverById: async (id) => await request(`/galleries/${id}/cover`),
+    getCoverById: async (id, options) =>
+      await request(`/galleries/${id}/cover`, {}, options),
 
     /**
      * Get the key image of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The key image information
      */
-    getKeyImageById: async (id) => await request(`/galleries/${id}/key_image`),
+    getKeyImageById: async (id, options) =>
+      await request(`/galleries/${id}/key_image`, {}, options),
 
     /**
      * Update the key image of a gallery
      * @param {string} id - The ID of the gallery
      * @param {Object} data - The key image data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated key image information
      */
-    updateKeyImageById: async (id, data) =>
-      await request(`/galleries/${id}/key_image`, data, { method: "PATCH" }),
+    updateKeyImageById: async (id, data, options) =>
+      await request(
+        `/galleries/${id}/key_image`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get the link of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The link information
      */
-    getLinkById: async (id) => await request(`/galleries/${id}/link`),
+    getLinkById: async (id, options) =>
+      await request(`/galleries/${id}/link`, {}, options),
 
     /**
      * Get the parents of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The parents information
      */
-    getParentsById: async (id) => await request(`/galleries/${id}/parents`),
+    getParentsById: async (id, options) =>
+      await request(`/galleries/${id}/parents`, {}, options),
 
     /**
      * Add a parent to a gallery
      * @param {string} id - The ID of the gallery
      * @param {Object} data - The parent data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    addParentById: async (id, data) =>
-      await request(`/galleries/${id}/parents`, data, { method: "POST" }),
+    addParentById: async (id, data, options) =>
+      await request(
+        `/galleries/${id}/parents`,
+        {},
+        { ...options, method: "POST", body: data }
+      ),
 
     /**
      * Remove a parent from a gallery
      * @param {string} id - The ID of the gallery
      * @param {string} parentId - The ID of the parent to be removed
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated gallery information
      */
-    removeParentById: async (id, parentId) =>
+    removeParentById: async (id, parentId, options) =>
       await request(
         `/galleries/${id}/parents/${parentId}`,
         {},
-        { method: "DELETE" }
+        { ...options, method: "DELETE" }
       ),
 
     /**
      * Get the breadcrumb path of a gallery
      * @param {string} id - The ID of the gallery
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The breadcrumb path information
      */
-    getPathById: async (id) => await request(`/galleries/${id}/path`),
+    getPathById: async (id, options) =>
+      await request(`/galleries/${id}/path`, {}, options),
   };
 
+  /**
+   * @deprecated Use `session` instead
+   */
   const info = {
-    authToken,
-    org,
-    isTwoFactor,
+    get authToken() {
+      return authToken;
+    },
+    get org() {
+      return org;
+    },
+    get isTwoFactor() {
+      return isTwoFactor;
+    },
   };
 
   /**
@@ -568,9 +1577,10 @@ export function PhotoShelterV4API(apiKey) {
   const integrations = {
     /**
      * List integration information
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - List of integration information
      */
-    list: async () => await request("/integrations"),
+    list: async (options) => await request("/integrations", {}, options),
   };
 
   /**
@@ -584,9 +1594,20 @@ export function PhotoShelterV4API(apiKey) {
      * @param {boolean} [params.is_listed] - Filter by listed or unlisted
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The library listing
      */
-    getAll: async (params = {}) => await request("/library", params),
+    getAll: async (params = {}, options) =>
+      await request("/library", params, options),
+
+    /**
+     * Iterate over the whole library listing, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The library listing
+     */
+    iterate: (params = {}, options) => pages("/library", params, options),
   };
 
   /**
@@ -596,208 +1617,336 @@ export function PhotoShelterV4API(apiKey) {
   const media = {
     /**
      * Retrieve a list of media
-     * @param {Object} params - Query parameters
+     * @param {Object} params - Query parameters, or a createQuery("media") builder
      * @param {string} [params.query] - Search query
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The media information
      */
-    getAll: async (params = {}) => await request("/media", params),
+    getAll: async (params = {}, options) =>
+      await request("/media", params, options),
+
+    /**
+     * Iterate over all media, fetching pages as needed
+     * @param {Object} [params] - Query parameters, or a createQuery("media") builder
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The media
+     */
+    iterate: (params = {}, options) => pages("/media", params, options),
 
     /**
      * Create a new media
      * @param {Object} data - Media data
+     * @param {UploadSource} data.file - Media file (contents, stream or file path)
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created media information
      */
-    create: async (data) => await request("/media", data, { method: "POST" }),
+    create: async (data, options) =>
+      await request(
+        "/media",
+        {},
+        { ...options, method: "POST", body: data, bodyType: "multipart" }
+      ),
 
     /**
      * Batch update media
      * @param {Object} data - Media data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated media information
      */
-    batchUpdate: async (data) =>
-      await request("/media/batch", data, { method: "PATCH" }),
+    batchUpdate: async (data, options) =>
+      await request(
+        "/media/batch",
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Batch download media
      * @param {Object} params - Download parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The download response
      */
-    batchDownload: async (params) =>
-      await request("/media/batch/download", params),
+    batchDownload: async (params, options) =>
+      await request("/media/batch/download", params, options),
 
     /**
      * Batch get a set of media download options
      * @param {Object} params - Download options parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The download options response
      */
-    getBatchDownloadOptions: async (params) =>
-      await request("/media/batch/download/options", params),
+    getBatchDownloadOptions: async (params, options) =>
+      await request("/media/batch/download/options", params, options),
 
     /**
      * Batch update media metadata (Video only)
      * @param {Object} data - Metadata data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated metadata information
      */
-    batchUpdateMetadata: async (data) =>
-      await request("/media/batch/metadata", data, { method: "PATCH" }),
+    batchUpdateMetadata: async (data, options) =>
+      await request(
+        "/media/batch/metadata",
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get a specific media by ID
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The media information
      */
-    getById: async (id) => await request(`/media/${id}`),
+    getById: async (id, options) => await request(`/media/${id}`, {}, options),
 
     /**
      * Update a media by ID
      * @param {string} id - The ID of the media
      * @param {Object} data - Media data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated media information
      */
-    updateById: async (id, data) =>
-      await request(`/media/${id}`, data, { method: "PATCH" }),
+    updateById: async (id, data, options) =>
+      await request(
+        `/media/${id}`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Delete a media by ID
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteById: async (id) =>
-      await request(`/media/${id}`, {}, { method: "DELETE" }),
+    deleteById: async (id, options) =>
+      await request(`/media/${id}`, {}, { ...options, method: "DELETE" }),
 
     /**
      * Get custom metadata of a media (Image only)
      * @param {string} id - The ID of the image
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The custom metadata information
      */
-    getCustomMetadataById: async (id) =>
-      await request(`/media/${id}/custom_metadata`),
+    getCustomMetadataById: async (id, options) =>
+      await request(`/media/${id}/custom_metadata`, {}, options),
 
     /**
      * Download media
      * @param {string} id - The ID of the media
      * @param {Object} params - Download parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The download response
      */
-    downloadById: async (id, params = {}) =>
-      await request(`/media/${id}/download`, params),
+    downloadById: async (id, params = {}, options) =>
+      await request(`/media/${id}/download`, params, options),
 
     /**
      * Download and transform media
      * @param {string} id - The ID of the media
      * @param {Object} params - Transform parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The download response
      */
-    downloadTransformById: async (id, params = {}) =>
-      await request(`/media/${id}/download/transform`, params),
+    downloadTransformById: async (id, params = {}, options) =>
+      await request(`/media/${id}/download/transform`, params, options),
+
+    /**
+     * Stream a media download without buffering it in memory.
+     * Redirects to a CDN are followed without sending auth headers.
+     * @param {string} id - The ID of the media
+     * @param {Object} params - Download parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @param {function(Object): void} [options.onProgress] - Called with `{ loaded, total, percent }` as bytes arrive
+     * @returns {Promise<{stream: ReadableStream, size: number|null, contentType: string|null, filename: string|null}>} - The body stream and file details
+     */
+    streamById: async (id, params = {}, options) =>
+      await streamDownload(`/media/${id}/download`, params, options),
+
+    /**
+     * Stream a transformed media download without buffering it in memory
+     * @param {string} id - The ID of the media
+     * @param {Object} params - Transform parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @param {function(Object): void} [options.onProgress] - Called with `{ loaded, total, percent }` as bytes arrive
+     * @returns {Promise<{stream: ReadableStream, size: number|null, contentType: string|null, filename: string|null}>} - The body stream and file details
+     */
+    streamTransformById: async (id, params = {}, options) =>
+      await streamDownload(`/media/${id}/download/transform`, params, options),
+
+    /**
+     * Download media straight to a file (Node.js only)
+     * @param {string} id - The ID of the media
+     * @param {string} path - The destination file
+     * @param {Object} [download] - Download settings
+     * @param {Object} [download.params] - Download or transform parameters
+     * @param {boolean} [download.transform] - Use the transform endpoint
+     * @param {boolean} [download.resume] - Continue a partial file with a Range request
+     * @param {string} [download.validator] - The `validator` of the earlier, partial download: the file restarts if it changed since
+     * @param {function(Object): void} [download.onProgress] - Called with `{ loaded, total, percent }` as bytes arrive
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<{path: string, size: number|null, resumed: boolean, validator: string|null}>} - The written file, and its ETag or Last-Modified date
+     * @throws {PhotoShelterError} When the download fails; an error while writing carries the `validator` of the partial file
+     */
+    downloadToFileById: async (id, path, download = {}, options) =>
+      await saveDownload(
+        `/media/${id}/download${download.transform ? "/transform" : ""}`,
+        path,
+        download,
+        options
+      ),
 
     /**
      * Get galleries for a media
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The galleries information
      */
-    getGalleriesById: async (id) => await request(`/media/${id}/galleries`),
+    getGalleriesById: async (id, options) =>
+      await request(`/media/${id}/galleries`, {}, options),
 
     /**
      * Get EXIF data of a media
      * @param {string} id - The ID of the image
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The EXIF data
      */
-    getExifById: async (id) => await request(`/media/${id}/exif`),
+    getExifById: async (id, options) =>
+      await request(`/media/${id}/exif`, {}, options),
 
     /**
      * Get IPTC data of a media
      * @param {string} id - The ID of the image
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The IPTC data
      */
-    getIptcById: async (id) => await request(`/media/${id}/iptc`),
+    getIptcById: async (id, options) =>
+      await request(`/media/${id}/iptc`, {}, options),
 
     /**
      * Update IPTC data of a media
      * @param {string} id - The ID of the image
      * @param {Object} data - IPTC data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated IPTC data
      */
-    updateIptcById: async (id, data) =>
-      await request(`/media/${id}/iptc`, data, { method: "PATCH" }),
+    updateIptcById: async (id, data, options) =>
+      await request(
+        `/media/${id}/iptc`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get link of a media
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The link information
      */
-    getLinkById: async (id) => await request(`/media/${id}/link`),
+    getLinkById: async (id, options) =>
+      await request(`/media/${id}/link`, {}, options),
 
     /**
      * Get metadata of a media
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata information
      */
-    getMetadataById: async (id) => await request(`/media/${id}/metadata`),
+    getMetadataById: async (id, options) =>
+      await request(`/media/${id}/metadata`, {}, options),
 
     /**
      * Update metadata of a media
      * @param {string} id - The ID of the media
      * @param {Object} data - Metadata data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated metadata information
      */
-    updateMetadataById: async (id, data) =>
-      await request(`/media/${id}/metadata`, data, { method: "PATCH" }),
+    updateMetadataById: async (id, data, options) =>
+      await request(
+        `/media/${id}/metadata`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get machine learning metadata of a media
      * @param {string} id - The ID of the media
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The machine learning metadata information
      */
-    getMlMetadataById: async (id) => await request(`/media/${id}/ml_metadata`),
+    getMlMetadataById: async (id, options) =>
+      await request(`/media/${id}/ml_metadata`, {}, options),
 
     /**
      * Update machine learning metadata of a media
      * @param {string} id - The ID of the media
      * @param {Object} data - Machine learning metadata data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated machine learning metadata information
      */
-    updateMlMetadataById: async (id, data) =>
-      await request(`/media/${id}/ml_metadata`, data, { method: "PATCH" }),
+    updateMlMetadataById: async (id, data, options) =>
+      await request(
+        `/media/${id}/ml_metadata`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Get XMP data of a media
      * @param {string} id - The ID of the image
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The XMP data
      */
-    getXmpById: async (id) => await request(`/media/${id}/xmp`),
+    getXmpById: async (id, options) =>
+      await request(`/media/${id}/xmp`, {}, options),
 
     /**
      * Update XMP data of a media
      * @param {string} id - The ID of the image
      * @param {Object} data - XMP data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated XMP data
      */
-    updateXmpById: async (id, data) =>
-      await request(`/media/${id}/xmp`, data, { method: "PATCH" }),
+    updateXmpById: async (id, data, options) =>
+      await request(
+        `/media/${id}/xmp`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
 
     /**
      * Upload a subtitle/caption
      * @param {string} id - The ID of the video
      * @param {Object} data - Subtitle data
+     * @param {UploadSource} data.file - Subtitle file (contents, stream or file path)
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The upload response
      */
-    uploadSubtitleById: async (id, data) =>
-      await request(`/media/${id}/subtitle`, data, { method: "POST" }),
+    uploadSubtitleById: async (id, data, options) =>
+      await request(
+        `/media/${id}/subtitle`,
+        {},
+        { ...options, method: "POST", body: data, bodyType: "multipart" }
+      ),
 
     /**
      * Update a subtitle/caption
      * @param {string} id - The ID of the video
      * @param {string} subtitleId - The ID of the subtitle
      * @param {Object} data - Subtitle data
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated subtitle information
      */
-    updateSubtitleById: async (id, subtitleId, data) =>
-      await request(`/media/${id}/subtitle/${subtitleId}`, data, {
-        method: "PATCH",
-      }),
+    updateSubtitleById: async (id, subtitleId, data, options) =>
+      await request(
+        `/media/${id}/subtitle/${subtitleId}`,
+        {},
+        { ...options, method: "PATCH", body: data }
+      ),
   };
 
   /**
@@ -810,10 +1959,22 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} mediaId - The ID of the media
      * @param {Object} [params] - Query parameters
      * @param {string} [params.include] - Include additional information
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The list of media versions
      */
-    getAll: async (mediaId, params = {}) =>
-      await request(`/media/${mediaId}/versions`, params),
+    getAll: async (mediaId, params = {}, options) =>
+      await request(`/media/${mediaId}/versions`, params, options),
+
+    /**
+     * Iterate over all versions of a media, fetching pages as needed
+     * @param {string} mediaId - The ID of the media
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The versions of a media
+     */
+    iterate: (mediaId, params = {}, options) =>
+      pages(`/media/${mediaId}/versions`, params, options),
 
     /**
      * Create a new version for a given media ID
@@ -821,10 +1982,16 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} data - Media version parameters
      * @param {string} data.version_label - Label for the new version
      * @param {string} [data.note] - Note for the new version
+     * @param {UploadSource} [data.file] - Version file (contents, stream or file path)
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created media version information
      */
-    create: async (mediaId, data) =>
-      await request(`/media/${mediaId}/versions`, data, { method: "POST" }),
+    create: async (mediaId, data, options) =>
+      await request(
+        `/media/${mediaId}/versions`,
+        {},
+        { ...options, method: "POST", body: data, bodyType: "multipart" }
+      ),
 
     /**
      * Update a specific media version by ID
@@ -833,24 +2000,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} data - Media version parameters
      * @param {string} [data.version_label] - Label for the version
      * @param {string} [data.note] - Note for the version
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated media version information
      */
-    update: async (mediaId, versionId, data) =>
-      await request(`/media/${mediaId}/versions/${versionId}`, data, {
-        method: "PUT",
-      }),
+    update: async (mediaId, versionId, data, options) =>
+      await request(
+        `/media/${mediaId}/versions/${versionId}`,
+        {},
+        { ...options, method: "PUT", body: data }
+      ),
 
     /**
      * Delete a specific media version by ID
      * @param {string} mediaId - The ID of the media
      * @param {string} versionId - The ID of the media version
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (mediaId, versionId) =>
+    delete: async (mediaId, versionId, options) =>
       await request(
         `/media/${mediaId}/versions/${versionId}`,
         {},
-        { method: "DELETE" }
+        { ...options, method: "DELETE" }
       ),
 
     /**
@@ -858,24 +2029,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} mediaId - The ID of the media
      * @param {string} versionId - The ID of the media version
      * @param {Object} data - Media version parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated media version information
      */
-    updateDetails: async (mediaId, versionId, data) =>
-      await request(`/media/${mediaId}/versions/${versionId}/details`, data, {
-        method: "PUT",
-      }),
+    updateDetails: async (mediaId, versionId, data, options) =>
+      await request(
+        `/media/${mediaId}/versions/${versionId}/details`,
+        {},
+        { ...options, method: "PUT", body: data }
+      ),
 
     /**
      * Activate a media version by ID
      * @param {string} mediaId - The ID of the media
      * @param {string} versionId - The ID of the media version
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The activation response
      */
-    activate: async (mediaId, versionId) =>
+    activate: async (mediaId, versionId, options) =>
       await request(
         `/media/${mediaId}/versions/${versionId}/activate`,
         {},
-        { method: "POST" }
+        { ...options, method: "POST" }
       ),
   };
 
@@ -889,26 +2064,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The machine learning metadata information
      */
-    getAll: async (params = {}) => await request("/ml-metadata", params),
+    getAll: async (params = {}, options) =>
+      await request("/ml-metadata", params, options),
+
+    /**
+     * Iterate over all machine learning metadata, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The machine learning metadata
+     */
+    iterate: (params = {}, options) => pages("/ml-metadata", params, options),
 
     /**
      * Get a specific machine learning metadata by ID
      * @param {string} id - The ID of the machine learning metadata
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The machine learning metadata information
      */
-    getById: async (id) => await request(`/ml-metadata/${id}`),
+    getById: async (id, options) =>
+      await request(`/ml-metadata/${id}`, {}, options),
 
     /**
      * Create a new machine learning metadata
      * @param {Object} params - Machine learning metadata parameters
      * @param {string} params.name - Machine learning metadata name
      * @param {string} params.description - Machine learning metadata description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created machine learning metadata information
      */
-    create: async (params) =>
-      await request("/ml-metadata", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/ml-metadata",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing machine learning metadata
@@ -916,18 +2109,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Machine learning metadata parameters
      * @param {string} [params.name] - Machine learning metadata name
      * @param {string} [params.description] - Machine learning metadata description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated machine learning metadata information
      */
-    update: async (id, params) =>
-      await request(`/ml-metadata/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/ml-metadata/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a machine learning metadata
      * @param {string} id - The ID of the machine learning metadata
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/ml-metadata/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/ml-metadata/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -940,27 +2139,45 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata information
      */
-    getAllFields: async (params = {}) =>
-      await request("/metadata/fields", params),
+    getAllFields: async (params = {}, options) =>
+      await request("/metadata/fields", params, options),
+
+    /**
+     * Iterate over all metadata fields, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The metadata fields
+     */
+    iterateFields: (params = {}, options) =>
+      pages("/metadata/fields", params, options),
 
     /**
      * Get a specific metadata field by ID
      * @param {string} id - The ID of the metadata field
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata field information
      */
-    getFieldById: async (id) => await request(`/metadata/fields/${id}`),
+    getFieldById: async (id, options) =>
+      await request(`/metadata/fields/${id}`, {}, options),
 
     /**
      * Create a new metadata field
      * @param {Object} params - Metadata field parameters
      * @param {string} params.name - Metadata field name
      * @param {string} params.description - Metadata field description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created metadata field information
      */
-    createField: async (params) =>
-      await request("/metadata/fields", params, { method: "POST" }),
+    createField: async (params, options) =>
+      await request(
+        "/metadata/fields",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing metadata field
@@ -968,45 +2185,73 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Metadata field parameters
      * @param {string} [params.name] - Metadata field name
      * @param {string} [params.description] - Metadata field description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated metadata field information
      */
-    updateField: async (id, params) =>
-      await request(`/metadata/fields/${id}`, params, { method: "PUT" }),
+    updateField: async (id, params, options) =>
+      await request(
+        `/metadata/fields/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a metadata field
      * @param {string} id - The ID of the metadata field
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteField: async (id) =>
-      await request(`/metadata/fields/${id}`, {}, { method: "DELETE" }),
+    deleteField: async (id, options) =>
+      await request(
+        `/metadata/fields/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
 
     /**
      * Get all metadata schemas
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata schemas information
      */
-    getAllSchemas: async (params = {}) =>
-      await request("/metadata/schemas", params),
+    getAllSchemas: async (params = {}, options) =>
+      await request("/metadata/schemas", params, options),
+
+    /**
+     * Iterate over all metadata schemas, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The metadata schemas
+     */
+    iterateSchemas: (params = {}, options) =>
+      pages("/metadata/schemas", params, options),
 
     /**
      * Get a specific metadata schema by ID
      * @param {string} id - The ID of the metadata schema
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata schema information
      */
-    getSchemaById: async (id) => await request(`/metadata/schemas/${id}`),
+    getSchemaById: async (id, options) =>
+      await request(`/metadata/schemas/${id}`, {}, options),
 
     /**
      * Create a new metadata schema
      * @param {Object} params - Metadata schema parameters
      * @param {string} params.name - Metadata schema name
      * @param {string} params.description - Metadata schema description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created metadata schema information
      */
-    createSchema: async (params) =>
-      await request("/metadata/schemas", params, { method: "POST" }),
+    createSchema: async (params, options) =>
+      await request(
+        "/metadata/schemas",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing metadata schema
@@ -1014,45 +2259,73 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Metadata schema parameters
      * @param {string} [params.name] - Metadata schema name
      * @param {string} [params.description] - Metadata schema description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated metadata schema information
      */
-    updateSchema: async (id, params) =>
-      await request(`/metadata/schemas/${id}`, params, { method: "PUT" }),
+    updateSchema: async (id, params, options) =>
+      await request(
+        `/metadata/schemas/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a metadata schema
      * @param {string} id - The ID of the metadata schema
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteSchema: async (id) =>
-      await request(`/metadata/schemas/${id}`, {}, { method: "DELETE" }),
+    deleteSchema: async (id, options) =>
+      await request(
+        `/metadata/schemas/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
 
     /**
      * Get all metadata values
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata values information
      */
-    getAllValues: async (params = {}) =>
-      await request("/metadata/values", params),
+    getAllValues: async (params = {}, options) =>
+      await request("/metadata/values", params, options),
+
+    /**
+     * Iterate over all metadata values, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The metadata values
+     */
+    iterateValues: (params = {}, options) =>
+      pages("/metadata/values", params, options),
 
     /**
      * Get a specific metadata value by ID
      * @param {string} id - The ID of the metadata value
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The metadata value information
      */
-    getValueById: async (id) => await request(`/metadata/values/${id}`),
+    getValueById: async (id, options) =>
+      await request(`/metadata/values/${id}`, {}, options),
 
     /**
      * Create a new metadata value
      * @param {Object} params - Metadata value parameters
      * @param {string} params.field_id - ID of the associated metadata field
      * @param {string} params.value - Metadata value
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created metadata value information
      */
-    createValue: async (params) =>
-      await request("/metadata/values", params, { method: "POST" }),
+    createValue: async (params, options) =>
+      await request(
+        "/metadata/values",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing metadata value
@@ -1060,18 +2333,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Metadata value parameters
      * @param {string} [params.field_id] - ID of the associated metadata field
      * @param {string} [params.value] - Metadata value
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated metadata value information
      */
-    updateValue: async (id, params) =>
-      await request(`/metadata/values/${id}`, params, { method: "PUT" }),
+    updateValue: async (id, params, options) =>
+      await request(
+        `/metadata/values/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a metadata value
      * @param {string} id - The ID of the metadata value
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    deleteValue: async (id) =>
-      await request(`/metadata/values/${id}`, {}, { method: "DELETE" }),
+    deleteValue: async (id, options) =>
+      await request(
+        `/metadata/values/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
   };
 
   /**
@@ -1079,6 +2362,112 @@ export function PhotoShelterV4API(apiKey) {
    * @namespace oauth
    */
   const oauth = {
+    /**
+     * Build the authorization page URL for the authorization-code flow with PKCE.
+     * Keep the returned `state` and `codeVerifier` for exchangeCode().
+     * @param {Object} [params] - Authorization parameters
+     * @param {string} [params.scope] - Scope, defaults to `config.oauth.scope`
+     * @param {string} [params.redirectUri] - Redirect URI, defaults to `config.oauth.redirectUri`
+     * @param {string} [params.state] - State value, generated if omitted
+     * @returns {Promise<{url: string, state: string, codeVerifier: string}>} - The URL to send the user to
+     */
+    getAuthorizeUrl: async ({
+      scope = config.oauth?.scope,
+      redirectUri = config.oauth?.redirectUri,
+      state = createState(),
+    } = {}) => {
+      const codeVerifier = createCodeVerifier();
+      const url = new URL(
+        config.oauth?.authorizeUrl || `${baseUrl}/oauth/authorize`
+      );
+      url.search = toForm({
+        response_type: "code",
+        client_id: config.oauth?.clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        code_challenge: await createCodeChallenge(codeVerifier),
+        code_challenge_method: "S256",
+      });
+      return { url: url.toString(), state, codeVerifier };
+    },
+
+    /**
+     * Exchange an authorization code for tokens and authenticate the client with them
+     * @param {Object} params - Exchange parameters
+     * @param {string} params.code - Authorization code from the redirect
+     * @param {string} params.codeVerifier - Verifier returned by getAuthorizeUrl()
+     * @param {string} [params.state] - State received on the redirect
+     * @param {string} [params.expectedState] - State returned by getAuthorizeUrl(), checked against `state`; required with `state`
+     * @param {string} [params.redirectUri] - Redirect URI, defaults to `config.oauth.redirectUri`
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - The OAuth tokens
+     * @throws {AuthenticationError} Throws an error if the state does not match, or cannot be checked
+     */
+    exchangeCode: async (
+      {
+        code,
+        codeVerifier,
+        state,
+        expectedState,
+        redirectUri = config.oauth?.redirectUri,
+      },
+      options
+    ) => {
+      // A state that is not checked would leave the flow open to CSRF
+      if (
+        (state !== undefined || expectedState !== undefined) &&
+        state !== expectedState
+      ) {
+        throw new AuthenticationError(
+          expectedState === undefined
+            ? "OAuth state received without an expectedState to check it against"
+            : "OAuth state mismatch",
+          { endpoint: "/oauth/token", method: "POST" }
+        );
+      }
+      const json = await oauth.token(
+        {
+          grant_type: "authorization_code",
+          code,
+          code_verifier: codeVerifier,
+          redirect_uri: redirectUri,
+        },
+        options
+      );
+      oauthTokens = toOAuthTokens(json);
+      storeLoaded = true;
+      await config.tokenStore?.set(exportSession());
+      events.emit("login", { oauth: true, scope: oauthTokens.scope });
+      return oauthTokens;
+    },
+
+    /**
+     * Get a new access token with the refresh token
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - The OAuth tokens
+     * @throws {AuthenticationError} Throws an error if there is no refresh token
+     */
+    refresh: async (options) => {
+      if (!oauthTokens?.refreshToken) {
+        throw new AuthenticationError("No OAuth refresh token available", {
+          endpoint: "/oauth/token",
+          method: "POST",
+        });
+      }
+      const json = await oauth.token(
+        {
+          grant_type: "refresh_token",
+          refresh_token: oauthTokens.refreshToken,
+        },
+        options
+      );
+      oauthTokens = toOAuthTokens(json, oauthTokens);
+      await config.tokenStore?.set(exportSession());
+      events.emit("tokenRefreshed", { expiresAt: oauthTokens.expiresAt });
+      return oauthTokens;
+    },
+
     /**
      * Authorize OAuth
      * @param {Object} params - OAuth parameters
@@ -1086,21 +2475,41 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} params.redirect_uri - Redirect URI
      * @param {string} params.response_type - Response type
      * @param {string} params.scope - Scope
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The authorization response
      */
-    authorize: async (params) => await request("/oauth/authorize", params),
+    authorize: async (params, options) =>
+      await request("/oauth/authorize", params, { ...options, auth: false }),
 
     /**
-     * Get OAuth token
+     * Get OAuth token. The client ID and secret default to `config.oauth`.
      * @param {Object} params - OAuth parameters
-     * @param {string} params.client_id - Client ID
-     * @param {string} params.client_secret - Client secret
-     * @param {string} params.code - Authorization code
-     * @param {string} params.redirect_uri - Redirect URI
+     * @param {string} [params.client_id] - Client ID
+     * @param {string} [params.client_secret] - Client secret
+     * @param {string} [params.code] - Authorization code
+     * @param {string} [params.code_verifier] - PKCE code verifier
+     * @param {string} [params.refresh_token] - Refresh token
+     * @param {string} [params.redirect_uri] - Redirect URI
      * @param {string} params.grant_type - Grant type
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The token response
      */
-    token: async (params) => await request("/oauth/token", params),
+    token: async (params, options) =>
+      await request(
+        "/oauth/token",
+        {},
+        {
+          ...options,
+          method: "POST",
+          body: {
+            client_id: config.oauth?.clientId,
+            client_secret: config.oauth?.clientSecret,
+            ...params,
+          },
+          bodyType: "form",
+          auth: false,
+        }
+      ),
   };
 
   /**
@@ -1113,26 +2522,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The organizations information
      */
-    getAll: async (params = {}) => await request("/organization", params),
+    getAll: async (params = {}, options) =>
+      await request("/organization", params, options),
+
+    /**
+     * Iterate over all organizations, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The organizations
+     */
+    iterate: (params = {}, options) => pages("/organization", params, options),
 
     /**
      * Get a specific organization by ID
      * @param {string} id - The ID of the organization
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The organization information
      */
-    getById: async (id) => await request(`/organization/${id}`),
+    getById: async (id, options) =>
+      await request(`/organization/${id}`, {}, options),
 
     /**
      * Create a new organization
      * @param {Object} params - Organization parameters
      * @param {string} params.name - Organization name
      * @param {string} params.description - Organization description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created organization information
      */
-    create: async (params) =>
-      await request("/organization", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/organization",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing organization
@@ -1140,18 +2567,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Organization parameters
      * @param {string} [params.name] - Organization name
      * @param {string} [params.description] - Organization description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated organization information
      */
-    update: async (id, params) =>
-      await request(`/organization/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/organization/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete an organization
      * @param {string} id - The ID of the organization
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/organization/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(
+        `/organization/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
   };
 
   /**
@@ -1164,26 +2601,43 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The people information
      */
-    getAll: async (params = {}) => await request("/people", params),
+    getAll: async (params = {}, options) =>
+      await request("/people", params, options),
+
+    /**
+     * Iterate over all people, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The people
+     */
+    iterate: (params = {}, options) => pages("/people", params, options),
 
     /**
      * Get a specific person by ID
      * @param {string} id - The ID of the person
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The person information
      */
-    getById: async (id) => await request(`/people/${id}`),
+    getById: async (id, options) => await request(`/people/${id}`, {}, options),
 
     /**
      * Create a new person
      * @param {Object} params - Person parameters
      * @param {string} params.name - Person name
      * @param {string} [params.description] - Person description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created person information
      */
-    create: async (params) =>
-      await request("/people", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/people",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing person
@@ -1191,18 +2645,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Person parameters
      * @param {string} [params.name] - Person name
      * @param {string} [params.description] - Person description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated person information
      */
-    update: async (id, params) =>
-      await request(`/people/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/people/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a person
      * @param {string} id - The ID of the person
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/people/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/people/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1215,26 +2675,43 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The portal items information
      */
-    getAll: async (params = {}) => await request("/portal", params),
+    getAll: async (params = {}, options) =>
+      await request("/portal", params, options),
+
+    /**
+     * Iterate over all portal items, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The portal items
+     */
+    iterate: (params = {}, options) => pages("/portal", params, options),
 
     /**
      * Get a specific portal item by ID
      * @param {string} id - The ID of the portal item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The portal item information
      */
-    getById: async (id) => await request(`/portal/${id}`),
+    getById: async (id, options) => await request(`/portal/${id}`, {}, options),
 
     /**
      * Create a new portal item
      * @param {Object} params - Portal item parameters
      * @param {string} params.name - Portal item name
      * @param {string} params.description - Portal item description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created portal item information
      */
-    create: async (params) =>
-      await request("/portal", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/portal",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing portal item
@@ -1242,18 +2719,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Portal item parameters
      * @param {string} [params.name] - Portal item name
      * @param {string} [params.description] - Portal item description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated portal item information
      */
-    update: async (id, params) =>
-      await request(`/portal/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/portal/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a portal item
      * @param {string} id - The ID of the portal item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/portal/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/portal/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1266,26 +2749,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The permissions information
      */
-    getAll: async (params = {}) => await request("/permissions", params),
+    getAll: async (params = {}, options) =>
+      await request("/permissions", params, options),
+
+    /**
+     * Iterate over all permissions, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The permissions
+     */
+    iterate: (params = {}, options) => pages("/permissions", params, options),
 
     /**
      * Get a specific permission by ID
      * @param {string} id - The ID of the permission
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The permission information
      */
-    getById: async (id) => await request(`/permissions/${id}`),
+    getById: async (id, options) =>
+      await request(`/permissions/${id}`, {}, options),
 
     /**
      * Create a new permission
      * @param {Object} params - Permission parameters
      * @param {string} params.name - Permission name
      * @param {string} params.description - Permission description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created permission information
      */
-    create: async (params) =>
-      await request("/permissions", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/permissions",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing permission
@@ -1293,18 +2794,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Permission parameters
      * @param {string} [params.name] - Permission name
      * @param {string} [params.description] - Permission description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated permission information
      */
-    update: async (id, params) =>
-      await request(`/permissions/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/permissions/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a permission
      * @param {string} id - The ID of the permission
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/permissions/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/permissions/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1317,26 +2824,45 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The resource tickets information
      */
-    getAll: async (params = {}) => await request("/resource-tickets", params),
+    getAll: async (params = {}, options) =>
+      await request("/resource-tickets", params, options),
+
+    /**
+     * Iterate over all resource tickets, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The resource tickets
+     */
+    iterate: (params = {}, options) =>
+      pages("/resource-tickets", params, options),
 
     /**
      * Get a specific resource ticket by ID
      * @param {string} id - The ID of the resource ticket
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The resource ticket information
      */
-    getById: async (id) => await request(`/resource-tickets/${id}`),
+    getById: async (id, options) =>
+      await request(`/resource-tickets/${id}`, {}, options),
 
     /**
      * Create a new resource ticket
      * @param {Object} params - Resource ticket parameters
      * @param {string} params.name - Resource ticket name
      * @param {string} params.description - Resource ticket description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created resource ticket information
      */
-    create: async (params) =>
-      await request("/resource-tickets", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/resource-tickets",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing resource ticket
@@ -1344,18 +2870,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Resource ticket parameters
      * @param {string} [params.name] - Resource ticket name
      * @param {string} [params.description] - Resource ticket description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated resource ticket information
      */
-    update: async (id, params) =>
-      await request(`/resource-tickets/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/resource-tickets/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a resource ticket
      * @param {string} id - The ID of the resource ticket
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/resource-tickets/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(
+        `/resource-tickets/${id}`,
+        {},
+        { ...options, method: "DELETE" }
+      ),
   };
 
   /**
@@ -1365,13 +2901,24 @@ export function PhotoShelterV4API(apiKey) {
   const search = {
     /**
      * Search all items
-     * @param {Object} params - Search parameters
+     * @param {Object} params - Search parameters, or a createQuery("search") builder
      * @param {string} params.query - Search query
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The search results
      */
-    searchAll: async (params) => await request("/search", params),
+    searchAll: async (params, options) =>
+      await request("/search", params, options),
+
+    /**
+     * Iterate over all search results, fetching pages as needed
+     * @param {Object} [params] - Query parameters, or a createQuery("search") builder
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The search results
+     */
+    iterate: (params = {}, options) => pages("/search", params, options),
   };
 
   /**
@@ -1382,17 +2929,24 @@ export function PhotoShelterV4API(apiKey) {
     /**
      * Get all settings
      * @param {Object} params - Query parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The settings information
      */
-    getAll: async (params = {}) => await request("/settings", params),
+    getAll: async (params = {}, options) =>
+      await request("/settings", params, options),
 
     /**
      * Update settings
      * @param {Object} params - Settings parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated settings information
      */
-    update: async (params) =>
-      await request("/settings", params, { method: "PUT" }),
+    update: async (params, options) =>
+      await request(
+        "/settings",
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
   };
 
   /**
@@ -1405,26 +2959,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The squirrel items information
      */
-    getAll: async (params = {}) => await request("/squirrel", params),
+    getAll: async (params = {}, options) =>
+      await request("/squirrel", params, options),
+
+    /**
+     * Iterate over all squirrel items, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The squirrel items
+     */
+    iterate: (params = {}, options) => pages("/squirrel", params, options),
 
     /**
      * Get a specific squirrel item by ID
      * @param {string} id - The ID of the squirrel item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The squirrel item information
      */
-    getById: async (id) => await request(`/squirrel/${id}`),
+    getById: async (id, options) =>
+      await request(`/squirrel/${id}`, {}, options),
 
     /**
      * Create a new squirrel item
      * @param {Object} params - Squirrel item parameters
      * @param {string} params.name - Squirrel item name
      * @param {string} params.description - Squirrel item description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created squirrel item information
      */
-    create: async (params) =>
-      await request("/squirrel", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/squirrel",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing squirrel item
@@ -1432,18 +3004,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Squirrel item parameters
      * @param {string} [params.name] - Squirrel item name
      * @param {string} [params.description] - Squirrel item description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated squirrel item information
      */
-    update: async (id, params) =>
-      await request(`/squirrel/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/squirrel/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a squirrel item
      * @param {string} id - The ID of the squirrel item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/squirrel/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/squirrel/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1456,32 +3034,46 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The trash items information
      */
-    getAll: async (params = {}) => await request("/trash", params),
+    getAll: async (params = {}, options) =>
+      await request("/trash", params, options),
+
+    /**
+     * Iterate over all trash items, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The trash items
+     */
+    iterate: (params = {}, options) => pages("/trash", params, options),
 
     /**
      * Get a specific trash item by ID
      * @param {string} id - The ID of the trash item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The trash item information
      */
-    getById: async (id) => await request(`/trash/${id}`),
+    getById: async (id, options) => await request(`/trash/${id}`, {}, options),
 
     /**
      * Restore a trash item
      * @param {string} id - The ID of the trash item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The restore response
      */
-    restore: async (id) =>
-      await request(`/trash/${id}/restore`, {}, { method: "POST" }),
+    restore: async (id, options) =>
+      await request(`/trash/${id}/restore`, {}, { ...options, method: "POST" }),
 
     /**
      * Delete a trash item
      * @param {string} id - The ID of the trash item
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/trash/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/trash/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1492,27 +3084,42 @@ export function PhotoShelterV4API(apiKey) {
     /**
      * Enable two-factor authentication
      * @param {Object} params - Two-factor parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The enable response
      */
-    enable: async (params) =>
-      await request("/twofactor/enable", params, { method: "POST" }),
+    enable: async (params, options) =>
+      await request(
+        "/twofactor/enable",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Disable two-factor authentication
      * @param {Object} params - Two-factor parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The disable response
      */
-    disable: async (params) =>
-      await request("/twofactor/disable", params, { method: "POST" }),
+    disable: async (params, options) =>
+      await request(
+        "/twofactor/disable",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Verify two-factor authentication
      * @param {Object} params - Two-factor parameters
      * @param {string} params.code - Verification code
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The verify response
      */
-    verify: async (params) =>
-      await request("/twofactor/verify", params, { method: "POST" }),
+    verify: async (params, options) =>
+      await request(
+        "/twofactor/verify",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
   };
 
   /**
@@ -1523,16 +3130,19 @@ export function PhotoShelterV4API(apiKey) {
     /**
      * Get all user information
      * @param {Object} params - Query parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The user information
      */
-    getAll: async (params = {}) => await request("/user", params),
+    getAll: async (params = {}, options) =>
+      await request("/user", params, options),
 
     /**
      * Get a specific user by ID
      * @param {string} id - The ID of the user
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The user information
      */
-    getById: async (id) => await request(`/user/${id}`),
+    getById: async (id, options) => await request(`/user/${id}`, {}, options),
 
     /**
      * Create a new user
@@ -1540,10 +3150,11 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} params.name - User name
      * @param {string} params.email - User email
      * @param {string} [params.password] - User password
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created user information
      */
-    create: async (params) =>
-      await request("/user", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request("/user", {}, { ...options, method: "POST", body: params }),
 
     /**
      * Update an existing user
@@ -1552,18 +3163,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} [params.name] - User name
      * @param {string} [params.email] - User email
      * @param {string} [params.password] - User password
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated user information
      */
-    update: async (id, params) =>
-      await request(`/user/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/user/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a user
      * @param {string} id - The ID of the user
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/user/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/user/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1576,16 +3193,28 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The users information
      */
-    getAll: async (params = {}) => await request("/users", params),
+    getAll: async (params = {}, options) =>
+      await request("/users", params, options),
+
+    /**
+     * Iterate over all users, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The users
+     */
+    iterate: (params = {}, options) => pages("/users", params, options),
 
     /**
      * Get a specific user by ID
      * @param {string} id - The ID of the user
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The user information
      */
-    getById: async (id) => await request(`/users/${id}`),
+    getById: async (id, options) => await request(`/users/${id}`, {}, options),
 
     /**
      * Create a new user
@@ -1593,10 +3222,11 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} params.name - User name
      * @param {string} params.email - User email
      * @param {string} [params.password] - User password
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created user information
      */
-    create: async (params) =>
-      await request("/users", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request("/users", {}, { ...options, method: "POST", body: params }),
 
     /**
      * Update an existing user
@@ -1605,18 +3235,24 @@ export function PhotoShelterV4API(apiKey) {
      * @param {string} [params.name] - User name
      * @param {string} [params.email] - User email
      * @param {string} [params.password] - User password
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated user information
      */
-    update: async (id, params) =>
-      await request(`/users/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/users/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a user
      * @param {string} id - The ID of the user
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/users/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/users/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
   /**
@@ -1627,9 +3263,11 @@ export function PhotoShelterV4API(apiKey) {
     /**
      * Get all version information
      * @param {Object} params - Query parameters
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The version information
      */
-    getAll: async (params = {}) => await request("/version", params),
+    getAll: async (params = {}, options) =>
+      await request("/version", params, options),
   };
 
   /**
@@ -1642,26 +3280,44 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Query parameters
      * @param {number} [params.page] - Page number
      * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The workspaces information
      */
-    getAll: async (params = {}) => await request("/workspaces", params),
+    getAll: async (params = {}, options) =>
+      await request("/workspaces", params, options),
+
+    /**
+     * Iterate over all workspaces, fetching pages as needed
+     * @param {Object} [params] - Query parameters
+     * @param {number} [params.per_page] - Number of items per page
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - The workspaces
+     */
+    iterate: (params = {}, options) => pages("/workspaces", params, options),
 
     /**
      * Get a specific workspace by ID
      * @param {string} id - The ID of the workspace
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The workspace information
      */
-    getById: async (id) => await request(`/workspaces/${id}`),
+    getById: async (id, options) =>
+      await request(`/workspaces/${id}`, {}, options),
 
     /**
      * Create a new workspace
      * @param {Object} params - Workspace parameters
      * @param {string} params.name - Workspace name
      * @param {string} params.description - Workspace description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The created workspace information
      */
-    create: async (params) =>
-      await request("/workspaces", params, { method: "POST" }),
+    create: async (params, options) =>
+      await request(
+        "/workspaces",
+        {},
+        { ...options, method: "POST", body: params }
+      ),
 
     /**
      * Update an existing workspace
@@ -1669,22 +3325,169 @@ export function PhotoShelterV4API(apiKey) {
      * @param {Object} params - Workspace parameters
      * @param {string} [params.name] - Workspace name
      * @param {string} [params.description] - Workspace description
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The updated workspace information
      */
-    update: async (id, params) =>
-      await request(`/workspaces/${id}`, params, { method: "PUT" }),
+    update: async (id, params, options) =>
+      await request(
+        `/workspaces/${id}`,
+        {},
+        { ...options, method: "PUT", body: params }
+      ),
 
     /**
      * Delete a workspace
      * @param {string} id - The ID of the workspace
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
      * @returns {Promise<Object>} - The delete response
      */
-    delete: async (id) =>
-      await request(`/workspaces/${id}`, {}, { method: "DELETE" }),
+    delete: async (id, options) =>
+      await request(`/workspaces/${id}`, {}, { ...options, method: "DELETE" }),
   };
 
-  return {
+  const client = {
     info,
+    session,
+    scheduler,
+    collectAll,
+
+    /**
+     * Add a middleware around every request of the client, login included:
+     * `client.use(async (ctx, next) => { ... const response = await next(); ... })`
+     * @param {Middleware} middleware - Sees and may change the URL, headers and body, then the response
+     * @returns {Function} - Removes the middleware
+     */
+    use: middleware.use,
+
+    /**
+     * Walk the library tree depth-first, yielding each collection, gallery
+     * and (optionally) media with its breadcrumb path. A gallery with several
+     * parent collections is only visited once.
+     * @param {string} [rootId] - The collection or gallery to start from, the whole library when omitted
+     * @param {Object} [settings] - Walk settings
+     * @param {number} [settings.depth] - Maximum levels below the root (default unlimited)
+     * @param {string[]} [settings.types] - Types to yield: "collection", "gallery", "media" (default collections and galleries)
+     * @param {string} [settings.rootType] - "collection" or "gallery", detected when omitted
+     * @param {function(Object): boolean|Promise<boolean>} [settings.prune] - Return true to skip a node and everything below it
+     * @param {function(Object): boolean|Promise<boolean>} [settings.descend] - Return false to yield a node without visiting its children
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<Object>} - `{ id, type, name, path, ancestors, depth, item }` nodes
+     */
+    walk: (rootId, settings, options) =>
+      walk(client, rootId, settings, options),
+
+    /**
+     * Stream an inventory of every collection, gallery and media of the account
+     * @param {Object} [settings] - Export settings
+     * @param {string} [settings.format] - "csv" (default), "json" or "ndjson"
+     * @param {string[]} [settings.columns] - Columns to include, any attribute name works too
+     * @param {string[]} [settings.types] - Row types: "collection", "gallery", "media" (default all)
+     * @param {boolean} [settings.placements] - List gallery contents to fill in media paths, keeping every media ID in memory (default true up to 100,000 media)
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {AsyncGenerator<string>} - The export, chunk by chunk
+     */
+    exportInventory: (settings, options) =>
+      formatInventory(client, settings, options),
+
+    /**
+     * Write an inventory of the account to a file (Node.js only)
+     * @param {string} path - The destination file, its extension picks the format
+     * @param {Object} [settings] - exportInventory() settings
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<{path: string, format: string}>}
+     */
+    saveInventory: async (path, settings, options) =>
+      await saveInventory(client, path, settings, options),
+
+    /**
+     * Mirror a collection or gallery to a local folder (Node.js only).
+     * Re-running it only downloads files that are missing or changed.
+     * @param {string} rootId - The collection or gallery ID
+     * @param {string} destDir - The destination folder
+     * @param {Object} [settings] - Download settings
+     * @param {string} [settings.type] - "collection" or "gallery", detected when omitted
+     * @param {number} [settings.concurrency] - Downloads in flight at once (default 4)
+     * @param {Object} [settings.params] - Download parameters for every media
+     * @param {string} [settings.manifest] - Manifest file name inside destDir
+     * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, path, status }` after each file
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - `{ root, manifest, downloaded, skipped, failed }`
+     */
+    downloadTree: async (rootId, destDir, settings, options) =>
+      await downloadTree(client, rootId, destDir, settings, options),
+
+    /**
+     * Download several media as one archive (Node.js only).
+     * Picks a valid size/format option, waits for the archive to be
+     * prepared, then streams it to disk.
+     * @param {string[]} mediaIds - The IDs of the media
+     * @param {Object} settings - Download settings
+     * @param {string} settings.path - The destination file for the archive
+     * @param {string} [settings.size] - e.g. "original" (preferred when omitted)
+     * @param {string} [settings.format] - e.g. "jpg", the first format offered when omitted
+     * @param {number} [settings.pollInterval] - First wait between status checks in ms (default 1000)
+     * @param {number} [settings.maxPollInterval] - Longest wait between status checks in ms (default 15000)
+     * @param {number} [settings.maxWait] - Give up waiting for the archive after this many ms (default 600000)
+     * @param {function(Object): void} [settings.onStatus] - Called with `{ id, status, ready, failures }` on every status check
+     * @param {function(Object): void} [settings.onProgress] - Called with `{ loaded, total, percent }` as archive bytes arrive
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - `{ path, size, option, included, failed }`, failed items as `{ id, reason }`
+     * @throws {ValidationError} When settings.path is missing, before any request, or no option matches the size and format
+     * @throws {TimeoutError} When the archive is not ready within maxWait
+     */
+    batchDownload,
+
+    /**
+     * Upload the files of a local folder into a gallery (Node.js only).
+     * Files already in the gallery, by file name or checksum, are skipped.
+     * @param {string} dir - The folder
+     * @param {string} galleryId - The ID of the gallery
+     * @param {Object} [settings] - Upload settings
+     * @param {string|string[]} [settings.include] - Globs a file must match, e.g. "*.{jpg,cr3}"
+     * @param {string|string[]} [settings.exclude] - Globs ruling out files and folders
+     * @param {boolean} [settings.recursive] - Include sub-folders (default true)
+     * @param {string|boolean} [settings.dedupe] - "filename" (default), "checksum" or false
+     * @param {number} [settings.concurrency] - Uploads in flight at once (default 3)
+     * @param {Object} [settings.data] - Extra media.create() fields for every file
+     * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, file }` after each file
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - `{ galleryId, uploaded, skipped, failed, files }`, one `{ path, status, mediaId, reason }` per file
+     */
+    uploadDirectory: async (dir, galleryId, settings, options) =>
+      await uploadDirectory(client, dir, galleryId, settings, options),
+
+    /**
+     * Compare a local folder with a gallery and plan the uploads, downloads
+     * and removals that bring them in sync. Nothing is changed: print the plan
+     * with formatSyncPlan() and apply it with syncGallery().
+     * @param {string} dir - The local folder (top-level files only)
+     * @param {string} galleryId - The ID of the gallery
+     * @param {Object} [settings] - Sync settings
+     * @param {string} [settings.conflict] - "local" wins, "remote" wins or keep "both" (default)
+     * @param {boolean} [settings.deletions] - Propagate removals to the other side (default true)
+     * @param {string|string[]} [settings.include] - Globs a local file must match
+     * @param {string|string[]} [settings.exclude] - Globs ruling out local files
+     * @param {string} [settings.state] - Name of the file recording the last sync, inside dir
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<Object>} - `{ dir, galleryId, conflict, actions, unchanged }`, each action `{ type, name, reason }`
+     */
+    planSync: async (dir, galleryId, settings, options) =>
+      await planSync(client, dir, galleryId, settings, options),
+
+    /**
+     * Bring a local folder and a gallery in sync (Node.js only)
+     * @param {string} dir - The local folder (top-level files only)
+     * @param {string} galleryId - The ID of the gallery
+     * @param {Object} [settings] - planSync() settings, plus:
+     * @param {boolean} [settings.dryRun] - Only plan, change nothing
+     * @param {Object} [settings.plan] - A reviewed plan to apply instead of planning again
+     * @param {number} [settings.concurrency] - Transfers in flight at once (default 3)
+     * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, action }` after each action
+     * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+     * @returns {Promise<{plan: Object, report: Object|null}>} - The plan, and `{ applied, failed, results }` unless dryRun
+     */
+    syncGallery: async (dir, galleryId, settings, options) =>
+      await syncGallery(client, dir, galleryId, settings, options),
     authenticate,
     collections,
     contacts,
@@ -1713,6 +3516,12 @@ export function PhotoShelterV4API(apiKey) {
     version,
     workspaces,
   };
+
+  // Documented arguments are checked before any request is made
+  for (const [name, schemas] of Object.entries(SCHEMAS)) {
+    withValidation(name, client[name], schemas, { config });
+  }
+  return client;
 }
 
 /**
@@ -1722,22 +3531,13 @@ export function PhotoShelterV4API(apiKey) {
  */
 export function PhotoShelterV3API(apiKey) {
   const baseUrl = "https://www.photoshelter.com/psapi/v3";
+  const middleware = createMiddleware();
   let authToken = null,
     org = null,
     isTwoFactor = null;
 
-  const handleErrors = async (response, location) => {
-    if (response.status == "404") {
-      throw new Error(
-        `Request Failed. Request Response: ${location} = ${response.statusText}`
-      );
-    }
-    const json = await response.json();
-    const msg = json.errors
-      .map((e) => e.title)
-      .filter(Boolean)
-      .join(" | ");
-    throw new Error(`Request Failed. Request Response: ${location} = ${msg}`);
+  const handleErrors = async (response, endpoint, method) => {
+    throw await createResponseError(response, { endpoint, method });
   };
 
   const responseType = async (response) => {
@@ -1759,7 +3559,10 @@ export function PhotoShelterV3API(apiKey) {
    */
   const request = async (endpoint, params = {}, options = {}) => {
     if (!authToken) {
-      throw new Error("No auth token. Make sure to authenticate.login() first");
+      throw new AuthenticationError(
+        "No auth token. Make sure to authenticate.login() first",
+        { endpoint, method: options.method || "GET" }
+      );
     }
     options.headers = {
       ...options.headers,
@@ -1773,16 +3576,33 @@ export function PhotoShelterV3API(apiKey) {
 
     url.search = searchParams.toString();
 
-    try {
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        return await handleErrors(response, endpoint);
+    const context = {
+      client: "v3",
+      endpoint,
+      method: options.method || "GET",
+      url,
+      headers: options.headers,
+      body: options.body,
+      options,
+      state: {},
+    };
+    const response = await middleware.run(context, async () => {
+      try {
+        return await fetch(context.url, {
+          ...options,
+          method: context.method,
+          headers: context.headers,
+          body: context.body,
+        });
+      } catch (error) {
+        throw createNetworkError(error, { endpoint, method: context.method });
       }
-
-      return await responseType(response);
-    } catch (error) {
-      throw error;
+    });
+    if (!response.ok) {
+      return await handleErrors(response, endpoint, context.method);
     }
+
+    return await responseType(response);
   };
 
   const toForm = (obj) => {
@@ -1804,30 +3624,45 @@ export function PhotoShelterV3API(apiKey) {
      * @param {string} password - Password
      * @param {string} [orgId] - [Optional] Your organization ID
      * @returns {Promise}
-     * @throws Throws an error if not ok status
+     * @throws {PhotoShelterError} Throws an error if not ok status
      */
     login: async (email, password, orgId) => {
-      try {
-        const body = toForm({ email, password, mode: "token", org_id: orgId });
-        const response = await fetch(`${baseUrl}/mem/authenticate`, {
-          method: "POST",
-          headers: {
-            "content-type": "application/x-www-form-urlencoded",
-            "X-PS-Api-Key": apiKey,
-          },
-          body,
-        });
-
-        if (!response.ok) {
-          return await handleErrors(response, "login");
+      const context = {
+        client: "v3",
+        endpoint: "/mem/authenticate",
+        method: "POST",
+        url: new URL(`${baseUrl}/mem/authenticate`),
+        headers: {
+          "content-type": "application/x-www-form-urlencoded",
+          "X-PS-Api-Key": apiKey,
+        },
+        body: toForm({ email, password, mode: "token", org_id: orgId }),
+        options: {},
+        state: {},
+      };
+      // Errors thrown by middleware reach the caller as they are
+      const response = await middleware.run(context, async () => {
+        try {
+          return await fetch(context.url, {
+            method: context.method,
+            headers: context.headers,
+            body: context.body,
+          });
+        } catch (error) {
+          throw createNetworkError(error, {
+            endpoint: "/mem/authenticate",
+            method: context.method,
+          });
         }
-        const json = await responseType(response);
-        authToken = json.token;
-        org = json.org;
-        isTwoFactor = json.two_factor;
-      } catch (error) {
-        throw error;
+      });
+
+      if (!response.ok) {
+        return await handleErrors(response, "/mem/authenticate", "POST");
       }
+      const json = await responseType(response);
+      authToken = json.token;
+      org = json.org;
+      isTwoFactor = json.two_factor;
     },
   };
 
@@ -1846,5 +3681,15 @@ export function PhotoShelterV3API(apiKey) {
       await request(`/workspace/${workspaceId}/media/${mediaId}/review`),
   };
 
-  return { authenticate, workspaces };
+  return {
+    authenticate,
+    workspaces,
+
+    /**
+     * Add a middleware around every request of the client, login included
+     * @param {Middleware} middleware - Sees and may change the URL, headers and body, then the response
+     * @returns {Function} - Removes the middleware
+     */
+    use: middleware.use,
+  };
 }
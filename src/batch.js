@@ -0,0 +1,101 @@
+import { ValidationError } from "./errors.js";
+import { attributesOf } from "./jsonapi.js";
+
+const PENDING = new Set(["pending", "queued", "processing", "preparing"]);
+const FAILED = new Set(["failed", "error", "cancelled", "canceled", "expired"]);
+
+const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const describeOption = (option) =>
+  [option.size, option.format].filter(Boolean).join("/");
+
+/**
+ * List the choices of a batch download options response
+ * @param {Object} document - The media.getBatchDownloadOptions() response
+ * @returns {Array<{size: string, format: string}>} - The available size and format pairs
+ */
+export const readBatchOptions = (document) =>
+  []
+    .concat(document?.data ?? [])
+    .map(attributesOf)
+    .map((option) => ({
+      ...option,
+      size: option.size ?? option.name ?? option.label,
+      format: option.format ?? option.extension,
+    }));
+
+/**
+ * Pick the batch download option matching a size and format.
+ * Without a size the original is preferred, without a format the first
+ * format offered for that size.
+ * @param {Object} document - The media.getBatchDownloadOptions() response
+ * @param {Object} [wanted]
+ * @param {string} [wanted.size] - e.g. "original"
+ * @param {string} [wanted.format] - e.g. "jpg"
+ * @returns {{size: string, format: string}} - The chosen option
+ * @throws {ValidationError} When no option matches
+ */
+export const selectBatchOption = (document, { size, format } = {}) => {
+  const choices = readBatchOptions(document);
+  const sized = size
+    ? choices.filter((option) => same(option.size, size))
+    : choices.filter((option) => same(option.size, "original"));
+  const candidates = sized.length || size ? sized : choices;
+  const option = format
+    ? candidates.find((option) => same(option.format, format))
+    : candidates[0];
+  if (!option) {
+    const wanted = [size, format].filter(Boolean).join("/") || "any option";
+    const available = choices.map(describeOption).join(", ") || "none";
+    throw new ValidationError(
+      `No batch download option for ${wanted}. Available: ${available}`,
+      { endpoint: "/media/batch/download/options", method: "GET" }
+    );
+  }
+  return option;
+};
+
+const toFailure = (entry) =>
+  typeof entry === "object" && entry !== null
+    ? {
+        id: String(
+          entry.media_id ??
+            entry.meta?.media_id ??
+            entry.id ??
+            entry.source?.parameter
+        ),
+        reason: entry.reason ?? entry.detail ?? entry.title ?? entry.message,
+      }
+    : { id: String(entry), reason: undefined };
+
+/**
+ * Read the state of a batch download job
+ * @param {Object} document - The media.batchDownload() response
+ * @returns {{id: string|null, status: string, url: string|null, ready: boolean, failed: boolean, failures: Array<{id: string, reason: string}>}}
+ */
+export const readBatchJob = (document) => {
+  const data = [].concat(document?.data ?? [])[0] ?? {};
+  const attributes = attributesOf(data);
+  const url =
+    attributes.url ??
+    attributes.download_url ??
+    data.links?.download ??
+    document?.links?.download ??
+    null;
+  const status = String(
+    attributes.status ?? attributes.state ?? (url ? "ready" : "pending")
+  ).toLowerCase();
+  const failures = [
+    ...(attributes.failed ?? attributes.failed_media ?? []),
+    ...(attributes.errors ?? []),
+    ...(document?.errors ?? []),
+  ].map(toFailure);
+  return {
+    id: data.id ?? attributes.job_id ?? null,
+    status,
+    url,
+    ready: Boolean(url) && !PENDING.has(status) && !FAILED.has(status),
+    failed: FAILED.has(status),
+    failures,
+  };
+};
@@ -0,0 +1,306 @@
+import { CassetteError } from "./errors.js";
+
+const REDACTED = "[REDACTED]";
+
+// Headers and body fields that carry credentials
+const SECRET_HEADERS = [
+  "x-ps-auth-token",
+  "x-ps-api-key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+];
+const SECRET_FIELDS = [
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "password",
+  "client_secret",
+  "code_verifier",
+];
+// Two-factor and authorization codes are only ever sent: in responses,
+// `code` is an error code worth keeping
+const REQUEST_SECRET_FIELDS = [...SECRET_FIELDS, "code"];
+
+// Binary bodies (downloads) are recorded up to this size by default
+const MAX_BINARY_BODY = 1024 * 1024;
+
+const isText = (contentType) =>
+  /json|text|xml|x-www-form-urlencoded/i.test(contentType ?? "");
+
+const redactFields = (value, secrets = SECRET_FIELDS) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactFields(item, secrets));
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      secrets.includes(key.toLowerCase()) && field != null
+        ? REDACTED
+        : redactFields(field, secrets),
+    ])
+  );
+};
+
+const redactHeaders = (headers) =>
+  Object.fromEntries(
+    [...headers.entries()].map(([name, value]) => [
+      name,
+      SECRET_HEADERS.includes(name) ? REDACTED : value,
+    ])
+  );
+
+// Credential values sent with a request, to scrub wherever else they appear
+const secretsOf = (headers, apiKey) =>
+  [
+    apiKey,
+    headers.get("x-ps-auth-token"),
+    headers.get("authorization")?.replace(/^Bearer /i, ""),
+  ]
+    // Too short to be a real credential, replacing it would mangle the file
+    .filter((secret) => secret && secret !== REDACTED && secret.length >= 8);
+
+const scrub = (interaction, secrets) => {
+  let text = JSON.stringify(interaction);
+  for (const secret of secrets) {
+    text = text.split(JSON.stringify(secret).slice(1, -1)).join(REDACTED);
+  }
+  return JSON.parse(text);
+};
+
+const describeBody = async (body) => {
+  if (body === undefined || body === null) {
+    return null;
+  }
+  if (body instanceof FormData) {
+    const fields = {};
+    for (const [name, value] of body.entries()) {
+      fields[name] =
+        typeof value === "string"
+          ? value
+          : { filename: value.name, size: value.size, type: value.type };
+    }
+    return redactFields(fields, REQUEST_SECRET_FIELDS);
+  }
+  if (typeof body !== "string") {
+    return "[binary]";
+  }
+  try {
+    return redactFields(JSON.parse(body), REQUEST_SECRET_FIELDS);
+  } catch (error) {
+    return redactFields(
+      Object.fromEntries(new URLSearchParams(body)),
+      REQUEST_SECRET_FIELDS
+    );
+  }
+};
+
+// Read at most `limit` bytes, so a large download is never held in memory
+const readPrefix = async (stream, limit) => {
+  const chunks = [];
+  let size = 0;
+  const reader = stream.getReader();
+  try {
+    while (size <= limit) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return { buffer: Buffer.concat(chunks), truncated: false };
+      }
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return { buffer: Buffer.concat(chunks).subarray(0, limit), truncated: true };
+};
+
+const readResponseBody = async (response, maxBinaryBody) => {
+  if (!response.body) {
+    return { body: null, encoding: "utf8" };
+  }
+  if (!isText(response.headers.get("content-type"))) {
+    const { buffer, truncated } = await readPrefix(
+      response.body,
+      maxBinaryBody
+    );
+    return {
+      body: buffer.toString("base64"),
+      encoding: "base64",
+      ...(truncated && { truncated: true }),
+    };
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const text = buffer.toString("utf8");
+  try {
+    return {
+      body: JSON.stringify(redactFields(JSON.parse(text))),
+      encoding: "utf8",
+    };
+  } catch (error) {
+    return { body: text, encoding: "utf8" };
+  }
+};
+
+const toResponse = ({ status, statusText, headers, body, encoding }) => {
+  // These statuses cannot carry a body
+  const content =
+    [101, 204, 205, 304].includes(status) || body == null
+      ? null
+      : Buffer.from(body, encoding === "base64" ? "base64" : "utf8");
+  const replayed = new Headers(headers);
+  // The recorded body is already decoded, and may have been redacted
+  replayed.delete("content-encoding");
+  replayed.delete("transfer-encoding");
+  if (content && replayed.has("content-length")) {
+    replayed.set("content-length", String(content.length));
+  }
+  return new Response(content, { status, statusText, headers: replayed });
+};
+
+/**
+ * Wrap a fetch function so traffic is recorded to, or replayed from, a
+ * cassette file (Node.js only). Requests are matched on method, path and
+ * query parameters; identical requests are replayed in recorded order.
+ * Auth tokens, the API key and passwords never reach the file. Binary
+ * bodies beyond `maxBinaryBody` are cut short, and replay truncated.
+ * @param {function(URL|string, Object): Promise<Response>} fetch - The fetch to record
+ * @param {Object} cassette - Cassette settings
+ * @param {string} cassette.path - The cassette file (JSON)
+ * @param {string} [cassette.mode] - "replay" (default), "record", or "auto" to replay when the file exists and record otherwise
+ * @param {number} [cassette.maxBinaryBody] - Bytes of a binary response body to record (default 1 MiB)
+ * @param {Object} context
+ * @param {string} context.baseUrl - API root, recorded paths are relative to it
+ * @param {string} [context.apiKey] - Redacted wherever it appears
+ * @returns {function(URL|string, Object): Promise<Response>} - The wrapped fetch
+ */
+export const withCassette = (fetch, cassette, { baseUrl, apiKey }) => {
+  const {
+    path: file,
+    mode = "replay",
+    maxBinaryBody = MAX_BINARY_BODY,
+  } = cassette;
+  if (!["replay", "record", "auto"].includes(mode)) {
+    throw new CassetteError(
+      `Unknown cassette mode "${mode}", expected "replay", "record" or "auto"`
+    );
+  }
+  const fs = () => import("node:fs/promises");
+  const api = new URL(`${baseUrl}/`);
+  let loading = null;
+  let saving = Promise.resolve();
+
+  const load = async () => {
+    try {
+      const text = await (await fs()).readFile(file, "utf8");
+      if (mode !== "record") {
+        return {
+          recording: false,
+          interactions: JSON.parse(text).interactions ?? [],
+          used: new Set(),
+        };
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT" || mode === "replay") {
+        throw new CassetteError(
+          `Cannot read cassette ${file}: ${error.message}`,
+          { cause: error }
+        );
+      }
+    }
+    return { recording: true, interactions: [], used: new Set() };
+  };
+
+  const keyOf = (method, url) => {
+    const target = new URL(url);
+    const internal =
+      target.origin === api.origin && target.pathname.startsWith(api.pathname);
+    return {
+      method: method.toUpperCase(),
+      path: internal
+        ? `/${target.pathname.slice(api.pathname.length)}`
+        : `${target.origin}${target.pathname}`,
+      params: Object.fromEntries(
+        [...target.searchParams.entries()].sort(([a], [b]) =>
+          a < b ? -1 : a > b ? 1 : 0
+        )
+      ),
+    };
+  };
+
+  const sameKey = (a, b) =>
+    a.method === b.method &&
+    a.path === b.path &&
+    JSON.stringify(a.params) === JSON.stringify(b.params);
+
+  // Writes are chained so the file always ends with the latest state
+  const save = (state) => {
+    const document = { version: 1, interactions: state.interactions };
+    saving = saving
+      .catch(() => {})
+      .then(async () =>
+        (await fs()).writeFile(file, `${JSON.stringify(document, null, 2)}\n`)
+      )
+      .catch((error) => {
+        throw new CassetteError(
+          `Cannot write cassette ${file}: ${error.message}`,
+          { cause: error }
+        );
+      });
+    return saving;
+  };
+
+  return async (url, init = {}) => {
+    if (!loading) {
+      loading = load();
+    }
+    const state = await loading;
+    const key = keyOf(init.method ?? "GET", url);
+
+    if (!state.recording) {
+      const index = state.interactions.findIndex(
+        (interaction, position) =>
+          !state.used.has(position) && sameKey(interaction.request, key)
+      );
+      if (index === -1) {
+        const query = new URLSearchParams(key.params).toString();
+        throw new CassetteError(
+          `No recorded interaction for ${key.method} ${key.path}${
+            query ? `?${query}` : ""
+          } in cassette ${file}`,
+          { endpoint: key.path, method: key.method }
+        );
+      }
+      state.used.add(index);
+      return toResponse(state.interactions[index].response);
+    }
+
+    const response = await fetch(url, init);
+    const headers = new Headers(init.headers);
+    const recorded = await readResponseBody(response.clone(), maxBinaryBody);
+    state.interactions.push(
+      scrub(
+        {
+          request: {
+            ...key,
+            headers: redactHeaders(headers),
+            body: await describeBody(init.body),
+          },
+          response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: redactHeaders(response.headers),
+            ...recorded,
+          },
+        },
+        secretsOf(headers, apiKey)
+      )
+    );
+    await save(state);
+    return response;
+  };
+};
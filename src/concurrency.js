@@ -0,0 +1,32 @@
+/**
+ * Run an async function over a list with at most `limit` calls in flight.
+ * Stops starting new calls once one of them throws.
+ * @param {Array} items - The inputs
+ * @param {number} limit - Maximum calls in flight
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} - The results, in input order
+ */
+export const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit || 1, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+};
@@ -0,0 +1,154 @@
+/**
+ * Whether a response redirects elsewhere (e.g. to a CDN)
+ * @param {Response} response - The response
+ * @returns {boolean}
+ */
+export const isRedirect = (response) =>
+  response.type === "opaqueredirect" ||
+  (response.status >= 300 &&
+    response.status < 400 &&
+    response.headers.has("location"));
+
+/**
+ * Read the file name from a Content-Disposition header
+ * @param {string} [header] - The header value
+ * @returns {string|null} - The file name, if any
+ */
+export const getFilename = (header) => {
+  if (!header) {
+    return null;
+  }
+  const encoded = /filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i.exec(header);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch (error) {
+      // Malformed encoding, fall back to the plain filename parameter
+    }
+  }
+  const plain = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(header);
+  return plain ? (plain[2] ?? plain[1]).trim() : null;
+};
+
+/**
+ * Total size of the file a (possibly partial) response belongs to
+ * @param {Response} response - The download response
+ * @param {number} [offset] - Bytes already downloaded before this response
+ * @returns {number|null} - The size in bytes, null if unknown
+ */
+export const getTotalSize = (response, offset = 0) => {
+  const range = /\/(\d+)\s*$/.exec(response.headers.get("content-range") || "");
+  if (range) {
+    return Number(range[1]);
+  }
+  const length = response.headers.get("content-length");
+  return length === null ? null : Number(length) + offset;
+};
+
+/**
+ * First byte of a partial response, from its Content-Range header
+ * @param {Response} response - A 206 response
+ * @returns {number|null} - The offset, null if the header is missing
+ */
+export const getRangeStart = (response) => {
+  const range = /^\s*bytes\s+(\d+)-/i.exec(
+    response.headers.get("content-range") || ""
+  );
+  return range ? Number(range[1]) : null;
+};
+
+/**
+ * What identifies the version of a downloaded file, for If-Range
+ * @param {Response} response - The download response
+ * @returns {string|null} - A strong ETag or the Last-Modified date, null if neither
+ */
+export const getValidator = (response) => {
+  const etag = response.headers.get("etag");
+  // If-Range only accepts strong ETags
+  if (etag && !/^W\//.test(etag)) {
+    return etag;
+  }
+  return response.headers.get("last-modified");
+};
+
+/**
+ * Pass a stream through, reporting progress as chunks flow
+ * @param {ReadableStream} stream - The body stream
+ * @param {function({loaded: number, total: number|null, percent: number|null}): void} [onProgress] - Progress callback
+ * @param {Object} [sizes]
+ * @param {number|null} [sizes.total] - Expected total size
+ * @param {number} [sizes.offset] - Bytes already downloaded, counted as loaded
+ * @returns {ReadableStream} - The same bytes
+ */
+export const trackProgress = (
+  stream,
+  onProgress,
+  { total = null, offset = 0 } = {}
+) => {
+  if (!onProgress) {
+    return stream;
+  }
+  let loaded = offset;
+  const report = () =>
+    onProgress({
+      loaded,
+      total,
+      percent: total ? Math.min(100, (loaded / total) * 100) : null,
+    });
+  return stream.pipeThrough(
+    new TransformStream({
+      start: report,
+      transform(chunk, controller) {
+        loaded += chunk.byteLength;
+        report();
+        controller.enqueue(chunk);
+      },
+    })
+  );
+};
+
+/**
+ * Size of a local file (Node.js only)
+ * @param {string} path - The file path
+ * @returns {Promise<number>} - The size in bytes, 0 if the file does not exist
+ */
+export const getFileSize = async (path) => {
+  const { stat } = await import("node:fs/promises");
+  try {
+    return (await stat(path)).size;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a web stream to a file (Node.js only)
+ * @param {ReadableStream} stream - The body stream
+ * @param {string} path - The destination file
+ * @param {Object} [options]
+ * @param {boolean} [options.append] - Append instead of overwriting
+ * @returns {Promise<void>}
+ */
+export const writeToFile = async (stream, path, { append = false } = {}) => {
+  const [
+    { createWriteStream },
+    { mkdir },
+    { dirname },
+    { Readable },
+    { pipeline },
+  ] = await Promise.all([
+    import("node:fs"),
+    import("node:fs/promises"),
+    import("node:path"),
+    import("node:stream"),
+    import("node:stream/promises"),
+  ]);
+  await mkdir(dirname(path), { recursive: true });
+  await pipeline(
+    Readable.fromWeb(stream),
+    createWriteStream(path, { flags: append ? "a" : "w" })
+  );
+};
@@ -0,0 +1,185 @@
+/**
+ * Base error for every failure raised by the PhotoShelter clients
+ * @property {number} [status] - HTTP status code, if a response was received
+ * @property {string} [endpoint] - The API endpoint that was requested
+ * @property {string} [method] - The HTTP method of the request
+ * @property {Object[]} errors - The raw JSON:API `errors[]` objects
+ * @property {Object} headers - The response headers
+ * @property {number} attempts - How many attempts were made before giving up
+ */
+export class PhotoShelterError extends Error {
+  constructor(
+    message,
+    {
+      status,
+      endpoint,
+      method,
+      errors = [],
+      headers = {},
+      attempts = 1,
+      cause,
+    } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "PhotoShelterError";
+    this.status = status;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.errors = errors;
+    this.headers = headers;
+    this.attempts = attempts;
+  }
+}
+
+/** Missing, invalid or expired credentials (401/403) */
+export class AuthenticationError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthenticationError";
+  }
+}
+
+/** The requested resource does not exist (404) */
+export class NotFoundError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+/** The request was rejected as invalid (400/409/422) */
+export class ValidationError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ValidationError";
+  }
+}
+
+/**
+ * Too many requests (429)
+ * @property {number} [retryAfter] - Seconds to wait before retrying, from the Retry-After header
+ */
+export class RateLimitError extends PhotoShelterError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "RateLimitError";
+    const retryAfter = Number(details.headers?.["retry-after"]);
+    this.retryAfter = Number.isFinite(retryAfter) ? retryAfter : undefined;
+  }
+}
+
+/** The API failed to process the request (5xx) */
+export class ServerError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ServerError";
+  }
+}
+
+/** The request never got a response (DNS, connection reset, ...) */
+export class NetworkError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NetworkError";
+  }
+}
+
+/** No response arrived within the configured timeout */
+export class TimeoutError extends NetworkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+/** A request had no match in the replayed cassette, or the cassette is unusable */
+export class CassetteError extends PhotoShelterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "CassetteError";
+  }
+}
+
+const errorClasses = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: AuthenticationError,
+  404: NotFoundError,
+  409: ValidationError,
+  422: ValidationError,
+  429: RateLimitError,
+};
+
+const errorClassFor = (status) =>
+  errorClasses[status] || (status >= 500 ? ServerError : PhotoShelterError);
+
+const parseErrors = (text) => {
+  try {
+    const json = JSON.parse(text);
+    if (Array.isArray(json.errors)) {
+      return json.errors;
+    }
+    if (json.error) {
+      return [
+        typeof json.error === "string" ? { title: json.error } : json.error,
+      ];
+    }
+  } catch (error) {
+    // Not a JSON body, fall back to the status text
+  }
+  return [];
+};
+
+/**
+ * Build the error matching a failed response
+ * @param {Response} response - The non-ok fetch response
+ * @param {Object} request - The request that failed
+ * @param {string} request.endpoint - The API endpoint
+ * @param {string} [request.method] - The HTTP method
+ * @param {number} [request.attempts] - How many attempts were made
+ * @returns {Promise<PhotoShelterError>} - The error to throw
+ */
+export const createResponseError = async (
+  response,
+  { endpoint, method = "GET", attempts }
+) => {
+  const text = await response.text().catch(() => "");
+  const errors = parseErrors(text);
+  const msg =
+    errors
+      .map((e) => e.title || e.detail || e.message)
+      .filter(Boolean)
+      .join(" | ") || response.statusText;
+  const ErrorClass = errorClassFor(response.status);
+  return new ErrorClass(
+    `Request Failed. Request Response: ${endpoint} = ${msg}`,
+    {
+      status: response.status,
+      endpoint,
+      method,
+      errors,
+      headers: Object.fromEntries(response.headers.entries()),
+      attempts,
+    }
+  );
+};
+
+/**
+ * Wrap a fetch failure that produced no response
+ * @param {Error} error - The error thrown by fetch
+ * @param {Object} request - The request that failed
+ * @param {string} request.endpoint - The API endpoint
+ * @param {string} [request.method] - The HTTP method
+ * @returns {Error} - A NetworkError or TimeoutError, or the original error if it is already typed or an abort
+ */
+export const createNetworkError = (error, { endpoint, method = "GET" }) => {
+  if (error instanceof PhotoShelterError || error?.name === "AbortError") {
+    return error;
+  }
+  const ErrorClass =
+    error?.name === "TimeoutError" ? TimeoutError : NetworkError;
+  return new ErrorClass(
+    `Request Failed. Request Response: ${endpoint} = ${error.message}`,
+    { endpoint, method, cause: error }
+  );
+};
@@ -0,0 +1,61 @@
+/**
+ * Create a minimal event emitter
+ * @returns {{on: Function, off: Function, once: Function, emit: Function}}
+ */
+export const createEmitter = () => {
+  const listeners = new Map();
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - The event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} - Unsubscribes the listener
+   */
+  const on = (event, listener) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  };
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - The event name
+   * @param {Function} listener - The listener passed to on()
+   */
+  const off = (event, listener) => {
+    listeners.get(event)?.delete(listener);
+  };
+
+  /**
+   * Subscribe to the next occurrence of an event
+   * @param {string} event - The event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} - Unsubscribes the listener
+   */
+  const once = (event, listener) => {
+    const unsubscribe = on(event, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  };
+
+  /**
+   * Notify every listener of an event. Listener errors are not propagated.
+   * @param {string} event - The event name
+   * @param {*} [payload] - Passed to each listener
+   */
+  const emit = (event, payload) => {
+    for (const listener of [...(listeners.get(event) || [])]) {
+      try {
+        listener(payload);
+      } catch (error) {
+        // A failing listener must not break the request that triggered it
+      }
+    }
+  };
+
+  return { on, off, once, emit };
+};
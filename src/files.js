@@ -0,0 +1,86 @@
+import { createMatcher } from "./glob.js";
+
+/**
+ * A file found by listLocalFiles()
+ * @typedef {Object} LocalFile
+ * @property {string} path - Absolute path
+ * @property {string} relative - Path below the listed folder, "/"-separated
+ * @property {string} name - File name
+ * @property {number} size - Size in bytes
+ * @property {Date} modified - Last modification time
+ */
+
+/**
+ * Make a remote name safe to use as a file or folder name on any platform.
+ * Separators are replaced and leading dots dropped, so the result always
+ * names an entry of the folder it is joined to, and never a hidden one.
+ * @param {string} name - The name
+ * @param {string} fallback - Used when nothing usable is left
+ * @returns {string}
+ */
+export const safeName = (name, fallback) =>
+  String(name ?? "")
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, "_")
+    .replace(/^[. ]+|[. ]+$/g, "")
+    .trim() || String(fallback);
+
+/**
+ * List the files of a folder (Node.js only).
+ * Hidden files and folders (starting with ".") are skipped.
+ * @param {string} dir - The folder
+ * @param {Object} [filter]
+ * @param {string|string[]} [filter.include] - Globs a file must match
+ * @param {string|string[]} [filter.exclude] - Globs ruling out files and whole folders
+ * @param {boolean} [filter.recursive] - Descend into sub-folders (default true)
+ * @returns {Promise<LocalFile[]>} - The files, sorted by relative path
+ */
+export const listLocalFiles = async (
+  dir,
+  { include, exclude, recursive = true } = {}
+) => {
+  const [{ readdir, stat }, { join, resolve }] = await Promise.all([
+    import("node:fs/promises"),
+    import("node:path"),
+  ]);
+  const matcher = createMatcher(include, exclude);
+  const files = [];
+
+  const visit = async (folder, prefix) => {
+    for (const entry of await readdir(folder, { withFileTypes: true })) {
+      const relative = `${prefix}${entry.name}`;
+      const path = join(folder, entry.name);
+      if (entry.name.startsWith(".")) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        if (recursive && !matcher.excludes(relative)) {
+          await visit(path, `${relative}/`);
+        }
+      } else if (entry.isFile() && matcher.includes(relative)) {
+        const { size, mtime } = await stat(path);
+        files.push({ path, relative, name: entry.name, size, modified: mtime });
+      }
+    }
+  };
+
+  await visit(resolve(dir), "");
+  return files.sort((a, b) => (a.relative < b.relative ? -1 : 1));
+};
+
+/**
+ * Hash a file's contents (Node.js only)
+ * @param {string} path - The file
+ * @param {string} [algorithm] - Any node:crypto hash (default "md5")
+ * @returns {Promise<string>} - The hex digest
+ */
+export const fileChecksum = async (path, algorithm = "md5") => {
+  const [{ createHash }, { createReadStream }] = await Promise.all([
+    import("node:crypto"),
+    import("node:fs"),
+  ]);
+  const hash = createHash(algorithm);
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+};
@@ -0,0 +1,68 @@
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\*?]/g, "\\$&");
+
+/**
+ * Convert a glob to a regular expression.
+ * Supports `*`, `**`, `?`, `[abc]`, `[!abc]` and `{jpg,png}`.
+ * @param {string} glob - The pattern, e.g. "raw/*.{cr3,nef}"
+ * @returns {RegExp} - Matches whole, "/"-separated paths, ignoring case
+ */
+export const globToRegExp = (glob) => {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      const choices = glob
+        .slice(i + 1, end)
+        .split(",")
+        .map(escapeRegExp);
+      source += `(?:${choices.join("|")})`;
+      i = end;
+    } else if (char === "[" && glob.indexOf("]", i + 2) > i) {
+      const end = glob.indexOf("]", i + 2);
+      const set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${set[0] === "!" ? `^${set.slice(1)}` : set}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Build a test for paths against include and exclude globs.
+ * Globs without a "/" are matched against the file name only.
+ * @param {string|string[]} [include] - Globs a file must match, every file when omitted
+ * @param {string|string[]} [exclude] - Globs that rule a file out
+ * @returns {{includes: function(string): boolean, excludes: function(string): boolean}}
+ */
+export const createMatcher = (include = [], exclude = []) => {
+  const compile = (globs) =>
+    [].concat(globs).map((glob) => {
+      const regExp = globToRegExp(glob);
+      return glob.includes("/")
+        ? (path) => regExp.test(path)
+        : (path) => regExp.test(path.split("/").pop());
+    });
+  const includes = compile(include);
+  const excludes = compile(exclude);
+  return {
+    includes: (path) =>
+      (!includes.length || includes.some((test) => test(path))) &&
+      !excludes.some((test) => test(path)),
+    excludes: (path) => excludes.some((test) => test(path)),
+  };
+};
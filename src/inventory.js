@@ -0,0 +1,244 @@
+import { attributesOf } from "./jsonapi.js";
+import { walk } from "./walk.js";
+
+/**
+ * Columns exported when none are selected
+ */
+export const INVENTORY_COLUMNS = [
+  "type",
+  "id",
+  "name",
+  "path",
+  "parent_id",
+  "file_name",
+  "file_size",
+  "mime_type",
+  "width",
+  "height",
+  "captured_at",
+  "created_at",
+  "updated_at",
+  "title",
+  "caption",
+  "keywords",
+  "credit",
+  "copyright",
+];
+
+// Attribute names the API may use for each column
+const ALIASES = {
+  name: ["name", "file_name", "filename"],
+  file_name: ["file_name", "filename"],
+  file_size: ["file_size", "size"],
+  mime_type: ["mime_type", "content_type"],
+  captured_at: ["captured_at", "capture_date", "date_taken", "taken_at"],
+  created_at: ["created_at", "created"],
+  updated_at: ["updated_at", "modified_at"],
+  keywords: ["keywords", "keyword"],
+  credit: ["credit", "byline"],
+};
+
+const pick = (sources, column) => {
+  for (const key of ALIASES[column] ?? [column]) {
+    for (const source of sources) {
+      const value = source[key];
+      if (value != null) {
+        return Array.isArray(value) ? value.join("; ") : value;
+      }
+    }
+  }
+  return null;
+};
+
+const toRow = (node, columns) => {
+  const attributes = attributesOf(node.item);
+  // Included media (normalized gallery children) carries the file details
+  const sources =
+    node.item?.media && typeof node.item.media === "object"
+      ? [node.item.media, attributes]
+      : [attributes];
+  const known = {
+    type: node.type,
+    id: node.id,
+    name: node.name,
+    path: node.path.join(node.type === "media" ? " | " : " / "),
+    parent_id: node.parentId,
+  };
+  return Object.fromEntries(
+    columns.map((column) => [column, known[column] ?? pick(sources, column)])
+  );
+};
+
+/**
+ * Media count above which placements are off unless asked for
+ */
+const PLACEMENTS_LIMIT = 100000;
+
+// Placements hold every media ID in memory: only by default on smaller accounts
+const usePlacements = async (client, placements, options) => {
+  if (placements !== undefined) {
+    return Boolean(placements);
+  }
+  const { meta } = await client.media.getAll({ per_page: 1 }, options);
+  const total = Number(meta?.pagination?.total ?? meta?.total);
+  return !(total > PLACEMENTS_LIMIT);
+};
+
+/**
+ * Every collection, gallery and media of the account as flat rows.
+ * Collections and galleries come from the library tree, media from the
+ * media listing, with the gallery paths each one appears under.
+ * Placements are gathered before the first media row, in a map of every
+ * placed media ID: on accounts over 100,000 media they are left out
+ * unless `placements` is true.
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {Object} [settings] - Export settings
+ * @param {string[]} [settings.columns] - Columns to include, any attribute name works too (default INVENTORY_COLUMNS)
+ * @param {string[]} [settings.types] - Row types: "collection", "gallery", "media" (default all)
+ * @param {boolean} [settings.placements] - List gallery contents to fill in media paths (default true up to 100,000 media)
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {AsyncGenerator<Object>} - One object per row, keyed by column
+ */
+export async function* inventoryRows(client, settings = {}, options = {}) {
+  const {
+    columns = INVENTORY_COLUMNS,
+    types = ["collection", "gallery", "media"],
+  } = settings;
+  const withMedia = types.includes("media");
+  const placements =
+    withMedia && (await usePlacements(client, settings.placements, options));
+
+  // Each gallery is kept once, with a path per parent; per media only the
+  // indexes of its galleries
+  const locations = [];
+  const byGallery = new Map();
+  const placed = new Map();
+  for await (const node of walk(
+    client,
+    undefined,
+    {
+      types: ["collection", "gallery", "media"],
+      descend: (node) => node.type !== "gallery" || placements,
+      // Its contents are not listed again, but media there are under this path too
+      onRevisit: (node) => {
+        byGallery.get(node.id)?.paths.push(node.path.join(" / "));
+      },
+    },
+    options
+  )) {
+    const parent = node.ancestors[node.ancestors.length - 1];
+    if (node.type === "media") {
+      const known = placed.get(node.id);
+      // Gallery contents directly follow the gallery in the walk
+      const index = locations.length - 1;
+      placed.set(
+        node.id,
+        known === undefined ? index : [].concat(known, index)
+      );
+      continue;
+    }
+    if (node.type === "gallery" && placements) {
+      const location = { paths: [node.path.join(" / ")], galleryId: node.id };
+      locations.push(location);
+      byGallery.set(node.id, location);
+    }
+    if (types.includes(node.type)) {
+      yield toRow({ ...node, parentId: parent?.id ?? null }, columns);
+    }
+  }
+
+  if (!withMedia) {
+    return;
+  }
+  for await (const item of client.media.iterate({}, options)) {
+    const attributes = attributesOf(item);
+    const placement = placed.get(String(item.id));
+    const galleries = []
+      .concat(placement ?? [])
+      .map((index) => locations[index]);
+    yield toRow(
+      {
+        type: "media",
+        id: item.id,
+        name: pick([attributes], "name"),
+        path: galleries.flatMap(({ paths }) => paths),
+        parentId:
+          galleries.map(({ galleryId }) => galleryId).join(" | ") || null,
+        item,
+      },
+      columns
+    );
+  }
+}
+
+const FORMATS = ["csv", "json", "ndjson"];
+
+const csvCell = (value) => {
+  if (value == null) {
+    return "";
+  }
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream the inventory as text, one chunk per row
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {Object} [settings] - inventoryRows() settings, plus:
+ * @param {string} [settings.format] - "csv" (default), "json" or "ndjson"
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {AsyncGenerator<string>} - The export, chunk by chunk
+ */
+export async function* formatInventory(client, settings = {}, options = {}) {
+  const { format = "csv", columns = INVENTORY_COLUMNS } = settings;
+  if (!FORMATS.includes(format)) {
+    throw new TypeError(
+      `Unknown inventory format "${format}", expected one of: ${FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+  const rows = inventoryRows(client, { ...settings, columns }, options);
+  if (format === "csv") {
+    yield `${columns.map(csvCell).join(",")}\n`;
+    for await (const row of rows) {
+      yield `${columns.map((column) => csvCell(row[column])).join(",")}\n`;
+    }
+  } else if (format === "ndjson") {
+    for await (const row of rows) {
+      yield `${JSON.stringify(row)}\n`;
+    }
+  } else {
+    let separator = "[\n";
+    for await (const row of rows) {
+      yield `${separator}${JSON.stringify(row)}`;
+      separator = ",\n";
+    }
+    yield separator === "[\n" ? "[]\n" : "\n]\n";
+  }
+}
+
+/**
+ * Write the inventory to a file without holding it in memory (Node.js only)
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} path - The destination file
+ * @param {Object} [settings] - formatInventory() settings, the format defaults to the file extension
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<{path: string, format: string}>}
+ */
+export const saveInventory = async (client, path, settings = {}, options) => {
+  const extension = /\.(\w+)$/.exec(path)?.[1]?.toLowerCase();
+  const format =
+    settings.format ??
+    (extension === "jsonl" ? "ndjson" : FORMATS.find((f) => f === extension)) ??
+    "csv";
+  const [{ createWriteStream }, { Readable }, { pipeline }] = await Promise.all(
+    [import("node:fs"), import("node:stream"), import("node:stream/promises")]
+  );
+  await pipeline(
+    Readable.from(formatInventory(client, { ...settings, format }, options)),
+    createWriteStream(path)
+  );
+  return { path, format };
+};
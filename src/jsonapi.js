@@ -0,0 +1,87 @@
+const keyOf = ({ type, id }) => `${type}:${id}`;
+
+const isResource = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  "id" in value &&
+  "type" in value;
+
+/**
+ * Flatten a JSON:API document: attributes are merged into each resource and
+ * relationships are replaced with the matching `included` resources
+ * (or `{ id, type }` stubs when they were not included). A resource that
+ * refers back to one it is nested in gets a stub there too, so the result
+ * has no cycles and JSON.stringify() can serialize it.
+ * @param {Object} document - A JSON:API response document
+ * @returns {{data: Object|Object[]|null, meta: Object|undefined, links: Object|undefined}} - The normalized document, or the input unchanged if it is not a JSON:API document
+ */
+export const normalize = (document) => {
+  if (!document || typeof document !== "object" || !("data" in document)) {
+    return document;
+  }
+  const primary = [].concat(document.data || []).filter(isResource);
+  const sources = new Map(
+    [...(document.included || []), ...primary].map((resource) => [
+      keyOf(resource),
+      resource,
+    ])
+  );
+  const hydrated = new Map();
+  // Resources being resolved, from the outermost one in
+  const resolving = new Set();
+
+  const resolve = (identifier) => {
+    const key = keyOf(identifier);
+    if (hydrated.has(key)) {
+      return hydrated.get(key);
+    }
+    const source = sources.get(key);
+    const result = { id: identifier.id, type: identifier.type };
+    if (!source || resolving.has(key)) {
+      return result;
+    }
+    resolving.add(key);
+    Object.assign(result, source.attributes);
+    result.id = source.id;
+    result.type = source.type;
+    for (const [name, relationship] of Object.entries(
+      source.relationships || {}
+    )) {
+      const data = relationship?.data;
+      if (Array.isArray(data)) {
+        result[name] = data.map(resolve);
+      } else if (data) {
+        result[name] = resolve(data);
+      } else if (data === null) {
+        result[name] = null;
+      }
+    }
+    if (source.links) {
+      result.links = source.links;
+    }
+    if (source.meta) {
+      result.meta = source.meta;
+    }
+    resolving.delete(key);
+    hydrated.set(key, result);
+    return result;
+  };
+
+  const normalizeData = (data) => (isResource(data) ? resolve(data) : data);
+
+  return {
+    data: Array.isArray(document.data)
+      ? document.data.map(normalizeData)
+      : normalizeData(document.data),
+    meta: document.meta,
+    links: document.links,
+  };
+};
+
+/**
+ * Attributes of a resource, whether it is raw JSON:API or already normalized
+ * @param {Object} resource - The resource
+ * @returns {Object} - Its attributes
+ */
+export const attributesOf = (resource) =>
+  resource?.attributes ?? resource ?? {};
@@ -0,0 +1,64 @@
+import { attributesOf } from "./jsonapi.js";
+
+/**
+ * A media entry of a gallery, read from a raw or normalized gallery child
+ * @typedef {Object} GalleryMedia
+ * @property {string} id - The media ID
+ * @property {string} childId - The ID of the gallery child
+ * @property {string|null} name - The file name
+ * @property {string|null} version - Last update time, used to detect changes
+ * @property {number|null} size - The file size in bytes
+ * @property {string|null} checksum - The file's MD5 checksum
+ */
+
+/**
+ * Describe the media behind a gallery child
+ * @param {Object} child - A gallery child, raw or normalized (with `media` included)
+ * @returns {GalleryMedia}
+ */
+export const describeMedia = (child) => {
+  const own = attributesOf(child);
+  const media =
+    child.media && typeof child.media === "object" ? child.media : {};
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const value = media[key] ?? own[key];
+      if (value != null) {
+        return value;
+      }
+    }
+    return null;
+  };
+  const id =
+    own.media_id ??
+    child.relationships?.media?.data?.id ??
+    media.id ??
+    child.id;
+  return {
+    id: String(id),
+    childId: child.id,
+    name: pick("file_name", "filename", "name"),
+    version: pick("updated_at", "modified_at"),
+    size: pick("file_size", "size"),
+    checksum: pick("md5", "checksum", "file_md5"),
+  };
+};
+
+/**
+ * List every media of a gallery
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} galleryId - The ID of the gallery
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<GalleryMedia[]>}
+ */
+export const listGalleryMedia = async (client, galleryId, options = {}) => {
+  const media = [];
+  for await (const child of client.galleries.iterateChildrenById(
+    galleryId,
+    {},
+    { ...options, include: "media", normalize: true }
+  )) {
+    media.push(describeMedia(child));
+  }
+  return media;
+};
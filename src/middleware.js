@@ -0,0 +1,85 @@
+import { PhotoShelterError } from "./errors.js";
+
+/**
+ * What a middleware sees of a request. The request fields can be changed
+ * before calling next(), the response once it resolves.
+ * @typedef {Object} MiddlewareContext
+ * @property {string} client - "v4" or "v3"
+ * @property {string} endpoint - The API endpoint, e.g. "/media/123"
+ * @property {string} method - The HTTP method
+ * @property {URL} url - The full URL, query parameters included
+ * @property {Object} headers - The request headers
+ * @property {string|FormData|undefined} body - The encoded request body
+ * @property {Object} options - The request options of the call, read-only
+ * @property {Response} [response] - The response, set once next() resolves
+ * @property {number} [attempts] - Attempts the response took, retries included
+ * @property {Object} state - Shared between the middleware of one request
+ */
+
+/**
+ * A step around every request. Call `next()` to send the request (again,
+ * if called twice) and get its response; return a Response, or set
+ * `ctx.response`, to replace it. Failed statuses arrive as responses, only
+ * network failures and timeouts are thrown by `next()`.
+ * @callback Middleware
+ * @param {MiddlewareContext} ctx - The request
+ * @param {function(): Promise<Response>} next - Runs the rest of the chain and the request
+ * @returns {Promise<Response|void>}
+ */
+
+/**
+ * Create a middleware chain. The first middleware added is the outermost.
+ * @returns {{use: function(Middleware): function(): void, run: function(MiddlewareContext, function(MiddlewareContext): Promise<Response>): Promise<Response>}}
+ */
+export const createMiddleware = () => {
+  const stack = [];
+
+  /**
+   * Add a middleware
+   * @param {Middleware} middleware
+   * @returns {function(): void} - Removes the middleware
+   */
+  const use = (middleware) => {
+    if (typeof middleware !== "function") {
+      throw new TypeError("Middleware must be a function (ctx, next) => ...");
+    }
+    stack.push(middleware);
+    return () => {
+      const index = stack.indexOf(middleware);
+      if (index !== -1) {
+        stack.splice(index, 1);
+      }
+    };
+  };
+
+  /**
+   * Run a request through the chain
+   * @param {MiddlewareContext} context - The request
+   * @param {function(MiddlewareContext): Promise<Response>} send - Sends the request as the context describes it
+   * @returns {Promise<Response>} - The response, as left by the outermost middleware
+   */
+  const run = (context, send) => {
+    // Middleware added while a request is in flight applies to the next one
+    const layers = [...stack];
+    const dispatch = async (index) => {
+      if (index === layers.length) {
+        context.response = await send(context);
+        return context.response;
+      }
+      const result = await layers[index](context, () => dispatch(index + 1));
+      if (result) {
+        context.response = result;
+      }
+      if (!context.response) {
+        throw new PhotoShelterError(
+          `Request Failed. Request Response: ${context.endpoint} = A middleware neither called next() nor returned a response`,
+          { endpoint: context.endpoint, method: context.method }
+        );
+      }
+      return context.response;
+    };
+    return dispatch(0);
+  };
+
+  return { use, run };
+};
@@ -0,0 +1,1185 @@
+import { createMockStore, serialize } from "./mockStore.js";
+import { sleep } from "./timeout.js";
+
+/**
+ * A running mock server from createMockServer()
+ * @typedef {Object} MockServer
+ * @property {string} baseUrl - Pass as the client's `config.baseUrl`
+ * @property {number} port - The port listened on
+ * @property {Object} store - The in-memory data, see seed()
+ * @property {Object[]} requests - Every request received, as `{ method, path, query, headers, body }`
+ * @property {number|Object|Function} latency - Delay added to every response, can be changed at any time
+ * @property {number} archivePolls - Times a new batch download job answers "pending" before its archive is ready, can be changed at any time
+ * @property {function(Object): Object} seed - Add fixtures, returns the IDs added by kind
+ * @property {function(): void} reset - Back to the initial fixtures, without scenarios or logged requests
+ * @property {function(Object): function(): void} inject - Add an error/latency scenario, returns a function removing it
+ * @property {function(): void} expireTokens - Invalidate every issued token, the next requests get a 401
+ * @property {function(): Promise<void>} close - Stop the server
+ */
+
+const STATUS_TITLES = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  408: "Request Timeout",
+  409: "Conflict",
+  416: "Range Not Satisfiable",
+  422: "Unprocessable Entity",
+  429: "Too Many Requests",
+  500: "Internal Server Error",
+  501: "Not Implemented",
+  502: "Bad Gateway",
+  503: "Service Unavailable",
+  504: "Gateway Timeout",
+};
+
+const failure = (status, title) => Object.assign(new Error(title), { status });
+
+const errorDocument = (status, title) => ({
+  errors: [
+    { status: String(status), title: title ?? STATUS_TITLES[status] ?? "" },
+  ],
+});
+
+/**
+ * Match a path against a pattern: `:name` captures a segment, `*` anything
+ * @param {string|RegExp} pattern - e.g. "/media/:id/download"
+ * @returns {function(string): Object|null} - The captured segments, null when it does not match
+ */
+const compilePath = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return (path) => {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(path);
+      return match ? { ...match.groups } : null;
+    };
+  }
+  const names = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") {
+        return ".*";
+      }
+      if (segment.startsWith(":")) {
+        names.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  const regex = new RegExp(`^${source}/?$`);
+  return (path) => {
+    const match = regex.exec(path);
+    return match
+      ? Object.fromEntries(
+          names.map((name, index) => [
+            name,
+            decodeURIComponent(match[index + 1]),
+          ])
+        )
+      : null;
+  };
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+  if (!buffer.length) {
+    return {};
+  }
+  const type = req.headers["content-type"] ?? "";
+  if (/json/i.test(type)) {
+    try {
+      return JSON.parse(buffer.toString("utf8"));
+    } catch (error) {
+      throw failure(400, "Malformed JSON body");
+    }
+  }
+  if (/x-www-form-urlencoded/i.test(type)) {
+    return Object.fromEntries(new URLSearchParams(buffer.toString("utf8")));
+  }
+  if (/multipart\/form-data/i.test(type)) {
+    const form = await new Response(buffer, {
+      headers: { "content-type": type },
+    }).formData();
+    return Object.fromEntries(form);
+  }
+  return buffer;
+};
+
+const resolveLatency = (latency, req) => {
+  if (typeof latency === "function") {
+    return latency(req) ?? 0;
+  }
+  if (latency && typeof latency === "object") {
+    const { min = 0, max = min } = latency;
+    return min + Math.random() * (max - min);
+  }
+  return Number(latency) || 0;
+};
+
+const list = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Words or "quoted phrases" of a search query
+const terms = (query) =>
+  [...String(query).matchAll(/"([^"]+)"|(\S+)/g)].map((match) =>
+    (match[1] ?? match[2]).toLowerCase()
+  );
+
+const matchesTerms = (attributes, words) => {
+  const text = Object.values(attributes)
+    .flat()
+    .filter((value) => typeof value === "string")
+    .join(" ")
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+};
+
+const FILE_TYPES = {
+  image: (mime) => mime.startsWith("image/"),
+  video: (mime) => mime.startsWith("video/"),
+  audio: (mime) => mime.startsWith("audio/"),
+  document: (mime) => !/^(image|video|audio)\//.test(mime),
+};
+
+const sortRecords = (records, sort) => {
+  const keys = list(sort)
+    .filter((key) => key !== "relevance" && key !== "-relevance")
+    .map((key) =>
+      key.startsWith("-") ? [key.slice(1), -1] : [key.replace(/^\+/, ""), 1]
+    );
+  if (!keys.length) {
+    return records;
+  }
+  return [...records].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const left = a.attributes[field];
+      const right = b.attributes[field];
+      if (left !== right) {
+        if (left === undefined || left === null) {
+          return 1;
+        }
+        if (right === undefined || right === null) {
+          return -1;
+        }
+        return (left < right ? -1 : 1) * direction;
+      }
+    }
+    return 0;
+  });
+};
+
+const paginate = (items, query, toResource) => {
+  const perPage = Math.max(1, Number(query.per_page) || 25);
+  const page = Math.max(1, Number(query.page) || 1);
+  const start = (page - 1) * perPage;
+  const slice = items.slice(start, start + perPage);
+  return {
+    slice,
+    document: {
+      data: slice.map(toResource),
+      meta: {
+        total: items.length,
+        page,
+        per_page: perPage,
+        total_pages: Math.ceil(items.length / perPage),
+      },
+    },
+  };
+};
+
+// Body fields, whether sent flat or wrapped as a JSON:API resource
+const fieldsOf = (body) => {
+  if (!body || Buffer.isBuffer(body)) {
+    return {};
+  }
+  return body.data?.attributes ?? body;
+};
+
+const requireField = (fields, name) => {
+  if (fields[name] === undefined || fields[name] === "") {
+    throw failure(422, `${name} is required`);
+  }
+  return fields[name];
+};
+
+/**
+ * Start a fake PhotoShelter V4 API on localhost (Node.js only), backed by an
+ * in-memory store. It answers the authentication, media, gallery, collection,
+ * library, search, metadata and trash endpoints with JSON:API documents;
+ * anything else gets a 501. Point a client at it with `baseUrl`:
+ *
+ *   const server = await createMockServer({ fixtures: { galleries: [{ name: "Events" }] } });
+ *   const api = PhotoShelterV4API("key", { baseUrl: server.baseUrl });
+ *   await api.authenticate.login("me@example.com", "secret");
+ *   ...
+ *   await server.close();
+ *
+ * @param {Object} [settings] - Server settings
+ * @param {number} [settings.port] - Port to listen on (default: a free one)
+ * @param {string} [settings.host] - Interface to listen on (default "127.0.0.1")
+ * @param {string} [settings.apiKey] - Only accept this API key (default: any)
+ * @param {Object} [settings.fixtures] - Initial data: `users` (`{ email, password, twoFactorCode, org }`, any login is accepted when empty),
+ * `media`, `collections` (`parent_id`), `galleries` (`parent_ids`, `media_ids`), `metadataFields`, `metadataSchemas`, `metadataValues`
+ * @param {number|{min: number, max: number}|function(Object): number} [settings.latency] - Delay in ms added to every response
+ * @param {boolean} [settings.redirectDownloads] - Answer downloads with a redirect to an unauthenticated CDN URL, as the live API may
+ * @param {string} [settings.cdnUrl] - Origin of the CDN links of batch download archives with redirectDownloads (default: the server itself)
+ * @param {number} [settings.archivePolls] - Times a new batch download job answers "pending" before its archive is ready (default 0)
+ * @returns {Promise<MockServer>}
+ */
+export const createMockServer = async (settings = {}) => {
+  const [http, { createHash }] = await Promise.all([
+    import("node:http"),
+    import("node:crypto"),
+  ]);
+  const {
+    port = 0,
+    host = "127.0.0.1",
+    apiKey,
+    fixtures = {},
+    latency = 0,
+    redirectDownloads = false,
+    cdnUrl = "",
+    archivePolls = 0,
+  } = settings;
+  const store = createMockStore({
+    md5: (buffer) => createHash("md5").update(buffer).digest("hex"),
+  });
+  const routes = [];
+  const archives = new Map();
+  let scenarios = [];
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} path - Path pattern, see compilePath()
+   * @param {function(Object): Object|Promise<Object>} handler - Returns `{ status, headers, body }`
+   * @param {string} [auth] - "token" (default), "key" (API key only) or "none"
+   */
+  const route = (method, path, handler, auth = "token") => {
+    routes.push({ method, match: compilePath(path), handler, auth });
+  };
+
+  const ok = (body) => ({ status: 200, body });
+  const created = (body) => ({ status: 201, body });
+  const noContent = () => ({ status: 204 });
+
+  const find = (map, id, label) => {
+    const record = map.get(id);
+    if (!record) {
+      throw failure(404, `${label} ${id} not found`);
+    }
+    return record;
+  };
+
+  const toCollection = (record) => serialize.collection(record, store);
+  const toGallery = (record) => serialize.gallery(record, store);
+  const toLibraryItem = (record) =>
+    store.collections.has(record.id) ? toCollection(record) : toGallery(record);
+
+  const childrenOf = (collectionId) => [
+    ...[...store.collections.values()].filter(
+      (record) => store.parentOf(record) === collectionId
+    ),
+    ...[...store.galleries.values()].filter((record) =>
+      store.parentsOf(record).includes(collectionId)
+    ),
+  ];
+
+  const breadcrumb = (collectionId) => {
+    const path = [];
+    let current = store.collections.get(collectionId);
+    while (current && !path.includes(current)) {
+      path.unshift(current);
+      current = store.collections.get(store.parentOf(current));
+    }
+    return path.map((record) => ({
+      id: record.id,
+      type: "collection",
+      attributes: { name: record.attributes.name },
+    }));
+  };
+
+  const update = (record, fields) => {
+    const { id, ...changes } = fields;
+    Object.assign(record.attributes, changes, {
+      updated_at: new Date().toISOString(),
+    });
+    return record;
+  };
+
+  // Deleted collections, galleries and media wait in the trash
+  const moveToTrash = (kind, map, record) => {
+    map.delete(record.id);
+    const memberships = [];
+    if (kind === "media") {
+      for (const gallery of store.galleries.values()) {
+        const index = gallery.children.findIndex(
+          (child) => child.mediaId === record.id
+        );
+        if (index !== -1) {
+          memberships.push({
+            galleryId: gallery.id,
+            child: gallery.children.splice(index, 1)[0],
+          });
+        }
+      }
+    }
+    const id = store.nextId("trash_item");
+    store.trash.set(id, {
+      id,
+      kind,
+      record,
+      memberships,
+      deleted_at: new Date().toISOString(),
+    });
+    return noContent();
+  };
+
+  const toTrashItem = (entry) => ({
+    id: entry.id,
+    type: "trash_item",
+    attributes: {
+      item_type: entry.kind,
+      item_id: entry.record.id,
+      name:
+        entry.record.attributes.name ??
+        entry.record.attributes.file_name ??
+        null,
+      deleted_at: entry.deleted_at,
+    },
+  });
+
+  const trashMaps = {
+    collection: [store.collections, toCollection],
+    gallery: [store.galleries, toGallery],
+    media: [store.media, serialize.media],
+  };
+
+  const filterMedia = (query) => {
+    let records = [...store.media.values()];
+    if (query.query) {
+      const words = terms(query.query);
+      records = records.filter((record) =>
+        matchesTerms(record.attributes, words)
+      );
+    }
+    const galleryIds = list(query["filter[gallery_id]"]);
+    if (galleryIds.length) {
+      const inGalleries = new Set(
+        galleryIds.flatMap((id) =>
+          (store.galleries.get(id)?.children ?? []).map(
+            (child) => child.mediaId
+          )
+        )
+      );
+      records = records.filter((record) => inGalleries.has(record.id));
+    }
+    const fileTypes = list(query["filter[file_type]"]);
+    if (fileTypes.length) {
+      records = records.filter((record) =>
+        fileTypes.some((type) =>
+          FILE_TYPES[type]?.(record.attributes.mime_type ?? "")
+        )
+      );
+    }
+    for (const [key, value] of Object.entries(query)) {
+      const range = /^filter\[(\w+)\]\[(gte|lte)\]$/.exec(key);
+      if (range) {
+        const [, field, bound] = range;
+        const limit = new Date(value).getTime();
+        records = records.filter((record) => {
+          const time = new Date(record.attributes[field]).getTime();
+          return bound === "gte" ? time >= limit : time <= limit;
+        });
+      }
+    }
+    return sortRecords(records, query.sort);
+  };
+
+  const download = ({ params, headers, path }) => {
+    const record = find(store.media, params.id, "Media");
+    if (redirectDownloads && !path.startsWith("/cdn/")) {
+      return {
+        status: 302,
+        headers: { location: `/cdn/media/${record.id}` },
+      };
+    }
+    const { content } = record;
+    const fileHeaders = {
+      "content-type": record.attributes.mime_type,
+      "content-disposition": `attachment; filename="${record.attributes.file_name}"`,
+      "accept-ranges": "bytes",
+      etag: `"${record.attributes.md5}"`,
+    };
+    const range = /^bytes=(\d*)-(\d*)$/.exec(headers.range ?? "");
+    // A range of another version of the file is ignored: send it whole
+    const current =
+      headers["if-range"] === undefined ||
+      headers["if-range"] === fileHeaders.etag;
+    if (!range || !current) {
+      return { status: 200, headers: fileHeaders, body: content };
+    }
+    const start = range[1]
+      ? Number(range[1])
+      : Math.max(0, content.length - Number(range[2]));
+    const end =
+      range[1] && range[2]
+        ? Math.min(Number(range[2]), content.length - 1)
+        : content.length - 1;
+    if (start >= content.length || start > end) {
+      return {
+        status: 416,
+        headers: { "content-range": `bytes */${content.length}` },
+        body: errorDocument(416),
+      };
+    }
+    return {
+      status: 206,
+      headers: {
+        ...fileHeaders,
+        "content-range": `bytes ${start}-${end}/${content.length}`,
+      },
+      body: content.subarray(start, end + 1),
+    };
+  };
+
+  // Authentication
+
+  route(
+    "POST",
+    "/authenticate",
+    ({ body }) => {
+      const { email, password, org_id: orgId } = fieldsOf(body);
+      const user = store.users.length
+        ? store.users.find(
+            (candidate) =>
+              candidate.email === email && candidate.password === password
+          )
+        : { email };
+      if (!user) {
+        throw failure(401, "Invalid email or password");
+      }
+      const token = store.nextId("token");
+      const pending = Boolean(user.twoFactorCode);
+      store.tokens.set(token, { email, pending, user });
+      return ok({
+        token,
+        org: user.org ?? (orgId ? { id: orgId } : null),
+        two_factor: pending,
+      });
+    },
+    "key"
+  );
+
+  route("POST", "/twofactor/verify", ({ body, token, session }) => {
+    if (!session.pending) {
+      throw failure(409, "No two-factor verification pending");
+    }
+    if (String(fieldsOf(body).code) !== String(session.user.twoFactorCode)) {
+      throw failure(401, "Invalid verification code");
+    }
+    store.tokens.delete(token);
+    const verified = store.nextId("token");
+    store.tokens.set(verified, { ...session, pending: false });
+    return ok({ token: verified });
+  });
+
+  route("POST", "/authenticate/logout", ({ token }) => {
+    store.tokens.delete(token);
+    return noContent();
+  });
+
+  // Collections
+
+  route("GET", "/collections", ({ query }) =>
+    ok(
+      paginate(
+        sortRecords([...store.collections.values()], query.sort),
+        query,
+        toCollection
+      ).document
+    )
+  );
+
+  route("POST", "/collections", ({ body }) => {
+    const { parent_id: parentId, ...fields } = fieldsOf(body);
+    requireField(fields, "name");
+    if (parentId) {
+      find(store.collections, parentId, "Collection");
+    }
+    const record = store.addCollection({
+      ...fields,
+      id: undefined,
+      parent_id: parentId ?? null,
+    });
+    return created({ data: toCollection(record) });
+  });
+
+  route("GET", "/collections/search", ({ query }) => {
+    requireField(query, "query");
+    const words = terms(query.query);
+    const matches = [...store.collections.values()].filter((record) =>
+      matchesTerms(record.attributes, words)
+    );
+    return ok(
+      paginate(sortRecords(matches, query.sort), query, toCollection).document
+    );
+  });
+
+  route("GET", "/collections/:id", ({ params }) =>
+    ok({ data: toCollection(find(store.collections, params.id, "Collection")) })
+  );
+
+  route("PATCH", "/collections/:id", ({ params, body }) => {
+    const record = find(store.collections, params.id, "Collection");
+    const { parent_id: parentId, ...fields } = fieldsOf(body);
+    if (parentId !== undefined) {
+      if (parentId) {
+        find(store.collections, parentId, "Collection");
+      }
+      record.parentId = parentId || null;
+    }
+    return ok({ data: toCollection(update(record, fields)) });
+  });
+
+  route("DELETE", "/collections/:id", ({ params }) =>
+    moveToTrash(
+      "collection",
+      store.collections,
+      find(store.collections, params.id, "Collection")
+    )
+  );
+
+  route("GET", "/collections/:id/children", ({ params, query }) => {
+    find(store.collections, params.id, "Collection");
+    return ok(paginate(childrenOf(params.id), query, toLibraryItem).document);
+  });
+
+  route("GET", "/collections/:id/children/:childId", ({ params }) => {
+    find(store.collections, params.id, "Collection");
+    const child = childrenOf(params.id).find(
+      (record) => record.id === params.childId
+    );
+    if (!child) {
+      throw failure(
+        404,
+        `${params.childId} is not a child of collection ${params.id}`
+      );
+    }
+    return ok({ data: toLibraryItem(child) });
+  });
+
+  route("GET", "/collections/:id/count", ({ params }) => {
+    find(store.collections, params.id, "Collection");
+    const children = childrenOf(params.id);
+    const collections = children.filter((record) =>
+      store.collections.has(record.id)
+    ).length;
+    return ok({
+      data: {
+        id: params.id,
+        type: "collection_count",
+        attributes: {
+          collections,
+          galleries: children.length - collections,
+          total: children.length,
+        },
+      },
+    });
+  });
+
+  route("GET", "/collections/:id/parent", ({ params }) => {
+    const record = find(store.collections, params.id, "Collection");
+    const parentId = store.parentOf(record);
+    return ok({
+      data: parentId ? toCollection(store.collections.get(parentId)) : null,
+    });
+  });
+
+  route("GET", "/collections/:id/path", ({ params }) => {
+    find(store.collections, params.id, "Collection");
+    return ok({ data: breadcrumb(params.id) });
+  });
+
+  // Galleries
+
+  route("GET", "/galleries", ({ query }) =>
+    ok(
+      paginate(
+        sortRecords([...store.galleries.values()], query.sort),
+        query,
+        toGallery
+      ).document
+    )
+  );
+
+  route("POST", "/galleries", ({ body }) => {
+    const {
+      parent_id: parentId,
+      collection_id: collectionId = parentId,
+      ...fields
+    } = fieldsOf(body);
+    requireField(fields, "name");
+    if (collectionId) {
+      find(store.collections, collectionId, "Collection");
+    }
+    const record = store.addGallery({
+      ...fields,
+      id: undefined,
+      parent_ids: collectionId ? [collectionId] : [],
+    });
+    return created({ data: toGallery(record) });
+  });
+
+  route("GET", "/galleries/:id", ({ params }) =>
+    ok({ data: toGallery(find(store.galleries, params.id, "Gallery")) })
+  );
+
+  route("PATCH", "/galleries/:id", ({ params, body }) => {
+    const record = find(store.galleries, params.id, "Gallery");
+    return ok({ data: toGallery(update(record, fieldsOf(body))) });
+  });
+
+  route("DELETE", "/galleries/:id", ({ params }) =>
+    moveToTrash(
+      "gallery",
+      store.galleries,
+      find(store.galleries, params.id, "Gallery")
+    )
+  );
+
+  route("GET", "/galleries/:id/children", ({ params, query }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    const { slice, document } = paginate(
+      gallery.children,
+      query,
+      serialize.child
+    );
+    if (list(query.include).includes("media")) {
+      document.included = slice
+        .map((child) => store.media.get(child.mediaId))
+        .filter(Boolean)
+        .map(serialize.media);
+    }
+    return ok(document);
+  });
+
+  route("POST", "/galleries/:id/children", ({ params, body }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    const mediaId = String(requireField(fieldsOf(body), "media_id"));
+    find(store.media, mediaId, "Media");
+    return created({ data: serialize.child(store.addChild(gallery, mediaId)) });
+  });
+
+  const findChild = (params) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    const index = gallery.children.findIndex(
+      (child) => child.id === params.childId
+    );
+    if (index === -1) {
+      throw failure(
+        404,
+        `Child ${params.childId} not found in gallery ${params.id}`
+      );
+    }
+    return { gallery, index };
+  };
+
+  route("GET", "/galleries/:id/children/:childId", ({ params }) => {
+    const { gallery, index } = findChild(params);
+    return ok({ data: serialize.child(gallery.children[index]) });
+  });
+
+  route("DELETE", "/galleries/:id/children/:childId", ({ params }) => {
+    const { gallery, index } = findChild(params);
+    gallery.children.splice(index, 1);
+    return noContent();
+  });
+
+  route("GET", "/galleries/:id/count", ({ params }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    return ok({
+      data: {
+        id: gallery.id,
+        type: "gallery_count",
+        attributes: { media: gallery.children.length },
+      },
+    });
+  });
+
+  route("GET", "/galleries/:id/parents", ({ params }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    return ok({
+      data: store
+        .parentsOf(gallery)
+        .map((id) => toCollection(store.collections.get(id))),
+    });
+  });
+
+  route("POST", "/galleries/:id/parents", ({ params, body }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    const fields = fieldsOf(body);
+    const parentId = String(
+      fields.parent_id ?? requireField(fields, "collection_id")
+    );
+    find(store.collections, parentId, "Collection");
+    if (!gallery.parentIds.includes(parentId)) {
+      gallery.parentIds.push(parentId);
+    }
+    return created({ data: toGallery(gallery) });
+  });
+
+  route("DELETE", "/galleries/:id/parents/:parentId", ({ params }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    if (!gallery.parentIds.includes(params.parentId)) {
+      throw failure(
+        404,
+        `Collection ${params.parentId} is not a parent of gallery ${params.id}`
+      );
+    }
+    gallery.parentIds = gallery.parentIds.filter(
+      (id) => id !== params.parentId
+    );
+    return noContent();
+  });
+
+  route("GET", "/galleries/:id/path", ({ params }) => {
+    const gallery = find(store.galleries, params.id, "Gallery");
+    const [parentId] = store.parentsOf(gallery);
+    return ok({
+      data: [
+        ...(parentId ? breadcrumb(parentId) : []),
+        {
+          id: gallery.id,
+          type: "gallery",
+          attributes: { name: gallery.attributes.name },
+        },
+      ],
+    });
+  });
+
+  // Library
+
+  route("GET", "/library", ({ query }) => {
+    const top = [
+      ...[...store.collections.values()].filter(
+        (record) => !store.parentOf(record)
+      ),
+      ...[...store.galleries.values()].filter(
+        (record) => !store.parentsOf(record).length
+      ),
+    ];
+    return ok(paginate(top, query, toLibraryItem).document);
+  });
+
+  // Media
+
+  route("GET", "/media", ({ query }) =>
+    ok(paginate(filterMedia(query), query, serialize.media).document)
+  );
+
+  route("POST", "/media", async ({ body }) => {
+    const { file, ...fields } = fieldsOf(body);
+    if (!(file instanceof Blob)) {
+      throw failure(422, "file is required");
+    }
+    const record = store.addMedia({
+      file_name: file.name || undefined,
+      ...(file.type && { mime_type: file.type }),
+      ...fields,
+      id: undefined,
+      content: await file.arrayBuffer(),
+    });
+    return created({ data: serialize.media(record) });
+  });
+
+  // Batch downloads: a job stays pending for `archivePolls` requests, then
+  // links to an archive of the media found, concatenated. It fails when
+  // none of the media is found.
+  const BATCH_OPTIONS = [
+    { size: "original" },
+    { size: "large", format: "jpg" },
+    { size: "large", format: "png" },
+    { size: "small", format: "jpg" },
+  ];
+
+  const toArchiveJob = (job) => {
+    const status = job.polls > 0 ? "pending" : job.status;
+    const url =
+      status !== "ready"
+        ? undefined
+        : redirectDownloads
+        ? `${cdnUrl}/cdn/archives/${job.id}`
+        : `/media/batch/download/archives/${job.id}`;
+    return {
+      data: {
+        id: job.id,
+        type: "batch_download",
+        attributes: {
+          status,
+          url,
+          failed: job.missing.map((id) => ({
+            media_id: id,
+            reason: "Media not found",
+          })),
+        },
+      },
+    };
+  };
+
+  const archive = ({ params }) => ({
+    status: 200,
+    headers: { "content-type": "application/zip" },
+    body: find(archives, params.id, "Batch download").content,
+  });
+
+  route("GET", "/media/batch/download/options", () =>
+    ok({
+      data: BATCH_OPTIONS.map((attributes, index) => ({
+        id: String(index + 1),
+        type: "batch_download_option",
+        attributes,
+      })),
+    })
+  );
+
+  route("GET", "/media/batch/download", ({ query }) => {
+    if (query.job_id) {
+      const job = find(archives, query.job_id, "Batch download");
+      job.polls--;
+      return ok(toArchiveJob(job));
+    }
+    const offered = BATCH_OPTIONS.some(
+      (option) =>
+        option.size === query.size &&
+        (option.format ?? "") === (query.format ?? "")
+    );
+    if (!offered) {
+      throw failure(
+        422,
+        `No batch download option ${query.size}/${query.format}`
+      );
+    }
+    const ids = list(query.media_ids);
+    const found = ids.filter((id) => store.media.has(id));
+    const job = {
+      id: `archive-${archives.size + 1}`,
+      status: found.length ? "ready" : "failed",
+      polls: mock.archivePolls,
+      missing: ids.filter((id) => !store.media.has(id)),
+      content: Buffer.concat(found.map((id) => store.media.get(id).content)),
+    };
+    archives.set(job.id, job);
+    return ok(toArchiveJob(job));
+  });
+
+  route("GET", "/media/batch/download/archives/:id", archive);
+  route("GET", "/cdn/archives/:id", archive, "none");
+
+  route("GET", "/media/:id", ({ params }) =>
+    ok({ data: serialize.media(find(store.media, params.id, "Media")) })
+  );
+
+  route("PATCH", "/media/:id", ({ params, body }) => {
+    const record = find(store.media, params.id, "Media");
+    return ok({ data: serialize.media(update(record, fieldsOf(body))) });
+  });
+
+  route("DELETE", "/media/:id", ({ params }) =>
+    moveToTrash("media", store.media, find(store.media, params.id, "Media"))
+  );
+
+  route("GET", "/media/:id/download", download);
+  route("GET", "/media/:id/download/transform", download);
+  route("GET", "/cdn/media/:id", download, "none");
+
+  route("GET", "/media/:id/galleries", ({ params }) => {
+    find(store.media, params.id, "Media");
+    return ok({
+      data: [...store.galleries.values()]
+        .filter((gallery) =>
+          gallery.children.some((child) => child.mediaId === params.id)
+        )
+        .map(toGallery),
+    });
+  });
+
+  const toMetadata = (record) => ({
+    data: {
+      id: record.id,
+      type: "media_metadata",
+      attributes: record.metadata,
+    },
+  });
+
+  route("GET", "/media/:id/metadata", ({ params }) =>
+    ok(toMetadata(find(store.media, params.id, "Media")))
+  );
+
+  route("PATCH", "/media/:id/metadata", ({ params, body }) => {
+    const record = find(store.media, params.id, "Media");
+    Object.assign(record.metadata, fieldsOf(body));
+    return ok(toMetadata(record));
+  });
+
+  // Search
+
+  route("GET", "/search", ({ query }) => {
+    requireField(query, "query");
+    return ok(paginate(filterMedia(query), query, serialize.media).document);
+  });
+
+  // Metadata fields, schemas and values
+
+  for (const [path, map, kind, label] of [
+    ["/metadata/fields", store.metadataFields, "metadata_field", "Field"],
+    ["/metadata/schemas", store.metadataSchemas, "metadata_schema", "Schema"],
+    ["/metadata/values", store.metadataValues, "metadata_value", "Value"],
+  ]) {
+    const toResource = serialize.record(kind);
+    route("GET", path, ({ query }) =>
+      ok(
+        paginate(sortRecords([...map.values()], query.sort), query, toResource)
+          .document
+      )
+    );
+    route("POST", path, ({ body }) =>
+      created({
+        data: toResource(
+          store.addRecord(map, kind, { ...fieldsOf(body), id: undefined })
+        ),
+      })
+    );
+    route("GET", `${path}/:id`, ({ params }) =>
+      ok({ data: toResource(find(map, params.id, `Metadata ${label}`)) })
+    );
+    route("PUT", `${path}/:id`, ({ params, body }) =>
+      ok({
+        data: toResource(
+          update(find(map, params.id, `Metadata ${label}`), fieldsOf(body))
+        ),
+      })
+    );
+    route("DELETE", `${path}/:id`, ({ params }) => {
+      find(map, params.id, `Metadata ${label}`);
+      map.delete(params.id);
+      return noContent();
+    });
+  }
+
+  // Trash
+
+  route("GET", "/trash", ({ query }) =>
+    ok(paginate([...store.trash.values()], query, toTrashItem).document)
+  );
+
+  route("GET", "/trash/:id", ({ params }) =>
+    ok({ data: toTrashItem(find(store.trash, params.id, "Trash item")) })
+  );
+
+  route("POST", "/trash/:id/restore", ({ params }) => {
+    const entry = find(store.trash, params.id, "Trash item");
+    const [map, toResource] = trashMaps[entry.kind];
+    store.trash.delete(entry.id);
+    map.set(entry.record.id, entry.record);
+    for (const { galleryId, child } of entry.memberships) {
+      store.galleries.get(galleryId)?.children.push(child);
+    }
+    return ok({ data: toResource(entry.record) });
+  });
+
+  route("DELETE", "/trash/:id", ({ params }) => {
+    find(store.trash, params.id, "Trash item");
+    store.trash.delete(params.id);
+    return noContent();
+  });
+
+  const takeScenario = (method, path) => {
+    const scenario = scenarios.find(
+      (candidate) =>
+        (!candidate.method || candidate.method.toUpperCase() === method) &&
+        candidate.match(path)
+    );
+    if (scenario && --scenario.remaining <= 0) {
+      scenarios = scenarios.filter((candidate) => candidate !== scenario);
+    }
+    return scenario;
+  };
+
+  const authorize = (req, auth) => {
+    if (auth === "none") {
+      return {};
+    }
+    if (apiKey !== undefined && req.headers["x-ps-api-key"] !== apiKey) {
+      throw failure(403, "Invalid API key");
+    }
+    if (auth === "key") {
+      return {};
+    }
+    const bearer = /^Bearer (.+)$/i.exec(req.headers.authorization ?? "");
+    const token = req.headers["x-ps-auth-token"] ?? bearer?.[1];
+    const session = token ? store.tokens.get(token) : null;
+    if (!session) {
+      throw failure(401, "Invalid or expired token");
+    }
+    return { token, session };
+  };
+
+  const dispatch = async (req, url) => {
+    const path = url.pathname;
+    const method = req.method;
+    const query = Object.fromEntries(url.searchParams);
+    const body = await readBody(req);
+    mock.requests.push({ method, path, query, headers: req.headers, body });
+
+    await sleep(resolveLatency(mock.latency, { method, path, query }));
+    const scenario = takeScenario(method, path);
+    if (scenario) {
+      await sleep(scenario.delay ?? 0);
+      if (scenario.reset) {
+        return "reset";
+      }
+      if (scenario.status) {
+        return {
+          status: scenario.status,
+          headers: scenario.headers,
+          body:
+            scenario.body ??
+            (scenario.errors
+              ? { errors: scenario.errors }
+              : errorDocument(scenario.status, scenario.title)),
+        };
+      }
+    }
+
+    for (const candidate of routes) {
+      const params = candidate.method === method && candidate.match(path);
+      if (!params) {
+        continue;
+      }
+      const auth = authorize(req, candidate.auth);
+      if (auth.session?.pending && path !== "/twofactor/verify") {
+        throw failure(401, "Two-factor verification pending");
+      }
+      return await candidate.handler({
+        method,
+        path,
+        params,
+        query,
+        headers: req.headers,
+        body,
+        ...auth,
+      });
+    }
+    // Not retried by the client, unlike a 500
+    throw failure(501, `${method} ${path} is not implemented by the mock`);
+  };
+
+  const respond = (res, { status = 200, headers = {}, body }) => {
+    if (body === undefined || body === null) {
+      res.writeHead(status, headers);
+      res.end();
+      return;
+    }
+    const isFile = Buffer.isBuffer(body);
+    const payload = isFile ? body : Buffer.from(JSON.stringify(body));
+    res.writeHead(status, {
+      ...(isFile ? {} : { "content-type": "application/vnd.api+json" }),
+      ...headers,
+      "content-length": payload.length,
+    });
+    res.end(payload);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let result;
+    try {
+      result = await dispatch(req, new URL(req.url, "http://localhost"));
+    } catch (error) {
+      const status = error.status ?? 500;
+      result = { status, body: errorDocument(status, error.message) };
+    }
+    if (result === "reset") {
+      req.socket.destroy();
+      return;
+    }
+    respond(res, result);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+  const address = server.address();
+
+  const mock = {
+    baseUrl: `http://${
+      address.family === "IPv6" ? `[${address.address}]` : address.address
+    }:${address.port}`,
+    port: address.port,
+    store,
+    requests: [],
+    latency,
+    archivePolls,
+
+    seed: (more) => store.seed(more),
+
+    reset: () => {
+      store.clear();
+      store.seed(fixtures);
+      archives.clear();
+      scenarios = [];
+      mock.requests.length = 0;
+    },
+
+    /**
+     * Answer matching requests with an error, a delay or a dropped connection
+     * @param {Object} scenario
+     * @param {string} [scenario.method] - Only requests with this method (default any)
+     * @param {string|RegExp} [scenario.path] - Path pattern, e.g. "/media/:id" or "/galleries/*" (default any)
+     * @param {number} [scenario.status] - Respond with this status instead of the real answer
+     * @param {string} [scenario.title] - Error title of the response
+     * @param {Object[]} [scenario.errors] - Full JSON:API error objects of the response
+     * @param {Object} [scenario.body] - Response body, replaces the error document
+     * @param {Object} [scenario.headers] - Response headers, e.g. `{ "retry-after": "1" }`
+     * @param {number} [scenario.delay] - Wait this many ms first (without `status`, the request is then handled normally)
+     * @param {boolean} [scenario.reset] - Drop the connection without answering
+     * @param {number} [scenario.times] - Only affect this many requests (default all)
+     * @returns {function(): void} - Removes the scenario
+     */
+    inject: (scenario) => {
+      const entry = {
+        ...scenario,
+        match: compilePath(scenario.path ?? "*"),
+        remaining: scenario.times ?? Infinity,
+      };
+      scenarios.push(entry);
+      return () => {
+        scenarios = scenarios.filter((candidate) => candidate !== entry);
+      };
+    },
+
+    expireTokens: () => store.tokens.clear(),
+
+    close: () =>
+      new Promise((resolve, reject) => {
+        server.close((error) => (error ? reject(error) : resolve()));
+        server.closeAllConnections?.();
+      }),
+  };
+
+  store.seed(fixtures);
+  return mock;
+};
@@ -0,0 +1,214 @@
+import { getMimeType } from "./multipart.js";
+
+const PREFIXES = {
+  collection: "C",
+  gallery: "G",
+  media: "I",
+  child: "K",
+  metadata_field: "F",
+  metadata_schema: "S",
+  metadata_value: "V",
+  token: "T",
+  trash_item: "X",
+};
+
+const now = () => new Date().toISOString();
+
+const toBuffer = (content, fallback) => {
+  if (content === undefined || content === null) {
+    return Buffer.from(fallback);
+  }
+  return ArrayBuffer.isView(content)
+    ? Buffer.from(content.buffer, content.byteOffset, content.byteLength)
+    : Buffer.from(content);
+};
+
+/**
+ * Records of the mock server. Attributes are kept as given, relations
+ * (parents, gallery children) are kept beside them.
+ * @param {Object} tools
+ * @param {function(Buffer): string} tools.md5 - Hex MD5 of file contents
+ * @returns {Object} - The store
+ */
+export const createMockStore = ({ md5 }) => {
+  const store = {
+    users: [],
+    tokens: new Map(),
+    collections: new Map(),
+    galleries: new Map(),
+    media: new Map(),
+    metadataFields: new Map(),
+    metadataSchemas: new Map(),
+    metadataValues: new Map(),
+    trash: new Map(),
+  };
+  let sequence = 0;
+
+  const nextId = (kind) =>
+    `${PREFIXES[kind]}${String(++sequence).padStart(8, "0")}`;
+
+  const stamp = (attributes) => {
+    const time = now();
+    return { created_at: time, updated_at: time, ...attributes };
+  };
+
+  const addMedia = ({ id = nextId("media"), content, ...attributes } = {}) => {
+    const file = toBuffer(content, `mock content of ${id}`);
+    const fileName = attributes.file_name ?? `${id}.jpg`;
+    const record = {
+      id,
+      attributes: stamp({
+        mime_type: getMimeType(fileName),
+        file_size: file.length,
+        md5: md5(file),
+        ...attributes,
+        file_name: fileName,
+      }),
+      content: file,
+      metadata: {},
+    };
+    store.media.set(id, record);
+    return record;
+  };
+
+  const addCollection = ({
+    id = nextId("collection"),
+    parent_id: parentId = null,
+    ...attributes
+  } = {}) => {
+    const record = {
+      id,
+      attributes: stamp({ name: id, ...attributes }),
+      parentId,
+    };
+    store.collections.set(id, record);
+    return record;
+  };
+
+  const addGallery = ({
+    id = nextId("gallery"),
+    parent_id,
+    parent_ids = parent_id ? [parent_id] : [],
+    media_ids = [],
+    ...attributes
+  } = {}) => {
+    const record = {
+      id,
+      attributes: stamp({ name: id, ...attributes }),
+      parentIds: [...parent_ids],
+      children: [],
+    };
+    store.galleries.set(id, record);
+    media_ids.forEach((mediaId) => addChild(record, mediaId));
+    return record;
+  };
+
+  const addChild = (gallery, mediaId) => {
+    const child = { id: nextId("child"), mediaId, created_at: now() };
+    gallery.children.push(child);
+    return child;
+  };
+
+  const addRecord = (map, kind, { id = nextId(kind), ...attributes } = {}) => {
+    const record = { id, attributes: stamp(attributes) };
+    map.set(id, record);
+    return record;
+  };
+
+  /**
+   * Add fixtures. Media are added first so galleries can list them.
+   * @param {Object} fixtures - Records by kind, IDs are generated when omitted
+   * @returns {Object} - The IDs added, by kind
+   */
+  const seed = (fixtures = {}) => {
+    store.users.push(...(fixtures.users ?? []));
+    const ids = (list = [], add) => list.map((item) => add(item).id);
+    return {
+      media: ids(fixtures.media, addMedia),
+      collections: ids(fixtures.collections, addCollection),
+      galleries: ids(fixtures.galleries, addGallery),
+      metadataFields: ids(fixtures.metadataFields, (item) =>
+        addRecord(store.metadataFields, "metadata_field", item)
+      ),
+      metadataSchemas: ids(fixtures.metadataSchemas, (item) =>
+        addRecord(store.metadataSchemas, "metadata_schema", item)
+      ),
+      metadataValues: ids(fixtures.metadataValues, (item) =>
+        addRecord(store.metadataValues, "metadata_value", item)
+      ),
+    };
+  };
+
+  const clear = () => {
+    store.users.length = 0;
+    for (const map of Object.values(store)) {
+      if (map instanceof Map) {
+        map.clear();
+      }
+    }
+    sequence = 0;
+  };
+
+  // Parents that were deleted no longer count: their children move up
+  const parentOf = (collection) =>
+    store.collections.has(collection.parentId) ? collection.parentId : null;
+  const parentsOf = (gallery) =>
+    gallery.parentIds.filter((id) => store.collections.has(id));
+
+  return Object.assign(store, {
+    nextId,
+    seed,
+    clear,
+    addMedia,
+    addCollection,
+    addGallery,
+    addChild,
+    addRecord,
+    parentOf,
+    parentsOf,
+  });
+};
+
+/**
+ * JSON:API resource objects of store records
+ */
+export const serialize = {
+  collection: (record, store) => ({
+    id: record.id,
+    type: "collection",
+    attributes: { ...record.attributes },
+    relationships: {
+      parent: {
+        data: store.parentOf(record)
+          ? { id: store.parentOf(record), type: "collection" }
+          : null,
+      },
+    },
+  }),
+  gallery: (record, store) => ({
+    id: record.id,
+    type: "gallery",
+    attributes: { ...record.attributes, media_count: record.children.length },
+    relationships: {
+      parents: {
+        data: store.parentsOf(record).map((id) => ({ id, type: "collection" })),
+      },
+    },
+  }),
+  media: (record) => ({
+    id: record.id,
+    type: "media",
+    attributes: { ...record.attributes },
+  }),
+  child: (child) => ({
+    id: child.id,
+    type: "gallery_child",
+    attributes: { media_id: child.mediaId, created_at: child.created_at },
+    relationships: { media: { data: { id: child.mediaId, type: "media" } } },
+  }),
+  record: (type) => (record) => ({
+    id: record.id,
+    type,
+    attributes: { ...record.attributes },
+  }),
+};
@@ -0,0 +1,193 @@
+const mimeTypes = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+  webp: "image/webp",
+  heic: "image/heic",
+  psd: "image/vnd.adobe.photoshop",
+  cr2: "image/x-canon-cr2",
+  cr3: "image/x-canon-cr3",
+  nef: "image/x-nikon-nef",
+  arw: "image/x-sony-arw",
+  dng: "image/x-adobe-dng",
+  pdf: "application/pdf",
+  mp4: "video/mp4",
+  m4v: "video/x-m4v",
+  mov: "video/quicktime",
+  avi: "video/x-msvideo",
+  mkv: "video/x-matroska",
+  webm: "video/webm",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  m4a: "audio/mp4",
+  vtt: "text/vtt",
+  srt: "application/x-subrip",
+};
+
+/**
+ * Guess a MIME type from a file name
+ * @param {string} filename - The file name or path
+ * @returns {string} - The MIME type, "application/octet-stream" if unknown
+ */
+export const getMimeType = (filename = "") => {
+  const ext = filename.split(".").pop().toLowerCase();
+  return mimeTypes[ext] || "application/octet-stream";
+};
+
+const basename = (path) => String(path).split(/[\\/]/).pop();
+
+const isBlob = (value) => typeof Blob !== "undefined" && value instanceof Blob;
+
+const isStream = (value) =>
+  value &&
+  typeof value !== "string" &&
+  (typeof value.pipe === "function" ||
+    typeof value.getReader === "function" ||
+    typeof value[Symbol.asyncIterator] === "function");
+
+const streamToBlob = async (stream, type) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(
+      typeof chunk === "string" ? new TextEncoder().encode(chunk) : chunk
+    );
+  }
+  return new Blob(chunks, { type });
+};
+
+const isContents = (value) =>
+  typeof value === "string" ||
+  isBlob(value) ||
+  value instanceof ArrayBuffer ||
+  ArrayBuffer.isView(value) ||
+  Boolean(isStream(value));
+
+// { file, filename, contentType }: contents with a name and type
+const isDescribed = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !isContents(value) &&
+  isContents(value.file);
+
+/**
+ * Whether a value can be uploaded as a file
+ * @param {*} value - The value
+ * @returns {boolean}
+ */
+export const isUploadSource = (value) =>
+  isContents(value) || isDescribed(value);
+
+const pathToBlob = async (path, type) => {
+  const fs = await import("node:fs");
+  if (typeof fs.openAsBlob === "function") {
+    return await fs.openAsBlob(path, { type });
+  }
+  return new Blob([await fs.promises.readFile(path)], { type });
+};
+
+/**
+ * Resolve an upload source into a Blob and a file name. File paths become
+ * file-backed Blobs where supported; streams are read into memory, since a
+ * FormData body must know its size (and a retry must send it again).
+ * @param {Blob|File|ArrayBuffer|Uint8Array|ReadableStream|string|Object} source - File contents, a readable stream, a file path, or `{ file, filename, contentType }`
+ * @returns {Promise<{blob: Blob, filename: string}>} - The file ready to append to a form
+ */
+export const toFile = async (source) => {
+  if (isDescribed(source)) {
+    const resolved = await toFile(source.file);
+    const filename = source.filename || resolved.filename;
+    const type =
+      source.contentType ||
+      (source.filename ? getMimeType(filename) : resolved.blob.type);
+    const blob =
+      resolved.blob.type === type
+        ? resolved.blob
+        : new Blob([resolved.blob], { type });
+    return { blob, filename };
+  }
+  if (isBlob(source)) {
+    const filename = source.name || "upload";
+    const type = source.type || getMimeType(filename);
+    const blob = source.type === type ? source : new Blob([source], { type });
+    return { blob, filename };
+  }
+  if (typeof source === "string") {
+    const filename = basename(source);
+    return { blob: await pathToBlob(source, getMimeType(filename)), filename };
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    return {
+      blob: new Blob([source], { type: "application/octet-stream" }),
+      filename: "upload",
+    };
+  }
+  if (isStream(source)) {
+    const filename = source.path ? basename(source.path) : "upload";
+    return {
+      blob: await streamToBlob(source, getMimeType(filename)),
+      filename,
+    };
+  }
+  throw new TypeError(
+    "Unsupported file: expected a Buffer, Blob/File, readable stream, file path or { file, filename, contentType }"
+  );
+};
+
+/**
+ * Build a multipart/form-data body
+ * @param {Object} data - Form fields
+ * @param {string[]} [fileFields] - Fields holding file contents
+ * @returns {Promise<FormData>} - The form data
+ */
+export const toFormData = async (data = {}, fileFields = ["file"]) => {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (fileFields.includes(key)) {
+      const { blob, filename } = await toFile(value);
+      form.append(key, blob, filename);
+    } else if (typeof value === "object") {
+      form.append(key, JSON.stringify(value));
+    } else {
+      form.append(key, String(value));
+    }
+  }
+  return form;
+};
+
+const appendField = (form, key, value) => {
+  if (value === undefined || value === null) {
+    return;
+  }
+  if (value instanceof Date) {
+    form.append(key, value.toISOString());
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => appendField(form, `${key}[]`, item));
+  } else if (typeof value === "object") {
+    for (const [name, field] of Object.entries(value)) {
+      appendField(form, `${key}[${name}]`, field);
+    }
+  } else {
+    form.append(key, String(value));
+  }
+};
+
+/**
+ * Build an application/x-www-form-urlencoded body. Only undefined and null
+ * fields are left out; nested objects and arrays use brackets, e.g.
+ * `meta[size]=2` and `tags[]=a&tags[]=b`.
+ * @param {Object} data - Form fields
+ * @returns {string} - The encoded body
+ */
+export const toUrlEncoded = (data = {}) => {
+  const form = new URLSearchParams();
+  for (const [key, value] of Object.entries(data)) {
+    appendField(form, key, value);
+  }
+  return form.toString();
+};
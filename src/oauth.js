@@ -0,0 +1,55 @@
+const base64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomString = (size) =>
+  base64Url(globalThis.crypto.getRandomValues(new Uint8Array(size)));
+
+/**
+ * Create a PKCE code verifier (RFC 7636)
+ * @returns {string} - A random 43 character verifier
+ */
+export const createCodeVerifier = () => randomString(32);
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} verifier - The code verifier
+ * @returns {Promise<string>} - The base64url encoded SHA-256 digest
+ */
+export const createCodeChallenge = async (verifier) =>
+  base64Url(
+    await globalThis.crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(verifier)
+    )
+  );
+
+/**
+ * Create an opaque state value to protect the redirect against CSRF
+ * @returns {string} - A random state value
+ */
+export const createState = () => randomString(16);
+
+/**
+ * Normalize a token endpoint response
+ * @param {Object} json - The token response
+ * @param {Object} [previous] - The tokens being refreshed, to keep the refresh token if none is returned
+ * @returns {{accessToken: string, refreshToken: string|null, tokenType: string, scope: string|null, expiresAt: number|null}}
+ */
+export const toOAuthTokens = (json, previous = {}) => {
+  const data = json.access_token ? json : json.data?.attributes || json.data;
+  if (!data?.access_token) {
+    throw new TypeError("OAuth token response has no access_token");
+  }
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous.refreshToken || null,
+    tokenType: data.token_type || "Bearer",
+    scope: data.scope || previous.scope || null,
+    expiresAt: data.expires_in
+      ? Date.now() + Number(data.expires_in) * 1000
+      : null,
+  };
+};
@@ -0,0 +1,66 @@
+const pageMeta = (json) => {
+  const meta = json.meta || {};
+  return meta.pagination || meta;
+};
+
+const hasNextPage = (json, page, perPage, seen) => {
+  if (json.links && "next" in json.links) {
+    return Boolean(json.links.next);
+  }
+  const meta = pageMeta(json);
+  const total = meta.total ?? meta.total_count ?? meta.total_results;
+  const size = perPage || meta.per_page;
+  const totalPages =
+    meta.total_pages ?? meta.page_count ?? meta.last_page ?? undefined;
+  if (totalPages !== undefined) {
+    return page < Number(totalPages);
+  }
+  if (total !== undefined) {
+    return seen < Number(total);
+  }
+  return size ? json.data.length >= Number(size) : json.data.length > 0;
+};
+
+/**
+ * Lazily iterate over every item of a paginated JSON:API list
+ * @param {function(Object): Promise<Object>} fetchPage - Fetches one page for the given query parameters
+ * @param {Object} [params] - Query parameters
+ * @param {number} [params.page] - Page to start from
+ * @param {number} [params.per_page] - Number of items per page
+ * @returns {AsyncGenerator<Object>} - The items of every page, in order
+ */
+export async function* paginate(fetchPage, params = {}) {
+  let page = Number(params.page) || 1;
+  let seen = 0;
+  while (true) {
+    const json = await fetchPage({ ...params, page });
+    const items = Array.isArray(json?.data) ? json.data : [];
+    yield* items;
+    seen += items.length;
+    if (!items.length || !hasNextPage(json, page, params.per_page, seen)) {
+      return;
+    }
+    page += 1;
+  }
+}
+
+/**
+ * Collect the items of an async iterable into an array
+ * @param {AsyncIterable<Object>} iterable - e.g. `client.media.iterate(params)`
+ * @param {Object} [options]
+ * @param {number} [options.maxItems] - Stop after this many items
+ * @returns {Promise<Object[]>} - The collected items
+ */
+export const collectAll = async (iterable, { maxItems = Infinity } = {}) => {
+  const items = [];
+  if (maxItems <= 0) {
+    return items;
+  }
+  for await (const item of iterable) {
+    items.push(item);
+    if (items.length >= maxItems) {
+      break;
+    }
+  }
+  return items;
+};
@@ -0,0 +1,320 @@
+import { ValidationError } from "./errors.js";
+
+// What each kind of query supports
+const TARGETS = {
+  media: {
+    endpoint: "/media",
+    features: ["keywords", "dates", "galleries", "fileTypes"],
+    sorts: [
+      "created_at",
+      "updated_at",
+      "captured_at",
+      "file_name",
+      "file_size",
+    ],
+  },
+  search: {
+    endpoint: "/search",
+    features: ["keywords", "dates", "galleries", "fileTypes"],
+    sorts: ["relevance", "created_at", "updated_at", "captured_at", "name"],
+    requires: "keywords",
+  },
+  collections: {
+    endpoint: "/collections/search",
+    features: ["keywords"],
+    sorts: ["relevance", "created_at", "updated_at", "name"],
+    requires: "keywords",
+  },
+};
+
+const DATE_FIELDS = ["created_at", "updated_at", "captured_at"];
+const FILE_TYPES = ["image", "video", "audio", "document"];
+
+const invalid = (target, message) =>
+  new ValidationError(`Invalid ${target} query: ${message}`, {
+    endpoint: TARGETS[target].endpoint,
+  });
+
+const toDate = (target, value, name) => {
+  if (value == null) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(target, `${name} "${value}" is not a valid date`);
+  }
+  return date;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "2024-06-30", without a time
+const isDateOnly = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+
+const quote = (word) => (/\s/.test(word) ? `"${word}"` : word);
+
+/**
+ * Create a chainable query for media listing, global search or collection
+ * search. Every call returns a new query, so a base query can be reused.
+ * Pass the query itself (or query.toParams()) as the params of its target's
+ * methods; other endpoints reject it:
+ *
+ *   const query = createQuery("search")
+ *     .keywords("sunset", "golden hour")
+ *     .dateRange("captured_at", "2024-01-01", "2024-06-30")
+ *     .sort("captured_at", "desc");
+ *   for await (const item of api.search.iterate(query)) { ... }
+ *
+ * @param {string} [target] - "media" (default), "search" or "collections"
+ * @returns {Object} - The query builder
+ * @throws {ValidationError} When a call or a combination is not supported
+ */
+export const createQuery = (target = "media") => {
+  if (!TARGETS[target]) {
+    throw new TypeError(
+      `Unknown query target "${target}", expected one of: ${Object.keys(
+        TARGETS
+      ).join(", ")}`
+    );
+  }
+  const spec = TARGETS[target];
+
+  const build = (state) => {
+    const next = (patch) => build({ ...state, ...patch });
+    const supports = (feature, call) => {
+      if (!spec.features.includes(feature)) {
+        throw invalid(target, `${call}() is not supported`);
+      }
+    };
+
+    return {
+      target,
+
+      /**
+       * Match these words or phrases
+       * @param {...string} words - Keywords, phrases with spaces are quoted
+       */
+      keywords: (...words) => {
+        supports("keywords", "keywords");
+        const list = words
+          .flat()
+          .map(String)
+          .map((word) => word.trim());
+        if (!list.length || list.some((word) => !word)) {
+          throw invalid(target, "keywords() needs non-empty words");
+        }
+        return next({ keywords: [...(state.keywords ?? []), ...list] });
+      },
+
+      /**
+       * Limit to a date range, either end may be omitted. Date-only strings
+       * are UTC days, and a date-only `to` covers that whole day.
+       * @param {string} field - "created_at", "updated_at" or "captured_at"
+       * @param {Date|string|number} [from] - Earliest date, inclusive
+       * @param {Date|string|number} [to] - Latest date, inclusive
+       */
+      dateRange: (field, from, to) => {
+        supports("dates", "dateRange");
+        if (!DATE_FIELDS.includes(field)) {
+          throw invalid(
+            target,
+            `dateRange() field must be one of: ${DATE_FIELDS.join(", ")}`
+          );
+        }
+        const start = toDate(target, from, "from");
+        const end = toDate(target, to, "to");
+        if (!start && !end) {
+          throw invalid(target, "dateRange() needs a start or an end");
+        }
+        if (start && end && start > end) {
+          throw invalid(target, "dateRange() starts after it ends");
+        }
+        // The day ends where the next one starts
+        const before =
+          end && isDateOnly(to) ? new Date(end.getTime() + DAY) : null;
+        return next({
+          dates: {
+            ...state.dates,
+            [field]: { from: start, to: before ? null : end, before },
+          },
+        });
+      },
+
+      /**
+       * Only look inside these galleries
+       * @param {...string} ids - Gallery IDs
+       */
+      inGalleries: (...ids) => {
+        supports("galleries", "inGalleries");
+        const list = ids.flat().map(String);
+        if (!list.length) {
+          throw invalid(target, "inGalleries() needs at least one gallery ID");
+        }
+        return next({ galleries: [...(state.galleries ?? []), ...list] });
+      },
+
+      /**
+       * Only return these kinds of files
+       * @param {...string} types - "image", "video", "audio" or "document"
+       */
+      fileType: (...types) => {
+        supports("fileTypes", "fileType");
+        const list = types.flat().map((type) => String(type).toLowerCase());
+        const unknown = list.filter((type) => !FILE_TYPES.includes(type));
+        if (!list.length || unknown.length) {
+          throw invalid(
+            target,
+            `fileType() accepts: ${FILE_TYPES.join(", ")}, got ${
+              unknown.join(", ") || "nothing"
+            }`
+          );
+        }
+        return next({ fileTypes: [...(state.fileTypes ?? []), ...list] });
+      },
+
+      /**
+       * Sort the results, repeated calls add tie-breakers
+       * @param {string} field - The field to sort on
+       * @param {string} [direction] - "asc" (default) or "desc"
+       */
+      sort: (field, direction = "asc") => {
+        if (!spec.sorts.includes(field)) {
+          throw invalid(
+            target,
+            `cannot sort on "${field}", expected one of: ${spec.sorts.join(
+              ", "
+            )}`
+          );
+        }
+        if (!["asc", "desc"].includes(direction)) {
+          throw invalid(target, `sort direction must be "asc" or "desc"`);
+        }
+        return next({
+          sort: [
+            ...(state.sort ?? []),
+            direction === "desc" ? `-${field}` : field,
+          ],
+        });
+      },
+
+      /**
+       * Only return these attributes of a resource type (sparse fieldset)
+       * @param {string} type - The resource type, e.g. "media"
+       * @param {...string} names - The attribute names
+       */
+      fields: (type, ...names) => {
+        const list = names.flat().map(String);
+        if (!/^\w+$/.test(type) || !list.length) {
+          throw invalid(
+            target,
+            "fields() needs a resource type and field names"
+          );
+        }
+        return next({ fields: { ...state.fields, [type]: list } });
+      },
+
+      /**
+       * Include related resources
+       * @param {...string} relations - e.g. "gallery", "media.owner"
+       */
+      include: (...relations) =>
+        next({ include: [...(state.include ?? []), ...relations.flat()] }),
+
+      /**
+       * Items per page when iterating
+       * @param {number} count - A positive integer
+       */
+      perPage: (count) => {
+        if (!Number.isInteger(count) || count < 1) {
+          throw invalid(target, "perPage() needs a positive integer");
+        }
+        return next({ perPage: count });
+      },
+
+      /**
+       * Serialize to query parameters
+       * @returns {Object} - The params for getAll(), search() or iterate()
+       * @throws {ValidationError} When a required part is missing
+       */
+      toParams: () => {
+        if (spec.requires && !state[spec.requires]?.length) {
+          throw invalid(target, `${spec.requires}() is required`);
+        }
+        if (
+          state.sort?.some(
+            (sort) => sort === "relevance" || sort === "-relevance"
+          ) &&
+          !state.keywords
+        ) {
+          throw invalid(target, "sorting by relevance needs keywords()");
+        }
+        const params = {};
+        if (state.keywords) {
+          params.query = state.keywords.map(quote).join(" ");
+        }
+        for (const [field, { from, to, before }] of Object.entries(
+          state.dates ?? {}
+        )) {
+          if (from) {
+            params[`filter[${field}][gte]`] = from.toISOString();
+          }
+          if (to) {
+            params[`filter[${field}][lte]`] = to.toISOString();
+          }
+          if (before) {
+            params[`filter[${field}][lt]`] = before.toISOString();
+          }
+        }
+        if (state.galleries) {
+          params["filter[gallery_id]"] = state.galleries.join(",");
+        }
+        if (state.fileTypes) {
+          params["filter[file_type]"] = [...new Set(state.fileTypes)].join(",");
+        }
+        if (state.sort) {
+          params.sort = state.sort.join(",");
+        }
+        for (const [type, names] of Object.entries(state.fields ?? {})) {
+          params[`fields[${type}]`] = names.join(",");
+        }
+        if (state.include?.length) {
+          params.include = [...new Set(state.include)].join(",");
+        }
+        if (state.perPage) {
+          params.per_page = state.perPage;
+        }
+        return params;
+      },
+    };
+  };
+
+  return build({});
+};
+
+/**
+ * Resolve params that may be a query builder
+ * @param {Object} [params] - Plain params or a createQuery() builder
+ * @param {string} [endpoint] - The endpoint the params are sent to
+ * @returns {Object} - Plain params
+ * @throws {ValidationError} When a builder is sent to an endpoint of another target
+ */
+export const toQueryParams = (params, endpoint) => {
+  if (typeof params?.toParams !== "function") {
+    return params;
+  }
+  const spec = TARGETS[params.target];
+  if (endpoint !== undefined && spec && spec.endpoint !== endpoint) {
+    const [expected] =
+      Object.entries(TARGETS).find(
+        ([, other]) => other.endpoint === endpoint
+      ) ?? [];
+    throw invalid(
+      params.target,
+      `a "${params.target}" query cannot be sent to ${endpoint}${
+        expected ? `, use createQuery("${expected}")` : ""
+      }`
+    );
+  }
+  return params.toParams();
+};
@@ -0,0 +1,104 @@
+import { NetworkError, PhotoShelterError } from "./errors.js";
+import { sleep } from "./timeout.js";
+
+const defaultRetry = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  statuses: [408, 425, 429, 500, 502, 503, 504],
+  methods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+  retryPost: false,
+};
+
+/**
+ * Merge retry settings, later ones taking precedence
+ * @param {...(Object|boolean)} configs - Retry settings, `false` disables retries
+ * @returns {Object} - The resolved retry settings
+ */
+export const resolveRetry = (...configs) =>
+  configs.reduce(
+    (merged, config) => {
+      if (config === false) {
+        return { ...merged, retries: 0 };
+      }
+      return config ? { ...merged, ...config } : merged;
+    },
+    { ...defaultRetry }
+  );
+
+const retryAfterMs = (response) => {
+  const header = response?.headers.get("retry-after");
+  if (!header) {
+    return undefined;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+/**
+ * Delay before the next attempt: Retry-After when the server sends it,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} retry - Resolved retry settings
+ * @param {Response} [response] - The failed response, if any
+ * @returns {number} - Milliseconds to wait
+ */
+export const getRetryDelay = (attempt, retry, response) => {
+  const retryAfter = retryAfterMs(response);
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter, retry.maxDelay);
+  }
+  const backoff = Math.min(
+    retry.maxDelay,
+    retry.minDelay * retry.factor ** (attempt - 1)
+  );
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+const canRetryMethod = (method, retry) =>
+  retry.methods.includes(method) || (method === "POST" && retry.retryPost);
+
+/**
+ * Run a request, retrying transient failures
+ * @param {function(number): Promise<Response>} send - Performs one attempt
+ * @param {string} method - The HTTP method
+ * @param {Object} retry - Resolved retry settings
+ * @param {AbortSignal} [signal] - Stops retrying once aborted
+ * @returns {Promise<{response: Response, attempts: number}>} - The last response and how many attempts it took
+ * @throws {Error} The last error thrown by `send`, with `attempts` set
+ */
+export const withRetry = async (send, method, retry, signal) => {
+  const allowed = canRetryMethod(method, retry);
+  for (let attempt = 1; ; attempt++) {
+    const canRetry = allowed && attempt <= retry.retries;
+    let response;
+    try {
+      response = await send(attempt);
+    } catch (error) {
+      // Only network failures are transient, other typed errors are final
+      const isFinal =
+        error instanceof PhotoShelterError && !(error instanceof NetworkError);
+      if (
+        !canRetry ||
+        isFinal ||
+        signal?.aborted ||
+        error?.name === "AbortError"
+      ) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(getRetryDelay(attempt, retry), signal);
+      continue;
+    }
+    if (response.ok || !canRetry || !retry.statuses.includes(response.status)) {
+      return { response, attempts: attempt };
+    }
+    await response.body?.cancel();
+    await sleep(getRetryDelay(attempt, retry, response), signal);
+  }
+};
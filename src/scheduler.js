@@ -0,0 +1,107 @@
+const priorities = ["interactive", "background"];
+
+/**
+ * Create a request scheduler that throttles and queues outgoing requests.
+ * Interactive work always runs before queued background work.
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerSecond] - Maximum requests started per second
+ * @param {number} [options.maxConcurrent] - Maximum requests in flight at once
+ * @returns {{schedule: function(function(): Promise, Object=): Promise, stats: function(): Object}}
+ */
+export const createScheduler = ({
+  requestsPerSecond = Infinity,
+  maxConcurrent = Infinity,
+} = {}) => {
+  const interval = 1000 / requestsPerSecond;
+  const lanes = { interactive: [], background: [] };
+  let inFlight = 0;
+  let nextStart = 0;
+  let timer = null;
+
+  const nextJob = () => {
+    const lane = priorities.find((priority) => lanes[priority].length);
+    return lane ? lanes[lane].shift() : undefined;
+  };
+
+  const drain = () => {
+    while (inFlight < maxConcurrent && !timer) {
+      const now = Date.now();
+      if (now < nextStart) {
+        if (lanes.interactive.length || lanes.background.length) {
+          timer = setTimeout(() => {
+            timer = null;
+            drain();
+          }, nextStart - now);
+        }
+        return;
+      }
+      const job = nextJob();
+      if (!job) {
+        return;
+      }
+      nextStart = now + interval;
+      inFlight++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          inFlight--;
+          drain();
+        });
+    }
+  };
+
+  /**
+   * Queue a task
+   * @param {function(): Promise} task - Starts the request
+   * @param {Object} [options]
+   * @param {string} [options.priority] - "interactive" (default) or "background"
+   * @param {AbortSignal} [options.signal] - Drops the task from the queue once aborted
+   * @returns {Promise} - Settles with the task's result
+   */
+  const schedule = (task, { priority = "interactive", signal } = {}) => {
+    if (!lanes[priority]) {
+      return Promise.reject(
+        new TypeError(
+          `Unknown priority "${priority}", expected one of: ${priorities.join(
+            ", "
+          )}`
+        )
+      );
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+      const lane = lanes[priority];
+      const job = {
+        task: () => {
+          signal?.removeEventListener("abort", onAbort);
+          return task();
+        },
+        resolve,
+        reject,
+      };
+      const onAbort = () => {
+        lane.splice(lane.indexOf(job), 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      lane.push(job);
+      drain();
+    });
+  };
+
+  /**
+   * Inspect the queue
+   * @returns {{inFlight: number, queued: number, interactive: number, background: number}}
+   */
+  const stats = () => ({
+    inFlight,
+    queued: lanes.interactive.length + lanes.background.length,
+    interactive: lanes.interactive.length,
+    background: lanes.background.length,
+  });
+
+  return { schedule, stats };
+};
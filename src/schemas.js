@@ -0,0 +1,693 @@
+/**
+ * Argument schemas of the V4 namespace methods, checked by withValidation()
+ * before any request is made. One entry per documented argument, in order;
+ * methods taking only request options are not listed.
+ */
+
+const id = (name = "id") => ({ name, type: "id", required: true });
+const arg = (name, type, fields) => ({ name, type, required: true, fields });
+const optionalArg = (name, type, fields) => ({ name, type, fields });
+const required = (type, extra) => ({ type, required: true, ...extra });
+const optional = (type, extra) => ({ type, ...extra });
+
+export const SCHEMAS = {
+  authenticate: {
+    login: [
+      arg("email", "string"),
+      arg("password", "string"),
+      optionalArg("orgId", "string"),
+    ],
+    completeTwoFactor: [arg("code", "code")],
+  },
+  collections: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    search: [
+      arg("params", "object", {
+        query: required("string"),
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateSearch: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: optional("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+    getChildren: [
+      id(),
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateChildren: [
+      id(),
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getChildCount: [id()],
+    getKeyImage: [id()],
+    getLink: [id()],
+    getAccess: [id()],
+    getChildById: [id(), id("childId")],
+    getPermissions: [id()],
+    getParent: [id()],
+    getPath: [id()],
+  },
+  contacts: {
+    search: [
+      optionalArg("params", "object", {
+        query: optional("string"),
+        email: optional("string"),
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+  },
+  embedTokens: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    create: [
+      arg("data", "object", {
+        name: required("string"),
+        description: optional("string"),
+      }),
+    ],
+    getById: [id()],
+    updateById: [
+      id(),
+      arg("data", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    deleteById: [id()],
+  },
+  faces: {
+    add: [
+      arg("data", "object", {
+        file: required("file"),
+        person_id: required("id"),
+      }),
+    ],
+    getById: [
+      id(),
+      optionalArg("params", "object", { include: optional("string") }),
+    ],
+    updateById: [id(), arg("data", "object", { person_id: required("id") })],
+    deleteById: [id()],
+  },
+  galleries: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("data", "object", {
+        name: required("string"),
+        description: optional("string"),
+        is_public: optional("boolean"),
+      }),
+    ],
+    batchUpdate: [
+      arg("data", "object", {
+        gallery_ids: required("array"),
+        updates: optional("object"),
+      }),
+    ],
+    updateById: [id(), arg("data", "object")],
+    deleteById: [id()],
+    getAccessById: [id()],
+    getChildCountById: [id()],
+    getChildrenById: [
+      id(),
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateChildrenById: [
+      id(),
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    addChildById: [id(), arg("data", "object")],
+    removeChildById: [id(), id("childId")],
+    getChildById: [id(), id("childId")],
+    updateMedia: [id(), arg("data", "object")],
+    getCoverById: [id()],
+    getKeyImageById: [id()],
+    updateKeyImageById: [id(), arg("data", "object")],
+    getLinkById: [id()],
+    getParentsById: [id()],
+    addParentById: [id(), arg("data", "object")],
+    removeParentById: [id(), id("parentId")],
+    getPathById: [id()],
+  },
+  library: {
+    getAll: [
+      optionalArg("params", "object", {
+        is_listed: optional("boolean"),
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+  },
+  media: {
+    getAll: [
+      optionalArg("params", "object", {
+        query: optional("string"),
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    create: [arg("data", "object", { file: required("file") })],
+    batchUpdate: [arg("data", "object")],
+    batchDownload: [arg("params", "object")],
+    getBatchDownloadOptions: [arg("params", "object")],
+    batchUpdateMetadata: [arg("data", "object")],
+    getById: [id()],
+    updateById: [id(), arg("data", "object")],
+    deleteById: [id()],
+    getCustomMetadataById: [id()],
+    downloadById: [id(), optionalArg("params", "object")],
+    downloadTransformById: [id(), optionalArg("params", "object")],
+    streamById: [id(), optionalArg("params", "object")],
+    streamTransformById: [id(), optionalArg("params", "object")],
+    downloadToFileById: [
+      id(),
+      arg("path", "string"),
+      optionalArg("download", "object", {
+        params: optional("object"),
+        transform: optional("boolean"),
+        resume: optional("boolean"),
+      }),
+    ],
+    getGalleriesById: [id()],
+    getExifById: [id()],
+    getIptcById: [id()],
+    updateIptcById: [id(), arg("data", "object")],
+    getLinkById: [id()],
+    getMetadataById: [id()],
+    updateMetadataById: [id(), arg("data", "object")],
+    getMlMetadataById: [id()],
+    updateMlMetadataById: [id(), arg("data", "object")],
+    getXmpById: [id()],
+    updateXmpById: [id(), arg("data", "object")],
+    uploadSubtitleById: [
+      id(),
+      arg("data", "object", { file: required("file") }),
+    ],
+    updateSubtitleById: [id(), id("subtitleId"), arg("data", "object")],
+  },
+  mediaVersions: {
+    getAll: [
+      id("mediaId"),
+      optionalArg("params", "object", { include: optional("string") }),
+    ],
+    iterate: [
+      id("mediaId"),
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    create: [
+      id("mediaId"),
+      arg("data", "object", {
+        version_label: required("string"),
+        note: optional("string"),
+        file: optional("file"),
+      }),
+    ],
+    update: [
+      id("mediaId"),
+      id("versionId"),
+      arg("data", "object", {
+        version_label: optional("string"),
+        note: optional("string"),
+      }),
+    ],
+    delete: [id("mediaId"), id("versionId")],
+    updateDetails: [id("mediaId"), id("versionId"), arg("data", "object")],
+    activate: [id("mediaId"), id("versionId")],
+  },
+  mlMetadata: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  metadata: {
+    getAllFields: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateFields: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getFieldById: [id()],
+    createField: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    updateField: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    deleteField: [id()],
+    getAllSchemas: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateSchemas: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getSchemaById: [id()],
+    createSchema: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    updateSchema: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    deleteSchema: [id()],
+    getAllValues: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterateValues: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getValueById: [id()],
+    createValue: [
+      arg("params", "object", {
+        field_id: required("id"),
+        value: required("string"),
+      }),
+    ],
+    updateValue: [
+      id(),
+      arg("params", "object", {
+        field_id: optional("id"),
+        value: optional("string"),
+      }),
+    ],
+    deleteValue: [id()],
+  },
+  oauth: {
+    getAuthorizeUrl: [
+      optionalArg("params", "object", {
+        scope: optional("string"),
+        redirectUri: optional("string"),
+        state: optional("string"),
+      }),
+    ],
+    exchangeCode: [
+      arg("params", "object", {
+        code: required("string"),
+        codeVerifier: required("string"),
+        state: optional("string"),
+        expectedState: {
+          type: "string",
+          required: (params) => params.state != null,
+        },
+        redirectUri: optional("string"),
+      }),
+    ],
+    authorize: [
+      arg("params", "object", {
+        client_id: required("id"),
+        redirect_uri: required("string"),
+        response_type: required("string", { enum: ["code", "token"] }),
+        scope: required("string"),
+      }),
+    ],
+    token: [
+      arg("params", "object", {
+        client_id: {
+          type: "id",
+          required: (params, { config }) => !config.oauth?.clientId,
+        },
+        client_secret: optional("string"),
+        code: {
+          type: "string",
+          required: (params) => params.grant_type === "authorization_code",
+        },
+        code_verifier: optional("string"),
+        refresh_token: {
+          type: "string",
+          required: (params) => params.grant_type === "refresh_token",
+        },
+        redirect_uri: optional("string"),
+        grant_type: required("string", {
+          enum: ["authorization_code", "refresh_token", "client_credentials"],
+        }),
+      }),
+    ],
+  },
+  organization: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  people: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: optional("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  portal: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  permissions: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  resourceTickets: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  search: {
+    searchAll: [
+      arg("params", "object", {
+        query: required("string"),
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+  },
+  settings: {
+    getAll: [optionalArg("params", "object")],
+    update: [arg("params", "object")],
+  },
+  squirrel: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  trash: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    restore: [id()],
+    delete: [id()],
+  },
+  twoFactor: {
+    enable: [optionalArg("params", "object")],
+    disable: [optionalArg("params", "object")],
+    verify: [arg("params", "object", { code: required("string") })],
+  },
+  user: {
+    getAll: [optionalArg("params", "object")],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        email: required("string"),
+        password: optional("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        email: optional("string"),
+        password: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  users: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        email: required("string"),
+        password: optional("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        email: optional("string"),
+        password: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+  version: {
+    getAll: [optionalArg("params", "object")],
+  },
+  workspaces: {
+    getAll: [
+      optionalArg("params", "object", {
+        page: optional("number"),
+        per_page: optional("number"),
+      }),
+    ],
+    iterate: [
+      optionalArg("params", "object", { per_page: optional("number") }),
+    ],
+    getById: [id()],
+    create: [
+      arg("params", "object", {
+        name: required("string"),
+        description: required("string"),
+      }),
+    ],
+    update: [
+      id(),
+      arg("params", "object", {
+        name: optional("string"),
+        description: optional("string"),
+      }),
+    ],
+    delete: [id()],
+  },
+};
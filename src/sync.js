@@ -0,0 +1,477 @@
+import { mapLimit } from "./concurrency.js";
+import { PhotoShelterError } from "./errors.js";
+import { fileChecksum, listLocalFiles, safeName } from "./files.js";
+import { listGalleryMedia } from "./library.js";
+import { uploadToGallery } from "./upload.js";
+
+/**
+ * Default name of the file recording the last synced state of a folder
+ */
+export const SYNC_STATE_FILE = ".photoshelter-sync.json";
+
+const POLICIES = ["local", "remote", "both"];
+
+const keyOf = (name) => String(name).toLowerCase();
+
+// Gallery media by the local file name they sync with
+const byLocalName = (remoteMedia) =>
+  new Map(
+    remoteMedia
+      .filter((media) => media.name)
+      .map((media) => {
+        const name = safeName(media.name, media.id);
+        return [keyOf(name), { ...media, name }];
+      })
+  );
+
+const readState = async (path, galleryId) => {
+  const { readFile } = await import("node:fs/promises");
+  try {
+    const state = JSON.parse(await readFile(path, "utf8"));
+    return state.galleryId === galleryId ? state.files ?? {} : {};
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return {};
+    }
+    throw error;
+  }
+};
+
+const writeState = async (path, galleryId, files) => {
+  const { writeFile, rename } = await import("node:fs/promises");
+  const state = { galleryId, syncedAt: new Date().toISOString(), files };
+  await writeFile(`${path}.tmp`, JSON.stringify(state, null, 2));
+  await rename(`${path}.tmp`, path);
+};
+
+const snapshot = (local, remote) => ({
+  size: local.size,
+  modified: local.modified.getTime(),
+  mediaId: remote.id,
+  version: remote.version,
+});
+
+// "photo.jpg" -> "photo (local).jpg", "photo (local 2).jpg", ...
+const localCopyName = (name, n = 1) => {
+  const suffix = n > 1 ? ` (local ${n})` : " (local)";
+  const dot = name.lastIndexOf(".");
+  return dot > 0
+    ? `${name.slice(0, dot)}${suffix}${name.slice(dot)}`
+    : `${name}${suffix}`;
+};
+
+// The first copy name no file on either side, nor another copy, uses
+const freeCopyName = (name, taken) => {
+  let n = 1;
+  while (taken.has(keyOf(localCopyName(name, n)))) {
+    n++;
+  }
+  taken.add(keyOf(localCopyName(name, n)));
+  return localCopyName(name, n);
+};
+
+/**
+ * Decide what to do with one file name, given both sides and the last sync
+ */
+const decide = (
+  name,
+  local,
+  remote,
+  base,
+  { policy, deletions, identical }
+) => {
+  const file = { name, local, remote };
+  if (!base) {
+    if (local && remote) {
+      return identical
+        ? { type: "link", reason: "identical on both sides", ...file }
+        : resolveConflict("different files on both sides", file, policy);
+    }
+    return local
+      ? { type: "upload", reason: "new locally", ...file }
+      : { type: "download", reason: "new in gallery", ...file };
+  }
+
+  const localChanged =
+    local &&
+    (local.size !== base.size || local.modified.getTime() !== base.modified);
+  const remoteChanged =
+    remote && (remote.id !== base.mediaId || remote.version !== base.version);
+
+  if (local && remote) {
+    if (localChanged && remoteChanged) {
+      return resolveConflict("both changed", file, policy);
+    }
+    if (localChanged) {
+      return { type: "replace", reason: "changed locally", ...file };
+    }
+    if (remoteChanged) {
+      return { type: "download", reason: "changed in gallery", ...file };
+    }
+    return null;
+  }
+  if (local) {
+    if (localChanged) {
+      return resolveConflict(
+        "changed locally, removed from gallery",
+        file,
+        policy
+      );
+    }
+    return deletions
+      ? { type: "deleteLocal", reason: "removed from gallery", ...file }
+      : null;
+  }
+  if (remote) {
+    if (remoteChanged) {
+      return resolveConflict(
+        "changed in gallery, removed locally",
+        file,
+        policy
+      );
+    }
+    return deletions
+      ? { type: "removeRemote", reason: "removed locally", ...file }
+      : null;
+  }
+  return { type: "forget", reason: "removed on both sides", ...file };
+};
+
+const resolveConflict = (conflict, file, policy) => {
+  const { local, remote } = file;
+  const reason = `conflict: ${conflict}, ${policy} wins`;
+  if (policy === "local") {
+    if (!local) {
+      return { type: "removeRemote", reason, conflict, ...file };
+    }
+    return { type: remote ? "replace" : "upload", reason, conflict, ...file };
+  }
+  if (policy === "remote") {
+    return remote
+      ? { type: "download", reason, conflict, ...file }
+      : { type: "deleteLocal", reason, conflict, ...file };
+  }
+  // Keep both: nothing is deleted, the local file is renamed when both exist
+  if (local && remote) {
+    return {
+      type: "keepBoth",
+      reason: `conflict: ${conflict}, keeping both`,
+      conflict,
+      ...file,
+    };
+  }
+  return {
+    type: local ? "upload" : "download",
+    reason: `conflict: ${conflict}, keeping both`,
+    conflict,
+    ...file,
+  };
+};
+
+/**
+ * Compare a local folder with a gallery and plan the changes that bring
+ * them in sync. Nothing is changed: pass the plan to syncGallery() to apply it.
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} dir - The local folder (top-level files only)
+ * @param {string} galleryId - The ID of the gallery
+ * @param {Object} [settings] - Sync settings
+ * @param {string} [settings.conflict] - "local" wins, "remote" wins or keep "both" (default)
+ * @param {boolean} [settings.deletions] - Propagate removals to the other side (default true)
+ * @param {string|string[]} [settings.include] - Globs a local file must match
+ * @param {string|string[]} [settings.exclude] - Globs ruling out local files
+ * @param {string} [settings.state] - State file name inside dir
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<Object>} - `{ dir, galleryId, conflict, actions, unchanged }`, each action `{ type, name, reason }`
+ */
+export const planSync = async (
+  client,
+  dir,
+  galleryId,
+  settings = {},
+  options = {}
+) => {
+  const {
+    conflict = "both",
+    deletions = true,
+    include,
+    exclude,
+    state = SYNC_STATE_FILE,
+  } = settings;
+  if (!POLICIES.includes(conflict)) {
+    throw new TypeError(
+      `Unknown conflict policy "${conflict}", expected one of: ${POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  const { join, resolve } = await import("node:path");
+  const statePath = join(dir, state);
+  const filter = { include, exclude: [].concat(exclude ?? [], state) };
+  const [localFiles, remoteMedia, base] = await Promise.all([
+    listLocalFiles(dir, { ...filter, recursive: false }),
+    listGalleryMedia(client, galleryId, options),
+    readState(statePath, galleryId),
+  ]);
+
+  const locals = new Map(localFiles.map((file) => [keyOf(file.name), file]));
+  const remotes = byLocalName(remoteMedia);
+  const keys = new Set([
+    ...locals.keys(),
+    ...remotes.keys(),
+    ...Object.keys(base),
+  ]);
+
+  const actions = [];
+  let unchanged = 0;
+  for (const key of [...keys].sort()) {
+    const local = locals.get(key);
+    const remote = remotes.get(key);
+    const name = local?.name ?? remote?.name ?? base[key].name;
+    // Without a sync record, matching checksums mean the file is already in sync
+    const identical =
+      local && remote && !base[key] && remote.checksum
+        ? (await fileChecksum(local.path)) === remote.checksum.toLowerCase()
+        : false;
+    const action = decide(name, local, remote, base[key], {
+      policy: conflict,
+      deletions,
+      identical,
+    });
+    if (action?.type === "keepBoth") {
+      action.copyName = freeCopyName(local.name, keys);
+    }
+    if (action) {
+      actions.push(action);
+    } else {
+      unchanged++;
+    }
+  }
+  return {
+    dir: resolve(dir),
+    galleryId,
+    conflict,
+    filter,
+    statePath: resolve(statePath),
+    actions,
+    unchanged,
+  };
+};
+
+const LABELS = {
+  upload: "upload",
+  replace: "replace",
+  download: "download",
+  deleteLocal: "delete local",
+  removeRemote: "remove remote",
+  keepBoth: "keep both",
+  link: "link",
+  forget: "forget",
+};
+
+/**
+ * Describe a sync plan as text, e.g. for a dry run
+ * @param {Object} plan - A plan from planSync()
+ * @returns {string} - One line per action and a summary
+ */
+export const formatSyncPlan = (plan) => {
+  const lines = plan.actions.map(
+    (action) =>
+      `  ${LABELS[action.type].padEnd(14)}${action.name}  (${action.reason})`
+  );
+  const counts = Object.entries(
+    plan.actions.reduce(
+      (totals, { type }) => ({ ...totals, [type]: (totals[type] ?? 0) + 1 }),
+      {}
+    )
+  ).map(([type, count]) => `${count} ${LABELS[type]}`);
+  return [
+    `Sync ${plan.dir} <-> gallery ${plan.galleryId} (conflicts: ${plan.conflict})`,
+    ...(lines.length ? lines : ["  nothing to do"]),
+    `${[...counts, `${plan.unchanged} unchanged`].join(", ")}`,
+  ].join("\n");
+};
+
+/**
+ * Apply a sync plan (Node.js only)
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {Object} plan - A plan from planSync()
+ * @param {Object} [settings] - Sync settings
+ * @param {number} [settings.concurrency] - Transfers in flight at once (default 3)
+ * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, action }` after each action
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<{applied: number, failed: number, results: Object[]}>} - One `{ type, name, status, error }` per action
+ */
+export const applySync = async (client, plan, settings = {}, options = {}) => {
+  const { concurrency = 3, onProgress } = settings;
+  const [{ dirname, resolve }, { constants, copyFile, link, rm }] =
+    await Promise.all([import("node:path"), import("node:fs/promises")]);
+  const { galleryId } = plan;
+  // Plans can be edited or built by hand: never touch a file outside the folder
+  const target = (name) => {
+    const path = resolve(plan.dir, name);
+    if (dirname(path) !== resolve(plan.dir)) {
+      throw new PhotoShelterError(
+        `Refusing to touch "${name}" outside the sync folder ${plan.dir}`
+      );
+    }
+    return path;
+  };
+  // Unlike rename(), link() and an exclusive copy never replace a file
+  const moveAside = async (path, name, copyName) => {
+    for (let n = 1; ; n++) {
+      const copy = target(n === 1 ? copyName : localCopyName(name, n));
+      try {
+        await link(path, copy).catch((error) =>
+          error.code === "EEXIST"
+            ? Promise.reject(error)
+            : copyFile(path, copy, constants.COPYFILE_EXCL)
+        );
+        await rm(path);
+        return copy;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+    }
+  };
+  const download = (media, name) =>
+    client.media.downloadToFileById(media.id, target(name), {}, options);
+
+  const run = async (action) => {
+    const { local, remote } = action;
+    const path = local && target(local.path);
+    switch (action.type) {
+      case "upload":
+        await uploadToGallery(client, path, galleryId, {}, options);
+        break;
+      case "replace":
+        await uploadToGallery(client, path, galleryId, {}, options);
+        await client.galleries.removeChildById(
+          galleryId,
+          remote.childId,
+          options
+        );
+        break;
+      case "download":
+        await download(remote, action.name);
+        break;
+      case "deleteLocal":
+        await rm(path, { force: true });
+        break;
+      case "removeRemote":
+        await client.galleries.removeChildById(
+          galleryId,
+          remote.childId,
+          options
+        );
+        break;
+      case "keepBoth": {
+        const copy = await moveAside(path, local.name, action.copyName);
+        await uploadToGallery(client, copy, galleryId, {}, options);
+        await download(remote, action.name);
+        break;
+      }
+    }
+  };
+
+  let completed = 0;
+  const step = async (action) => {
+    let result;
+    try {
+      await run(action);
+      result = { type: action.type, name: action.name, status: "applied" };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      result = {
+        type: action.type,
+        name: action.name,
+        status: "failed",
+        error,
+      };
+    }
+    onProgress?.({
+      completed: ++completed,
+      total: plan.actions.length,
+      action: result,
+    });
+    return result;
+  };
+  // Renames for "keep both" run once every other transfer is done, so none
+  // of them moves a file another action is still reading or writing
+  const results = [
+    ...(await mapLimit(
+      plan.actions.filter((action) => action.type !== "keepBoth"),
+      concurrency,
+      step
+    )),
+    ...(await mapLimit(
+      plan.actions.filter((action) => action.type === "keepBoth"),
+      concurrency,
+      step
+    )),
+  ];
+
+  // Record both sides as they are now, keeping the old record where an action failed
+  const failed = new Set(
+    results
+      .filter((result) => result.status === "failed")
+      .map((result) => keyOf(result.name))
+  );
+  const [localFiles, remoteMedia, base] = await Promise.all([
+    listLocalFiles(plan.dir, { ...plan.filter, recursive: false }),
+    listGalleryMedia(client, galleryId, options),
+    readState(plan.statePath, galleryId),
+  ]);
+  const remotes = byLocalName(remoteMedia);
+  const files = {};
+  for (const key of failed) {
+    if (base[key]) {
+      files[key] = base[key];
+    }
+  }
+  for (const local of localFiles) {
+    const key = keyOf(local.name);
+    if (!failed.has(key) && remotes.has(key)) {
+      files[key] = { name: local.name, ...snapshot(local, remotes.get(key)) };
+    }
+  }
+  await writeState(plan.statePath, galleryId, files);
+
+  return {
+    applied: results.length - failed.size,
+    failed: failed.size,
+    results,
+  };
+};
+
+/**
+ * Bring a local folder and a gallery in sync (Node.js only)
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} dir - The local folder (top-level files only)
+ * @param {string} galleryId - The ID of the gallery
+ * @param {Object} [settings] - planSync() and applySync() settings
+ * @param {boolean} [settings.dryRun] - Only plan, change nothing
+ * @param {Object} [settings.plan] - A reviewed plan to apply instead of planning again
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<{plan: Object, report: Object|null}>} - The plan, and the applySync() report unless dryRun
+ */
+export const syncGallery = async (
+  client,
+  dir,
+  galleryId,
+  settings = {},
+  options = {}
+) => {
+  const plan =
+    settings.plan ??
+    (await planSync(client, dir, galleryId, settings, options));
+  return {
+    plan,
+    report: settings.dryRun
+      ? null
+      : await applySync(client, plan, settings, options),
+  };
+};
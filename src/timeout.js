@@ -0,0 +1,57 @@
+/**
+ * Combine a caller's AbortSignal with a timeout
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {number} [timeout] - Timeout in ms, no timeout if omitted
+ * @returns {{signal: AbortSignal|undefined, clear: function(): void, stopTimer: function(): void}} - The combined signal,
+ * a cleanup function, and a way to stop the timer while the caller's signal stays linked (e.g. for a streamed body)
+ */
+export const withTimeout = (signal, timeout) => {
+  if (!timeout) {
+    return { signal, clear: () => {}, stopTimer: () => {} };
+  }
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => {
+    const error = new Error(`Request timed out after ${timeout}ms`);
+    error.name = "TimeoutError";
+    controller.abort(error);
+  }, timeout);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+    stopTimer: () => clearTimeout(timer),
+  };
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
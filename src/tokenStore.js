@@ -0,0 +1,58 @@
+/**
+ * A token store keeps an exported session between runs. Any object with
+ * these async methods can be used as a custom adapter.
+ * @typedef {Object} TokenStore
+ * @property {function(): Promise<Object|null>} get - Load the saved session
+ * @property {function(Object): Promise<void>} set - Save the session
+ * @property {function(): Promise<void>} clear - Forget the saved session
+ */
+
+/**
+ * Keep the session in memory, e.g. to share it between clients in one process
+ * @param {Object} [initial] - A previously exported session
+ * @returns {TokenStore}
+ */
+export const createMemoryTokenStore = (initial = null) => {
+  let saved = initial;
+  return {
+    get: async () => saved,
+    set: async (data) => {
+      saved = data;
+    },
+    clear: async () => {
+      saved = null;
+    },
+  };
+};
+
+/**
+ * Keep the session in a JSON file (Node.js only)
+ * @param {string} path - The file to read and write
+ * @returns {TokenStore}
+ */
+export const createFileTokenStore = (path) => {
+  const fs = () => import("node:fs/promises");
+  return {
+    get: async () => {
+      try {
+        return JSON.parse(await (await fs()).readFile(path, "utf8"));
+      } catch (error) {
+        // A truncated or corrupt file is no session, like a missing one
+        if (error.code === "ENOENT" || error instanceof SyntaxError) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    set: async (data) => {
+      await (
+        await fs()
+      ).writeFile(path, JSON.stringify(data, null, 2), {
+        mode: 0o600,
+      });
+    },
+    clear: async () => {
+      await (await fs()).rm(path, { force: true });
+    },
+  };
+};
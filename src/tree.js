@@ -0,0 +1,220 @@
+import { mapLimit } from "./concurrency.js";
+import { getFileSize } from "./download.js";
+import { safeName } from "./files.js";
+import { describeMedia } from "./library.js";
+import { walk } from "./walk.js";
+
+/**
+ * Default name of the manifest written next to a downloaded tree
+ */
+export const MANIFEST_FILE = ".photoshelter-manifest.json";
+
+// Siblings with the same name get the resource ID appended
+const uniqueName = (used, name, id) => {
+  let unique = name;
+  if (used.has(unique.toLowerCase())) {
+    const dot = name.lastIndexOf(".");
+    unique =
+      dot > 0
+        ? `${name.slice(0, dot)} (${id})${name.slice(dot)}`
+        : `${name} (${id})`;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+};
+
+/**
+ * List every media file below a collection or gallery, with its relative path
+ */
+const listFiles = async (client, rootId, rootType, options) => {
+  const folders = new Map();
+  const entries = [];
+  let root;
+  for await (const node of walk(
+    client,
+    rootId,
+    { rootType, types: ["collection", "gallery", "media"] },
+    options
+  )) {
+    if (!node.depth) {
+      root = node;
+      folders.set(`${node.type}:${node.id}`, { dir: "", used: new Set() });
+      continue;
+    }
+    const parent = node.ancestors[node.ancestors.length - 1];
+    const folder = folders.get(`${parent.type}:${parent.id}`);
+    const name = uniqueName(folder.used, safeName(node.name, node.id), node.id);
+    if (node.type === "media") {
+      // walk() includes the media, so its update time and checksum are known
+      const media = describeMedia(node.item);
+      entries.push({
+        id: node.id,
+        galleryId: parent.id,
+        version: media.version ?? media.checksum,
+        path: `${folder.dir}${name}`,
+      });
+    } else {
+      folders.set(`${node.type}:${node.id}`, {
+        dir: `${folder.dir}${name}/`,
+        used: new Set(),
+      });
+    }
+  }
+  return { root, entries };
+};
+
+const readManifest = async (path) => {
+  const { readFile } = await import("node:fs/promises");
+  try {
+    const manifest = JSON.parse(await readFile(path, "utf8"));
+    return {
+      ...manifest,
+      files: manifest.files ?? {},
+      partials: manifest.partials ?? {},
+    };
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) {
+      return { files: {}, partials: {} };
+    }
+    throw error;
+  }
+};
+
+const writeManifest = async (path, manifest) => {
+  const { writeFile, rename } = await import("node:fs/promises");
+  await writeFile(`${path}.tmp`, JSON.stringify(manifest, null, 2));
+  await rename(`${path}.tmp`, path);
+};
+
+/**
+ * Mirror a collection or gallery to a local folder (Node.js only).
+ * Collections and galleries become folders, media originals become files.
+ * A manifest records what was downloaded so a re-run only fetches files
+ * that are missing locally or changed remotely, and continues interrupted
+ * downloads only when the remote file is still the same.
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} rootId - The collection or gallery ID
+ * @param {string} destDir - The destination folder
+ * @param {Object} [settings] - Download settings
+ * @param {string} [settings.type] - "collection" or "gallery", detected when omitted
+ * @param {number} [settings.concurrency] - Downloads in flight at once (default 4)
+ * @param {Object} [settings.params] - Download parameters for every media
+ * @param {string} [settings.manifest] - Manifest file name inside destDir
+ * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, path, status }` after each file
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<{root: Object, manifest: string, downloaded: string[], skipped: string[], failed: Object[]}>} - Relative paths per outcome, failures as `{ path, id, error }`
+ */
+export const downloadTree = async (
+  client,
+  rootId,
+  destDir,
+  settings = {},
+  options = {}
+) => {
+  const {
+    type,
+    concurrency = 4,
+    params = {},
+    manifest: manifestName = MANIFEST_FILE,
+    onProgress,
+  } = settings;
+  const [{ join }, { mkdir, rename }] = await Promise.all([
+    import("node:path"),
+    import("node:fs/promises"),
+  ]);
+
+  const { root, entries } = await listFiles(client, rootId, type, options);
+
+  await mkdir(destDir, { recursive: true });
+  const manifestPath = join(destDir, manifestName);
+  const previous = await readManifest(manifestPath);
+  const files = {};
+  const partials = {};
+  const report = { downloaded: [], skipped: [], failed: [] };
+  let completed = 0;
+
+  const fetchEntry = async (entry) => {
+    const path = join(destDir, entry.path);
+    const known = previous.files[entry.path];
+    const unchanged = known?.id === entry.id && known.version === entry.version;
+    const size = await getFileSize(path);
+    if (unchanged && size > 0 && (known.size == null || known.size === size)) {
+      return "skipped";
+    }
+
+    // A partial file of the same version is continued, not restarted. One
+    // the manifest has no record of may hold anything: start over.
+    const partial = previous.partials[entry.path];
+    const samePartial =
+      partial?.id === entry.id && partial.version === entry.version;
+    try {
+      const result = await client.media.downloadToFileById(
+        entry.id,
+        `${path}.part`,
+        {
+          params,
+          resume: samePartial,
+          validator: samePartial ? partial.validator : null,
+        },
+        options
+      );
+      await rename(`${path}.part`, path);
+      files[entry.path] = {
+        id: entry.id,
+        galleryId: entry.galleryId,
+        version: entry.version,
+        size: result.size ?? (await getFileSize(path)),
+      };
+      return "downloaded";
+    } catch (error) {
+      // Lets the next run check the partial file before continuing it
+      partials[entry.path] = {
+        id: entry.id,
+        version: entry.version,
+        validator: error?.validator ?? null,
+      };
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      report.failed.push({ path: entry.path, id: entry.id, error });
+      return "failed";
+    }
+  };
+
+  try {
+    await mapLimit(entries, concurrency, async (entry) => {
+      const status = await fetchEntry(entry);
+      if (status !== "failed") {
+        report[status].push(entry.path);
+      }
+      onProgress?.({
+        completed: ++completed,
+        total: entries.length,
+        path: entry.path,
+        status,
+      });
+    });
+  } finally {
+    // Files not (re)downloaded this run keep their previous record
+    const records = {};
+    for (const { path } of entries) {
+      const record = files[path] ?? previous.files[path];
+      if (record) {
+        records[path] = record;
+      }
+    }
+    await writeManifest(manifestPath, {
+      rootId,
+      rootType: root.type,
+      updatedAt: new Date().toISOString(),
+      files: records,
+      partials,
+    });
+  }
+
+  return {
+    root: { id: rootId, type: root.type },
+    manifest: manifestPath,
+    ...report,
+  };
+};
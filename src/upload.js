@@ -0,0 +1,145 @@
+import { mapLimit } from "./concurrency.js";
+import { fileChecksum, listLocalFiles } from "./files.js";
+import { listGalleryMedia } from "./library.js";
+
+/**
+ * Upload a local file and add it to a gallery
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} path - The file
+ * @param {string} galleryId - The ID of the gallery
+ * @param {Object} [data] - Extra media.create() fields
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<string>} - The ID of the new media
+ */
+export const uploadToGallery = async (
+  client,
+  path,
+  galleryId,
+  data = {},
+  options
+) => {
+  const created = await client.media.create({ ...data, file: path }, options);
+  const mediaId = created?.data?.id;
+  try {
+    await client.galleries.addChildById(
+      galleryId,
+      { media_id: mediaId },
+      options
+    );
+  } catch (error) {
+    error.mediaId = mediaId;
+    throw error;
+  }
+  return mediaId;
+};
+
+/**
+ * Upload the files of a local folder into a gallery (Node.js only).
+ * Files already in the gallery, by file name or checksum, are skipped.
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} dir - The folder
+ * @param {string} galleryId - The ID of the gallery
+ * @param {Object} [settings] - Upload settings
+ * @param {string|string[]} [settings.include] - Globs a file must match, e.g. "*.{jpg,cr3}"
+ * @param {string|string[]} [settings.exclude] - Globs ruling out files and folders
+ * @param {boolean} [settings.recursive] - Include sub-folders (default true)
+ * @param {string|boolean} [settings.dedupe] - "filename" (default), "checksum" or false
+ * @param {number} [settings.concurrency] - Uploads in flight at once (default 3)
+ * @param {Object} [settings.data] - Extra media.create() fields for every file
+ * @param {function(Object): void} [settings.onProgress] - Called with `{ completed, total, file }` after each file
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {Promise<{galleryId: string, uploaded: number, skipped: number, failed: number, files: Object[]}>} - Per-file results as `{ path, status, mediaId, reason, error }`
+ */
+export const uploadDirectory = async (
+  client,
+  dir,
+  galleryId,
+  settings = {},
+  options = {}
+) => {
+  const {
+    include,
+    exclude,
+    recursive = true,
+    dedupe = "filename",
+    concurrency = 3,
+    data = {},
+    onProgress,
+  } = settings;
+  const files = await listLocalFiles(dir, { include, exclude, recursive });
+  const existing = dedupe
+    ? await listGalleryMedia(client, galleryId, options)
+    : [];
+
+  // Files uploaded in this run are deduped against each other too: each key
+  // maps to the media ID, or to the upload still in flight that yields it
+  const seen = new Map();
+  for (const media of existing) {
+    const key = dedupe === "checksum" ? media.checksum : media.name;
+    if (key) {
+      seen.set(String(key).toLowerCase(), Promise.resolve(media.id));
+    }
+  }
+
+  const uploadFile = async (file) => {
+    let key;
+    if (dedupe) {
+      key = (
+        dedupe === "checksum" ? await fileChecksum(file.path) : file.name
+      ).toLowerCase();
+      // A failed upload drops its key, so the next file with it is uploaded
+      while (seen.has(key)) {
+        const pending = seen.get(key);
+        const mediaId = await pending;
+        if (seen.get(key) === pending) {
+          return {
+            path: file.relative,
+            status: "skipped",
+            mediaId,
+            reason: `duplicate ${dedupe}`,
+          };
+        }
+      }
+    }
+    const upload = uploadToGallery(client, file.path, galleryId, data, options);
+    if (key) {
+      seen.set(
+        key,
+        upload.catch(() => {
+          seen.delete(key);
+        })
+      );
+    }
+    try {
+      const mediaId = await upload;
+      return { path: file.relative, status: "uploaded", mediaId };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      return {
+        path: file.relative,
+        status: "failed",
+        mediaId: error.mediaId ?? null,
+        reason: error.message,
+        error,
+      };
+    }
+  };
+
+  let completed = 0;
+  const results = await mapLimit(files, concurrency, async (file) => {
+    const result = await uploadFile(file);
+    onProgress?.({ completed: ++completed, total: files.length, file: result });
+    return result;
+  });
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  return {
+    galleryId,
+    uploaded: count("uploaded"),
+    skipped: count("skipped"),
+    failed: count("failed"),
+    files: results,
+  };
+};
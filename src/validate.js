@@ -0,0 +1,156 @@
+import { ValidationError } from "./errors.js";
+import { isUploadSource } from "./multipart.js";
+
+/**
+ * Expected shape of an argument or of a field of an object argument
+ * @typedef {Object} ParamSchema
+ * @property {string} [name] - Argument name used in messages (positional arguments only)
+ * @property {string} [type] - "id", "code", "string", "number", "boolean", "object", "array" or "file"
+ * @property {boolean|function(Object, Object): boolean} [required] - Whether it must be present, or a function of the containing object and the validation context
+ * @property {Array} [enum] - The allowed values
+ * @property {Object<string, ParamSchema>} [fields] - Schemas of the fields of an object
+ */
+
+const AsyncFunction = (async () => {}).constructor;
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const checks = {
+  // IDs end up in URLs: an empty one would request a different endpoint
+  id: (value) =>
+    (typeof value === "string" && value.trim() !== "") ||
+    (typeof value === "number" && Number.isFinite(value)),
+  // Verification codes are digits, typed in or generated as a number
+  code: (value) =>
+    (typeof value === "string" && value.trim() !== "") ||
+    (typeof value === "number" && Number.isInteger(value)),
+  string: (value) => typeof value === "string",
+  // Numbers are query parameters: a string of digits is sent the same way
+  number: (value) =>
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (typeof value === "string" && /^\s*-?\d+\s*$/.test(value)),
+  boolean: (value) => typeof value === "boolean",
+  object: isObject,
+  array: Array.isArray,
+  file: isUploadSource,
+};
+
+const describe = (value) => {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "an array";
+  }
+  return typeof value === "string" ? `"${value}"` : typeof value;
+};
+
+const expected = {
+  id: "a non-empty string or number",
+  code: "a non-empty string or an integer",
+  string: "a string",
+  number: "a number or a string of digits",
+  boolean: "a boolean",
+  object: "an object",
+  array: "an array",
+  file: "a Blob, File, ArrayBuffer, Uint8Array, stream, file path or { file, filename, contentType }",
+};
+
+const checkValue = (value, schema, path, parent, context, problems) => {
+  const required =
+    typeof schema.required === "function"
+      ? schema.required(parent ?? {}, context)
+      : schema.required;
+  if (value === undefined || value === null) {
+    if (required) {
+      problems.push({ path, message: `${path} is required` });
+    }
+    return;
+  }
+  // Query builders check themselves when serialized
+  if (typeof value.toParams === "function") {
+    return;
+  }
+  if (schema.type && !checks[schema.type](value)) {
+    problems.push({
+      path,
+      message: `${path} must be ${expected[schema.type]}, got ${describe(
+        value
+      )}`,
+    });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({
+      path,
+      message: `${path} must be one of: ${schema.enum.join(
+        ", "
+      )}, got ${describe(value)}`,
+    });
+  }
+  for (const [name, field] of Object.entries(schema.fields ?? {})) {
+    checkValue(value[name], field, `${path}.${name}`, value, context, problems);
+  }
+};
+
+/**
+ * Check the arguments of a call against a method's schema
+ * @param {ParamSchema[]} schema - One entry per positional argument
+ * @param {Array} args - The call arguments
+ * @param {Object} [context] - Passed to `required` functions, e.g. the client config
+ * @returns {Array<{path: string, message: string}>} - The problems found, empty when valid
+ */
+export const validateArgs = (schema, args, context = {}) => {
+  const problems = [];
+  schema.forEach((argument, index) =>
+    checkValue(args[index], argument, argument.name, null, context, problems)
+  );
+  return problems;
+};
+
+/**
+ * Wrap the methods of a namespace so their arguments are checked before any
+ * request is made. Methods without a schema are left as they are.
+ * @param {string} namespace - The namespace name, used in messages
+ * @param {Object} methods - The namespace object, updated in place
+ * @param {Object<string, ParamSchema[]>} schemas - Schemas keyed by method name
+ * @param {Object} context - Validation context
+ * @param {Object} context.config - The client config, `validate: false` turns validation off
+ * @returns {Object} - The namespace object
+ * @throws {ValidationError} From a wrapped method, listing every invalid argument
+ */
+export const withValidation = (namespace, methods, schemas = {}, context) => {
+  for (const [name, schema] of Object.entries(schemas)) {
+    const method = methods[name];
+    methods[name] = (...args) => {
+      // The request options follow the documented arguments
+      const options = args[schema.length];
+      if (context.config.validate !== false && options?.validate !== false) {
+        const problems = validateArgs(schema, args, context);
+        if (problems.length) {
+          const error = new ValidationError(
+            `Invalid arguments for ${namespace}.${name}(): ${problems
+              .map((problem) => problem.message)
+              .join("; ")}`,
+            {
+              errors: problems.map((problem) => ({
+                title: "Invalid parameter",
+                detail: problem.message,
+                source: { parameter: problem.path },
+              })),
+            }
+          );
+          // Fail the way the method reports errors: iterators throw when read
+          return method instanceof AsyncFunction
+            ? Promise.reject(error)
+            : (async function* () {
+                throw error;
+              })();
+        }
+      }
+      return method(...args);
+    };
+  }
+  return methods;
+};
@@ -0,0 +1,161 @@
+import { NotFoundError } from "./errors.js";
+import { attributesOf } from "./jsonapi.js";
+import { describeMedia } from "./library.js";
+
+/**
+ * A collection, gallery or media reached by walk()
+ * @typedef {Object} WalkNode
+ * @property {string} id - The resource ID
+ * @property {string} type - "collection", "gallery" or "media"
+ * @property {string|null} name - The name (file name for media)
+ * @property {string[]} path - Breadcrumb of names from the root down to this node
+ * @property {Array<{id: string, type: string, name: string|null}>} ancestors - The nodes above this one, root first
+ * @property {number} depth - Levels below the root (the root itself is 0)
+ * @property {Object} item - The resource as returned by the API; for media, the normalized gallery child with its `media` included
+ */
+
+/**
+ * Kind of a library item
+ * @param {Object} item - A library, collection child or gallery resource
+ * @returns {string} - "collection", "gallery" or "media"
+ */
+export const kindOf = (item) => {
+  const type = String(item.type ?? attributesOf(item).type ?? "");
+  if (/collection/i.test(type)) {
+    return "collection";
+  }
+  return /gallery/i.test(type) ? "gallery" : "media";
+};
+
+const resolveRoot = async (client, rootId, type, options) => {
+  if (type !== "gallery") {
+    try {
+      const { data } = await client.collections.getById(rootId, options);
+      return { type: "collection", item: data };
+    } catch (error) {
+      if (type === "collection" || !(error instanceof NotFoundError)) {
+        throw error;
+      }
+    }
+  }
+  const { data } = await client.galleries.getById(rootId, options);
+  return { type: "gallery", item: data };
+};
+
+const toNode = (type, item, parent) => {
+  const media = type === "media" ? describeMedia(item) : null;
+  const name = media ? media.name : attributesOf(item).name ?? null;
+  return {
+    id: media ? media.id : item.id,
+    type,
+    name,
+    path: [...(parent?.path ?? []), name],
+    ancestors: parent
+      ? [
+          ...parent.ancestors,
+          { id: parent.id, type: parent.type, name: parent.name },
+        ]
+      : [],
+    depth: parent ? parent.depth + 1 : 0,
+    item,
+  };
+};
+
+/**
+ * Walk the library tree depth-first, yielding each node before its children.
+ * A gallery with several parent collections is only visited once.
+ * @param {Object} client - A PhotoShelterV4API client
+ * @param {string} [rootId] - The collection or gallery to start from, the whole library when omitted
+ * @param {Object} [settings] - Walk settings
+ * @param {number} [settings.depth] - Maximum levels below the root (default unlimited)
+ * @param {string[]} [settings.types] - Types to yield: "collection", "gallery", "media" (default collections and galleries)
+ * @param {string} [settings.rootType] - "collection" or "gallery", detected when omitted
+ * @param {function(WalkNode): boolean|Promise<boolean>} [settings.prune] - Return true to skip a node and everything below it
+ * @param {function(WalkNode): boolean|Promise<boolean>} [settings.descend] - Return false to yield a node without visiting its children
+ * @param {function(WalkNode): void|Promise<void>} [settings.onRevisit] - Called when a gallery or collection already visited is reached through another parent
+ * @param {RequestOptions} [options] - Request options (signal, timeout, headers)
+ * @returns {AsyncGenerator<WalkNode>}
+ */
+export async function* walk(client, rootId, settings = {}, options = {}) {
+  if (rootId !== null && typeof rootId === "object") {
+    [rootId, settings, options] = [undefined, rootId, settings ?? {}];
+  }
+  const {
+    depth: maxDepth = Infinity,
+    types = ["collection", "gallery"],
+    rootType,
+    prune,
+    descend,
+    onRevisit,
+  } = settings;
+  const withMedia = types.includes("media");
+  const visited = new Set();
+
+  const childrenOf = (node) => {
+    if (!node) {
+      return client.library.iterate({}, options);
+    }
+    if (node.type === "collection") {
+      return client.collections.iterateChildren(node.id, {}, options);
+    }
+    // Gallery children only carry a media ID, the file name and version
+    // come with the included media
+    return node.type === "gallery" && withMedia
+      ? client.galleries.iterateChildrenById(
+          node.id,
+          {},
+          { ...options, include: "media", normalize: true }
+        )
+      : null;
+  };
+
+  async function* visit(node) {
+    if (node) {
+      if (node.type !== "media") {
+        const key = `${node.type}:${node.id}`;
+        if (visited.has(key)) {
+          await onRevisit?.(node);
+          return;
+        }
+        visited.add(key);
+      }
+      if (prune && (await prune(node))) {
+        return;
+      }
+      if (types.includes(node.type)) {
+        yield node;
+      }
+      if (
+        node.depth >= maxDepth ||
+        (descend && (await descend(node)) === false)
+      ) {
+        return;
+      }
+    }
+    const children = childrenOf(node);
+    if (!children || (!node && maxDepth < 1)) {
+      return;
+    }
+    for await (const child of children) {
+      const type = node?.type === "gallery" ? "media" : kindOf(child);
+      if (type === "media" && !withMedia) {
+        continue;
+      }
+      const childNode = toNode(type, child, node);
+      if (!node) {
+        // The whole library is a virtual root: its items are one level down
+        childNode.depth = 1;
+      }
+      yield* visit(childNode);
+    }
+  }
+
+  if (rootId === undefined) {
+    yield* visit(null);
+    return;
+  }
+  const root = await resolveRoot(client, rootId, rootType, options);
+  yield* visit(
+    toNode(root.type, { ...root.item, id: root.item?.id ?? rootId }, null)
+  );
+}
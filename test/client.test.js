@@ -0,0 +1,593 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import {
+  AuthenticationError,
+  NetworkError,
+  PhotoShelterV3API,
+  PhotoShelterV4API,
+  ServerError,
+  ValidationError,
+  collectAll,
+  createFileTokenStore,
+  createMemoryTokenStore,
+  createMockServer,
+} from "../main.js";
+
+const fixtures = {
+  users: [
+    { email: "plain@example.com", password: "secret" },
+    { email: "2fa@example.com", password: "secret", twoFactorCode: "123456" },
+  ],
+  media: Array.from({ length: 7 }, (_, index) => ({
+    id: `I${index + 1}`,
+    file_name: `photo-${index + 1}.jpg`,
+    content: `contents of photo ${index + 1}`,
+  })),
+  galleries: [{ id: "G1", name: "Events", media_ids: ["I1", "I2"] }],
+};
+
+describe("client against the mock server", () => {
+  let server;
+  let dir;
+
+  const createClient = (config = {}) =>
+    PhotoShelterV4API("key", {
+      baseUrl: server.baseUrl,
+      retry: { minDelay: 1, maxDelay: 5 },
+      ...config,
+    });
+
+  const loggedIn = async (config) => {
+    const client = createClient(config);
+    await client.authenticate.login("plain@example.com", "secret");
+    return client;
+  };
+
+  before(async () => {
+    server = await createMockServer({ fixtures });
+    dir = await mkdtemp(join(tmpdir(), "photoshelter-test-"));
+  });
+
+  after(async () => {
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => server.reset());
+
+  describe("authentication", () => {
+    test("logs in and sends the token", async () => {
+      const client = createClient();
+      assert.deepEqual(
+        await client.authenticate.login("plain@example.com", "secret"),
+        { status: "authenticated" }
+      );
+      await client.media.getById("I1");
+      const token = server.requests.at(-1).headers["x-ps-auth-token"];
+      assert.equal(token, client.session.token);
+    });
+
+    test("rejects wrong credentials", async () => {
+      await assert.rejects(
+        createClient().authenticate.login("plain@example.com", "wrong"),
+        AuthenticationError
+      );
+    });
+
+    test("completes a two-factor login", async () => {
+      const client = createClient();
+      assert.deepEqual(
+        await client.authenticate.login("2fa@example.com", "secret"),
+        { status: "two_factor_required" }
+      );
+      await assert.rejects(client.media.getById("I1"), AuthenticationError);
+      assert.deepEqual(await client.authenticate.completeTwoFactor("123456"), {
+        status: "authenticated",
+      });
+      const { data } = await client.media.getById("I1");
+      assert.equal(data.id, "I1");
+    });
+
+    test("uses the two-factor code provider", async () => {
+      const client = createClient({
+        twoFactorCodeProvider: async () => "123456",
+      });
+      assert.deepEqual(
+        await client.authenticate.login("2fa@example.com", "secret"),
+        { status: "authenticated" }
+      );
+    });
+
+    test("rejects a wrong two-factor code", async () => {
+      const client = createClient();
+      await client.authenticate.login("2fa@example.com", "secret");
+      await assert.rejects(
+        client.authenticate.completeTwoFactor("000000"),
+        AuthenticationError
+      );
+    });
+
+    test("logs in again and replays a request rejected with a 401", async () => {
+      const client = await loggedIn({
+        reauthenticate: true,
+        credentials: async () => ({
+          email: "plain@example.com",
+          password: "secret",
+        }),
+      });
+      const before = client.session.token;
+      server.expireTokens();
+      const { data } = await client.media.getById("I1");
+      assert.equal(data.id, "I1");
+      assert.notEqual(client.session.token, before);
+      assert.deepEqual(
+        server.requests.slice(-3).map((request) => request.path),
+        ["/media/I1", "/authenticate", "/media/I1"]
+      );
+    });
+
+    test("passes middleware errors through login unchanged", async () => {
+      class Denied extends Error {}
+      const v4 = createClient();
+      v4.use(async () => {
+        throw new Denied("blocked by policy");
+      });
+      await assert.rejects(
+        v4.authenticate.login("plain@example.com", "secret"),
+        Denied
+      );
+      const v3 = PhotoShelterV3API("key");
+      v3.use(async () => {
+        throw new Denied("blocked by policy");
+      });
+      await assert.rejects(
+        v3.authenticate.login("plain@example.com", "secret"),
+        Denied
+      );
+    });
+
+    test("reports a failed login request as a network error", async () => {
+      const client = createClient({
+        fetch: async () => {
+          throw new TypeError("fetch failed");
+        },
+      });
+      await assert.rejects(
+        client.authenticate.login("plain@example.com", "secret"),
+        NetworkError
+      );
+    });
+
+    test("refuses an OAuth state it cannot check", async () => {
+      const client = createClient({ oauth: { clientId: "app" } });
+      const sent = server.requests.length;
+      const params = { code: "abc", codeVerifier: "verifier", state: "xyz" };
+      await assert.rejects(
+        client.oauth.exchangeCode(params),
+        (error) =>
+          error instanceof ValidationError &&
+          /params\.expectedState is required/.test(error.message)
+      );
+      await assert.rejects(
+        client.oauth.exchangeCode(params, { validate: false }),
+        /without an expectedState/
+      );
+      await assert.rejects(
+        client.oauth.exchangeCode({ ...params, expectedState: "other" }),
+        /OAuth state mismatch/
+      );
+      assert.equal(server.requests.length, sent);
+    });
+
+    test("replays a stream upload rejected with a 401", async () => {
+      const client = await loggedIn({
+        reauthenticate: true,
+        credentials: async () => ({
+          email: "plain@example.com",
+          password: "secret",
+        }),
+      });
+      server.expireTokens();
+      const { data } = await client.media.create({
+        file: Readable.from([Buffer.from("streamed "), Buffer.from("bytes")]),
+      });
+      assert.equal(data.attributes.file_size, 14);
+      server.expireTokens();
+      const { data: web } = await client.media.create({
+        file: {
+          file: new Blob(["web stream bytes"]).stream(),
+          filename: "web.jpg",
+        },
+      });
+      assert.equal(web.attributes.file_size, 16);
+      assert.equal(web.attributes.file_name, "web.jpg");
+    });
+
+    test("fails with a 401 when re-authentication is off", async () => {
+      const client = await loggedIn();
+      server.expireTokens();
+      await assert.rejects(client.media.getById("I1"), AuthenticationError);
+      assert.equal(client.session.token, null);
+    });
+  });
+
+  describe("sessions", () => {
+    test("reports logins, logouts and expired tokens", async () => {
+      const client = createClient();
+      const events = [];
+      for (const name of ["login", "logout", "tokenExpired"]) {
+        client.session.on(name, () => events.push(name));
+      }
+      await client.authenticate.login("plain@example.com", "secret");
+      const { token } = client.session;
+      await client.authenticate.logout();
+      assert.equal(client.session.isAuthenticated, false);
+      assert.equal(server.store.tokens.has(token), false);
+      assert.equal(server.requests.at(-1).path, "/authenticate/logout");
+
+      await client.authenticate.login("plain@example.com", "secret");
+      server.expireTokens();
+      await assert.rejects(client.media.getById("I1"), AuthenticationError);
+      assert.deepEqual(events, ["login", "logout", "login", "tokenExpired"]);
+    });
+
+    test("logs out locally when the token was already revoked", async () => {
+      const client = await loggedIn();
+      server.expireTokens();
+      await client.authenticate.logout();
+      assert.equal(client.session.token, null);
+    });
+
+    test("restores an exported session in another client", async () => {
+      const first = await loggedIn();
+      const data = first.session.export();
+      assert.equal(data.token, first.session.token);
+
+      const second = createClient();
+      assert.equal(await second.session.restore(null), false);
+      assert.equal(await second.session.restore(data), true);
+      await second.media.getById("I1");
+      assert.equal(
+        server.requests.at(-1).headers["x-ps-auth-token"],
+        data.token
+      );
+      assert.equal(
+        second.session.loginTime.getTime(),
+        first.session.loginTime.getTime()
+      );
+    });
+
+    test("shares a session through a memory token store", async () => {
+      const tokenStore = createMemoryTokenStore();
+      const first = await loggedIn({ tokenStore });
+      assert.equal((await tokenStore.get()).token, first.session.token);
+
+      const second = createClient({ tokenStore });
+      const { data } = await second.media.getById("I1");
+      assert.equal(data.id, "I1");
+      assert.equal(second.session.token, first.session.token);
+      await second.authenticate.logout();
+      assert.equal(await tokenStore.get(), null);
+    });
+
+    test("keeps a session in a file", async () => {
+      const path = join(dir, "session.json");
+      const first = await loggedIn({ tokenStore: createFileTokenStore(path) });
+      const saved = JSON.parse(await readFile(path, "utf8"));
+      assert.equal(saved.token, first.session.token);
+
+      const second = createClient({ tokenStore: createFileTokenStore(path) });
+      await second.media.getById("I1");
+      assert.equal(second.session.token, first.session.token);
+      await second.authenticate.logout();
+      await assert.rejects(readFile(path));
+    });
+
+    test("treats a corrupt session file as no session", async () => {
+      const path = join(dir, "corrupt-session.json");
+      await writeFile(path, '{"token": "trunc');
+      const tokenStore = createFileTokenStore(path);
+      assert.equal(await tokenStore.get(), null);
+      const client = createClient({ tokenStore });
+      await assert.rejects(client.media.getById("I1"), AuthenticationError);
+      await client.authenticate.login("plain@example.com", "secret");
+      assert.equal((await tokenStore.get()).token, client.session.token);
+    });
+  });
+
+  describe("pagination", () => {
+    test("returns one page with its meta", async () => {
+      const client = await loggedIn();
+      const { data, meta } = await client.media.getAll({
+        page: 2,
+        per_page: 3,
+      });
+      assert.deepEqual(
+        data.map((item) => item.id),
+        ["I4", "I5", "I6"]
+      );
+      assert.deepEqual(meta, {
+        total: 7,
+        page: 2,
+        per_page: 3,
+        total_pages: 3,
+      });
+    });
+
+    test("iterates over every page", async () => {
+      const client = await loggedIn();
+      const items = await collectAll(client.media.iterate({ per_page: 3 }));
+      assert.deepEqual(
+        items.map((item) => item.id),
+        ["I1", "I2", "I3", "I4", "I5", "I6", "I7"]
+      );
+      const pages = server.requests.filter(
+        (request) => request.path === "/media"
+      );
+      assert.deepEqual(
+        pages.map((request) => request.query.page),
+        ["1", "2", "3"]
+      );
+    });
+  });
+
+  describe("request bodies", () => {
+    test("form bodies keep falsy values and bracket nested ones", async () => {
+      const bodies = [];
+      const client = createClient({
+        oauth: { clientId: "app" },
+        fetch: async (url, init) => {
+          bodies.push(init.body);
+          return Response.json({ access_token: "token", expires_in: 3600 });
+        },
+      });
+      await client.oauth.token({
+        grant_type: "client_credentials",
+        scope: "",
+        attempt: 0,
+        offline: false,
+        device: { name: "kiosk", ids: [1, 2] },
+        skipped: undefined,
+      });
+      assert.deepEqual(
+        [...new URLSearchParams(bodies[0])],
+        [
+          ["client_id", "app"],
+          ["grant_type", "client_credentials"],
+          ["scope", ""],
+          ["attempt", "0"],
+          ["offline", "false"],
+          ["device[name]", "kiosk"],
+          ["device[ids][]", "1"],
+          ["device[ids][]", "2"],
+        ]
+      );
+    });
+  });
+
+  describe("argument validation", () => {
+    test("accepts page numbers given as strings", async () => {
+      const client = await loggedIn();
+      const { data } = await client.media.getAll({ page: "2", per_page: "3" });
+      assert.deepEqual(
+        data.map((item) => item.id),
+        ["I4", "I5", "I6"]
+      );
+    });
+
+    test("rejects a page that is not a number before sending", async () => {
+      const client = await loggedIn();
+      const sent = server.requests.length;
+      await assert.rejects(
+        client.media.getAll({ page: "two" }),
+        (error) =>
+          error instanceof ValidationError && /params\.page/.test(error.message)
+      );
+      assert.equal(server.requests.length, sent);
+    });
+
+    test("requires a batch download path before sending", async () => {
+      const client = await loggedIn();
+      const sent = server.requests.length;
+      await assert.rejects(
+        client.batchDownload(["I1", "I2"], { size: "original" }),
+        (error) =>
+          error instanceof ValidationError &&
+          /settings\.path is required/.test(error.message)
+      );
+      assert.equal(server.requests.length, sent);
+    });
+
+    test("accepts a two-factor code given as a number", async () => {
+      const client = createClient();
+      await client.authenticate.login("2fa@example.com", "secret");
+      assert.deepEqual(await client.authenticate.completeTwoFactor(123456), {
+        status: "authenticated",
+      });
+    });
+  });
+
+  describe("retries", () => {
+    test("retries a transient failure", async () => {
+      const client = await loggedIn();
+      server.inject({
+        method: "GET",
+        path: "/media/:id",
+        status: 503,
+        times: 2,
+      });
+      const { data } = await client.media.getById("I1");
+      assert.equal(data.id, "I1");
+      assert.equal(
+        server.requests.filter((request) => request.path === "/media/I1")
+          .length,
+        3
+      );
+    });
+
+    test("gives up after the configured retries", async () => {
+      const client = await loggedIn({ retry: { retries: 1, minDelay: 1 } });
+      server.inject({ path: "/media/*", status: 500, title: "Broken" });
+      await assert.rejects(client.media.getById("I1"), (error) => {
+        assert.ok(error instanceof ServerError);
+        assert.equal(error.attempts, 2);
+        assert.match(error.message, /Broken/);
+        return true;
+      });
+    });
+
+    test("does not retry a POST", async () => {
+      const client = await loggedIn();
+      server.inject({ method: "POST", path: "/collections", status: 503 });
+      await assert.rejects(
+        client.collections.create({ name: "New" }),
+        ServerError
+      );
+      assert.equal(
+        server.requests.filter((request) => request.path === "/collections")
+          .length,
+        1
+      );
+    });
+  });
+
+  describe("uploads and downloads", () => {
+    test("uploads a file and adds it to a gallery", async () => {
+      const client = await loggedIn();
+      const path = join(dir, "upload.jpg");
+      await writeFile(path, "uploaded bytes");
+      const { data } = await client.media.create({ file: path });
+      assert.equal(data.attributes.file_name, "upload.jpg");
+      assert.equal(data.attributes.file_size, 14);
+      await client.galleries.addChildById("G1", { media_id: data.id });
+      const { data: children } = await client.galleries.getChildrenById("G1");
+      assert.deepEqual(
+        children.map((child) => child.attributes.media_id),
+        ["I1", "I2", data.id]
+      );
+    });
+
+    test("names an upload given as a buffer", async () => {
+      const client = await loggedIn();
+      const { data } = await client.media.create({
+        file: { file: Buffer.from("png bytes"), filename: "named.png" },
+      });
+      assert.equal(data.attributes.file_name, "named.png");
+      assert.equal(data.attributes.mime_type, "image/png");
+      const { data: typed } = await client.media.create({
+        file: {
+          file: new Uint8Array([1, 2, 3]),
+          filename: "scan",
+          contentType: "image/tiff",
+        },
+      });
+      assert.equal(typed.attributes.file_name, "scan");
+      assert.equal(typed.attributes.mime_type, "image/tiff");
+    });
+
+    test("downloads a media", async () => {
+      const client = await loggedIn();
+      const contents = await client.media.downloadById("I3");
+      assert.equal(Buffer.from(contents).toString(), "contents of photo 3");
+    });
+
+    test("saves a download to a file and resumes it", async () => {
+      const client = await loggedIn();
+      const path = join(dir, "download.jpg");
+      await writeFile(path, "contents");
+      const result = await client.media.downloadToFileById("I2", path, {
+        resume: true,
+      });
+      assert.deepEqual(result, {
+        path,
+        size: 19,
+        resumed: true,
+        validator: `"${server.store.media.get("I2").attributes.md5}"`,
+      });
+      assert.equal(await readFile(path, "utf8"), "contents of photo 2");
+      assert.equal(server.requests.at(-1).headers.range, "bytes=8-");
+    });
+
+    test("restarts a resumed download when the file changed", async () => {
+      const client = await loggedIn();
+      const path = join(dir, "changed.jpg");
+      await writeFile(path, "contents");
+      const { validator } = await client.media.downloadToFileById(
+        "I2",
+        join(dir, "before.jpg")
+      );
+      const media = server.store.media.get("I2");
+      media.content = Buffer.from("new contents of photo 2");
+      media.attributes.md5 = "0123456789abcdef0123456789abcdef";
+      const result = await client.media.downloadToFileById("I2", path, {
+        resume: true,
+        validator,
+      });
+      assert.equal(result.resumed, false);
+      assert.equal(await readFile(path, "utf8"), "new contents of photo 2");
+      assert.equal(server.requests.at(-1).headers["if-range"], validator);
+    });
+
+    test("follows a download redirect without auth headers", async () => {
+      const redirecting = await createMockServer({
+        fixtures,
+        redirectDownloads: true,
+      });
+      try {
+        const client = PhotoShelterV4API("key", {
+          baseUrl: redirecting.baseUrl,
+        });
+        await client.authenticate.login("plain@example.com", "secret");
+        const { stream, filename } = await client.media.streamById("I1");
+        const contents = await new Response(stream).text();
+        assert.equal(contents, "contents of photo 1");
+        assert.equal(filename, "photo-1.jpg");
+        const cdn = redirecting.requests.at(-1);
+        assert.equal(cdn.path, "/cdn/media/I1");
+        assert.equal(cdn.headers["x-ps-auth-token"], undefined);
+      } finally {
+        await redirecting.close();
+      }
+    });
+  });
+
+  describe("cassettes", () => {
+    test("records error codes but not two-factor codes", async () => {
+      const path = join(dir, "codes.json");
+      const client = createClient({ cassette: { path, mode: "record" } });
+      await client.authenticate.login("2fa@example.com", "secret");
+      await client.authenticate.completeTwoFactor("123456");
+      server.inject({
+        path: "/media/:id",
+        status: 422,
+        errors: [{ status: "422", code: "invalid_media", title: "Invalid" }],
+      });
+      await assert.rejects(client.media.getById("I1"), ValidationError);
+      const { interactions } = JSON.parse(await readFile(path, "utf8"));
+      const verify = interactions.find(
+        ({ request }) => request.path === "/twofactor/verify"
+      );
+      assert.equal(verify.request.body.code, "[REDACTED]");
+      const failed = JSON.parse(interactions.at(-1).response.body);
+      assert.equal(failed.errors[0].code, "invalid_media");
+    });
+
+    test("records only the start of a large download", async () => {
+      const path = join(dir, "download.json");
+      const client = createClient({
+        cassette: { path, mode: "record", maxBinaryBody: 8 },
+      });
+      await client.authenticate.login("plain@example.com", "secret");
+      const contents = await client.media.downloadById("I1");
+      assert.equal(Buffer.from(contents).toString(), "contents of photo 1");
+      const { interactions } = JSON.parse(await readFile(path, "utf8"));
+      const { response } = interactions.at(-1);
+      assert.equal(response.truncated, true);
+      assert.equal(Buffer.from(response.body, "base64").toString(), "contents");
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { normalize } from "../main.js";
+
+describe("normalize", () => {
+  test("merges attributes and resolves included relationships", () => {
+    const document = {
+      data: [
+        {
+          id: "I1",
+          type: "media",
+          attributes: { file_name: "a.jpg" },
+          relationships: { owner: { data: { id: "U1", type: "user" } } },
+        },
+        {
+          id: "I2",
+          type: "media",
+          attributes: { file_name: "b.jpg" },
+          relationships: { owner: { data: { id: "U1", type: "user" } } },
+        },
+      ],
+      included: [{ id: "U1", type: "user", attributes: { name: "Ann" } }],
+    };
+    const { data } = normalize(document);
+    assert.deepEqual(data[0], {
+      id: "I1",
+      type: "media",
+      file_name: "a.jpg",
+      owner: { id: "U1", type: "user", name: "Ann" },
+    });
+    assert.equal(data[0].owner, data[1].owner);
+  });
+
+  test("stubs resources that refer back to their parents", () => {
+    const document = {
+      data: {
+        id: "G1",
+        type: "gallery",
+        attributes: { name: "Events" },
+        relationships: { cover: { data: { id: "I1", type: "media" } } },
+      },
+      included: [
+        {
+          id: "I1",
+          type: "media",
+          attributes: { file_name: "a.jpg" },
+          relationships: {
+            galleries: { data: [{ id: "G1", type: "gallery" }] },
+          },
+        },
+      ],
+    };
+    const { data } = normalize(document);
+    assert.deepEqual(data.cover.galleries, [{ id: "G1", type: "gallery" }]);
+    assert.doesNotThrow(() => JSON.stringify(data));
+  });
+});
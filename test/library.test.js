@@ -0,0 +1,522 @@
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  test,
+} from "node:test";
+import assert from "node:assert/strict";
+import {
+  mkdir,
+  mkdtemp,
+  readFile,
+  readdir,
+  rm,
+  writeFile,
+} from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  PhotoShelterError,
+  PhotoShelterV4API,
+  TimeoutError,
+  ValidationError,
+  collectAll,
+  createMockServer,
+} from "../main.js";
+
+const fixtures = {
+  users: [{ email: "plain@example.com", password: "secret" }],
+  media: [
+    { id: "I1", file_name: "photo-1.jpg", content: "contents of photo 1" },
+    { id: "I2", file_name: "photo-2.jpg", content: "contents of photo 2" },
+    { id: "I3", file_name: "photo-3.jpg", content: "contents of photo 3" },
+    { id: "I4", file_name: "../escaped.jpg", content: "hostile contents" },
+  ],
+  collections: [
+    { id: "C1", name: "Work" },
+    { id: "C2", name: "Archive" },
+  ],
+  galleries: [
+    {
+      id: "G1",
+      name: "Events",
+      parent_ids: ["C1", "C2"],
+      media_ids: ["I1", "I2"],
+    },
+    { id: "G2", name: "Portraits", media_ids: ["I3"] },
+    { id: "G3", name: "Shared", media_ids: ["I1", "I4"] },
+  ],
+};
+
+describe("library helpers against the mock server", () => {
+  let server;
+  let dir;
+
+  const loggedIn = async () => {
+    const client = PhotoShelterV4API("key", {
+      baseUrl: server.baseUrl,
+      retry: { minDelay: 1, maxDelay: 5 },
+    });
+    await client.authenticate.login("plain@example.com", "secret");
+    return client;
+  };
+
+  before(async () => {
+    server = await createMockServer({ fixtures });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), "photoshelter-test-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => server.reset());
+
+  describe("walk", () => {
+    test("names media after their files", async () => {
+      const client = await loggedIn();
+      const nodes = await collectAll(
+        client.walk("C1", { types: ["gallery", "media"] })
+      );
+      assert.deepEqual(
+        nodes.map((node) => [node.type, node.id, node.path.join("/")]),
+        [
+          ["gallery", "G1", "Work/Events"],
+          ["media", "I1", "Work/Events/photo-1.jpg"],
+          ["media", "I2", "Work/Events/photo-2.jpg"],
+        ]
+      );
+      assert.ok(nodes[1].item.media.updated_at);
+    });
+  });
+
+  describe("downloadTree", () => {
+    test("saves media under their file names", async () => {
+      const client = await loggedIn();
+      const result = await client.downloadTree("C1", dir);
+      assert.deepEqual(result.downloaded.sort(), [
+        "Events/photo-1.jpg",
+        "Events/photo-2.jpg",
+      ]);
+      assert.deepEqual(await readdir(join(dir, "Events")), [
+        "photo-1.jpg",
+        "photo-2.jpg",
+      ]);
+      assert.equal(
+        await readFile(join(dir, "Events", "photo-1.jpg"), "utf8"),
+        "contents of photo 1"
+      );
+    });
+
+    test("downloads again only what changed remotely", async () => {
+      const client = await loggedIn();
+      await client.downloadTree("C1", dir);
+      const media = server.store.media.get("I2");
+      media.content = Buffer.from("new contents of photo 2");
+      media.attributes.file_size = media.content.length;
+      media.attributes.updated_at = "2030-01-01T00:00:00.000Z";
+      const result = await client.downloadTree("C1", dir);
+      assert.deepEqual(result.downloaded, ["Events/photo-2.jpg"]);
+      assert.deepEqual(result.skipped, ["Events/photo-1.jpg"]);
+      assert.equal(
+        await readFile(join(dir, "Events", "photo-2.jpg"), "utf8"),
+        "new contents of photo 2"
+      );
+    });
+
+    test("starts over a partial file the manifest does not know", async () => {
+      const client = await loggedIn();
+      await mkdir(join(dir, "Events"));
+      await writeFile(join(dir, "Events", "photo-1.jpg.part"), "stale bytes");
+      const result = await client.downloadTree("C1", dir);
+      assert.deepEqual(result.failed, []);
+      assert.equal(
+        await readFile(join(dir, "Events", "photo-1.jpg"), "utf8"),
+        "contents of photo 1"
+      );
+    });
+  });
+
+  describe("syncGallery", () => {
+    test("keeps remote file names inside the folder", async () => {
+      const client = await loggedIn();
+      const folder = join(dir, "sync");
+      await mkdir(folder);
+      const { report } = await client.syncGallery(folder, "G3");
+      assert.equal(report.failed, 0);
+      assert.deepEqual(await readdir(dir), ["sync"]);
+      assert.deepEqual((await readdir(folder)).sort(), [
+        ".photoshelter-sync.json",
+        "_escaped.jpg",
+        "photo-1.jpg",
+      ]);
+      const { plan } = await client.syncGallery(folder, "G3", {
+        dryRun: true,
+      });
+      assert.deepEqual(plan.actions, []);
+    });
+
+    test("refuses a planned path outside the folder", async () => {
+      const client = await loggedIn();
+      const folder = join(dir, "sync");
+      await mkdir(folder);
+      const { plan } = await client.syncGallery(folder, "G3", {
+        dryRun: true,
+      });
+      plan.actions[0].name = "../escaped.jpg";
+      const { report } = await client.syncGallery(folder, "G3", { plan });
+      assert.equal(report.failed, 1);
+      assert.match(report.results[0].error.message, /outside the sync folder/);
+      assert.deepEqual(await readdir(dir), ["sync"]);
+    });
+
+    test("refuses a planned local file outside the folder", async () => {
+      const client = await loggedIn();
+      const folder = join(dir, "sync");
+      await mkdir(folder);
+      await writeFile(join(dir, "precious.txt"), "precious");
+      const { plan } = await client.syncGallery(folder, "G2", {
+        dryRun: true,
+      });
+      const local = { name: "precious.txt", path: join(dir, "precious.txt") };
+      plan.actions = [
+        { type: "deleteLocal", name: "precious.txt", local },
+        { type: "upload", name: "precious.txt", local },
+      ];
+      const { report } = await client.syncGallery(folder, "G2", { plan });
+      assert.equal(report.results.length, 2);
+      for (const result of report.results) {
+        assert.equal(result.status, "failed");
+        assert.match(result.error.message, /outside the sync folder/);
+      }
+      assert.equal(
+        await readFile(join(dir, "precious.txt"), "utf8"),
+        "precious"
+      );
+      assert.equal(server.store.media.size, fixtures.media.length);
+    });
+
+    test("keeps both files without overwriting an existing copy", async () => {
+      const client = await loggedIn();
+      const folder = join(dir, "sync");
+      await mkdir(folder);
+      await writeFile(join(folder, "photo-3.jpg"), "local edit");
+      await writeFile(join(folder, "photo-3 (local).jpg"), "precious copy");
+      const { plan } = await client.syncGallery(folder, "G2", {
+        dryRun: true,
+      });
+      const keepBoth = plan.actions.find(({ type }) => type === "keepBoth");
+      assert.equal(keepBoth.copyName, "photo-3 (local 2).jpg");
+      // A file that appears after planning is not overwritten either
+      await writeFile(join(folder, "photo-3 (local 2).jpg"), "late copy");
+      const { report } = await client.syncGallery(folder, "G2", { plan });
+      assert.equal(report.failed, 0);
+      const contents = async (name) => readFile(join(folder, name), "utf8");
+      assert.equal(await contents("photo-3.jpg"), "contents of photo 3");
+      assert.equal(await contents("photo-3 (local).jpg"), "precious copy");
+      assert.equal(await contents("photo-3 (local 2).jpg"), "late copy");
+      assert.equal(await contents("photo-3 (local 3).jpg"), "local edit");
+    });
+
+    test("does not link files of the same size without a checksum", async () => {
+      const client = await loggedIn();
+      const folder = join(dir, "sync");
+      await mkdir(folder);
+      delete server.store.media.get("I3").attributes.md5;
+      await writeFile(join(folder, "photo-3.jpg"), "contents of photo X");
+      const { plan } = await client.syncGallery(folder, "G2", {
+        dryRun: true,
+      });
+      assert.deepEqual(
+        plan.actions.map(({ type, name }) => [type, name]),
+        [["keepBoth", "photo-3.jpg"]]
+      );
+    });
+  });
+
+  describe("uploadDirectory", () => {
+    const galleryFiles = (id) =>
+      server.store.galleries
+        .get(id)
+        .children.map(
+          ({ mediaId }) => server.store.media.get(mediaId).attributes.file_name
+        );
+
+    const files = async (entries) => {
+      for (const [name, content] of Object.entries(entries)) {
+        await mkdir(join(dir, name, ".."), { recursive: true });
+        await writeFile(join(dir, name), content);
+      }
+    };
+
+    test("uploads matching files and skips those in the gallery", async () => {
+      const client = await loggedIn();
+      await files({
+        "photo-3.jpg": "another photo 3",
+        "new.jpg": "new photo",
+        "notes.txt": "not a photo",
+        "raw/shot.cr3": "raw shot",
+        "raw/skip/other.cr3": "excluded",
+      });
+      const progress = [];
+      const result = await client.uploadDirectory(dir, "G2", {
+        include: ["*.jpg", "*.cr3"],
+        exclude: "skip",
+        onProgress: ({ completed, total }) => progress.push([completed, total]),
+      });
+      assert.deepEqual(
+        result.files.map(({ path, status, mediaId }) => [
+          path,
+          status,
+          status === "skipped" ? mediaId : typeof mediaId,
+        ]),
+        [
+          ["new.jpg", "uploaded", "string"],
+          ["photo-3.jpg", "skipped", "I3"],
+          ["raw/shot.cr3", "uploaded", "string"],
+        ]
+      );
+      assert.equal(result.files[1].reason, "duplicate filename");
+      assert.deepEqual(
+        [result.uploaded, result.skipped, result.failed],
+        [2, 1, 0]
+      );
+      assert.deepEqual(progress, [
+        [1, 3],
+        [2, 3],
+        [3, 3],
+      ]);
+      assert.deepEqual(galleryFiles("G2"), [
+        "photo-3.jpg",
+        "new.jpg",
+        "shot.cr3",
+      ]);
+    });
+
+    test("skips files with the contents of an upload", async () => {
+      const client = await loggedIn();
+      await files({
+        "a/copy.jpg": "contents of photo 3",
+        "a/twin.jpg": "same bytes",
+        "b/twin-2.jpg": "same bytes",
+      });
+      const result = await client.uploadDirectory(dir, "G2", {
+        dedupe: "checksum",
+      });
+      const [copy, twin, twin2] = result.files;
+      assert.deepEqual(copy, {
+        path: "a/copy.jpg",
+        status: "skipped",
+        mediaId: "I3",
+        reason: "duplicate checksum",
+      });
+      // Either twin may be checksummed first, the other waits for its upload
+      const [uploaded, skipped] =
+        twin.status === "uploaded" ? [twin, twin2] : [twin2, twin];
+      assert.equal(uploaded.status, "uploaded");
+      assert.equal(skipped.status, "skipped");
+      assert.equal(skipped.mediaId, uploaded.mediaId);
+      assert.equal(galleryFiles("G2").length, 2);
+    });
+
+    test("uploads a duplicate whose first upload failed", async () => {
+      const client = await loggedIn();
+      await files({ "a/y.jpg": "first y", "b/y.jpg": "second y" });
+      server.inject({ method: "POST", path: "/media", status: 500, times: 1 });
+      const result = await client.uploadDirectory(dir, "G2");
+      assert.deepEqual(
+        result.files.map(({ path, status }) => [path, status]),
+        [
+          ["a/y.jpg", "failed"],
+          ["b/y.jpg", "uploaded"],
+        ]
+      );
+      assert.ok(result.files[0].error);
+      assert.deepEqual(galleryFiles("G2"), ["photo-3.jpg", "y.jpg"]);
+    });
+  });
+
+  describe("batchDownload", () => {
+    const downloads = () =>
+      server.requests.filter(({ path }) => path === "/media/batch/download");
+
+    test("polls the job with backoff and saves the archive", async () => {
+      const client = await loggedIn();
+      server.archivePolls = 2;
+      const statuses = [];
+      const result = await client.batchDownload(["I1", "I2", "I9"], {
+        path: join(dir, "archive.zip"),
+        size: "large",
+        format: "PNG",
+        pollInterval: 20,
+        onStatus: (job) => statuses.push(job.status),
+      });
+      assert.deepEqual(result.option, { size: "large", format: "png" });
+      assert.deepEqual(result.included, ["I1", "I2"]);
+      assert.deepEqual(result.failed, [
+        { id: "I9", reason: "Media not found" },
+      ]);
+      assert.equal(
+        await readFile(join(dir, "archive.zip"), "utf8"),
+        "contents of photo 1contents of photo 2"
+      );
+      assert.deepEqual(statuses, ["pending", "pending", "ready"]);
+
+      const polls = downloads();
+      assert.deepEqual(
+        polls.map(({ query }) => [query.size, query.format, query.job_id]),
+        [
+          ["large", "png", undefined],
+          ["large", "png", "archive-1"],
+          ["large", "png", "archive-1"],
+        ]
+      );
+      // The archive links back into the API, so it is fetched with the token
+      const fetched = server.requests.at(-1);
+      assert.equal(fetched.path, "/media/batch/download/archives/archive-1");
+      assert.ok(fetched.headers["x-ps-auth-token"]);
+    });
+
+    test("waits longer between each poll", async () => {
+      const client = await loggedIn();
+      server.archivePolls = 2;
+      const times = [];
+      await client.batchDownload(["I1"], {
+        path: join(dir, "archive.zip"),
+        pollInterval: 30,
+        onStatus: () => times.push(Date.now()),
+      });
+      assert.deepEqual(
+        downloads().map(({ query }) => query.size),
+        ["original", "original", "original"]
+      );
+      assert.ok(times[1] - times[0] >= 25, `${times[1] - times[0]}ms`);
+      assert.ok(times[2] - times[1] >= 55, `${times[2] - times[1]}ms`);
+    });
+
+    test("rejects an option that is not offered", async () => {
+      const client = await loggedIn();
+      await assert.rejects(
+        client.batchDownload(["I1"], {
+          path: join(dir, "archive.zip"),
+          size: "huge",
+        }),
+        (error) =>
+          error instanceof ValidationError &&
+          /No batch download option for huge\. Available: original, large\/jpg/.test(
+            error.message
+          )
+      );
+      assert.deepEqual(downloads(), []);
+    });
+
+    test("gives up after maxWait", async () => {
+      const client = await loggedIn();
+      server.archivePolls = 100;
+      await assert.rejects(
+        client.batchDownload(["I1"], {
+          path: join(dir, "archive.zip"),
+          pollInterval: 10,
+          maxWait: 50,
+        }),
+        (error) =>
+          error instanceof TimeoutError &&
+          /Archive not ready after 50ms/.test(error.message)
+      );
+      assert.ok(downloads().length < 5);
+    });
+
+    test("reports a failed job", async () => {
+      const client = await loggedIn();
+      server.archivePolls = 0;
+      await assert.rejects(
+        client.batchDownload(["I9"], { path: join(dir, "archive.zip") }),
+        (error) =>
+          error instanceof PhotoShelterError &&
+          /Batch download failed/.test(error.message) &&
+          error.errors[0].id === "I9"
+      );
+      await assert.rejects(readFile(join(dir, "archive.zip")));
+    });
+
+    test("fetches a CDN archive without the token", async () => {
+      const cdnUrl = "https://cdn.example.com";
+      const cdn = await createMockServer({
+        fixtures,
+        redirectDownloads: true,
+        cdnUrl,
+      });
+      try {
+        const client = PhotoShelterV4API("key", {
+          baseUrl: cdn.baseUrl,
+          fetch: (url, init) =>
+            fetch(String(url).replace(cdnUrl, cdn.baseUrl), init),
+        });
+        await client.authenticate.login("plain@example.com", "secret");
+        await client.batchDownload(["I3"], { path: join(dir, "archive.zip") });
+        assert.equal(
+          await readFile(join(dir, "archive.zip"), "utf8"),
+          "contents of photo 3"
+        );
+        const fetched = cdn.requests.at(-1);
+        assert.equal(fetched.path, "/cdn/archives/archive-1");
+        assert.equal(fetched.headers["x-ps-auth-token"], undefined);
+        assert.equal(fetched.headers.authorization, undefined);
+      } finally {
+        await cdn.close();
+      }
+    });
+  });
+
+  describe("exportInventory", () => {
+    const mediaRows = async (client, settings) => {
+      const chunks = await collectAll(
+        client.exportInventory({
+          format: "ndjson",
+          types: ["media"],
+          columns: ["id", "path", "parent_id"],
+          ...settings,
+        })
+      );
+      return chunks.join("").trim().split("\n").map(JSON.parse);
+    };
+
+    test("lists the galleries each media appears in", async () => {
+      const client = await loggedIn();
+      assert.deepEqual(await mediaRows(client), [
+        {
+          id: "I1",
+          path: "Work / Events | Archive / Events | Shared",
+          parent_id: "G1 | G3",
+        },
+        { id: "I2", path: "Work / Events | Archive / Events", parent_id: "G1" },
+        { id: "I3", path: "Portraits", parent_id: "G2" },
+        { id: "I4", path: "Shared", parent_id: "G3" },
+      ]);
+    });
+
+    test("skips gallery contents without placements", async () => {
+      const client = await loggedIn();
+      const rows = await mediaRows(client, { placements: false });
+      assert.deepEqual(
+        rows.map((row) => row.path),
+        ["", "", "", ""]
+      );
+      assert.equal(
+        server.requests.some((request) =>
+          /^\/galleries\/.+\/children$/.test(request.path)
+        ),
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { PhotoShelterV4API, ValidationError, createQuery } from "../main.js";
+
+describe("createQuery", () => {
+  test("a date-only end covers the whole day", () => {
+    const params = createQuery("media")
+      .dateRange("captured_at", "2024-01-01", "2024-06-30")
+      .toParams();
+    assert.deepEqual(params, {
+      "filter[captured_at][gte]": "2024-01-01T00:00:00.000Z",
+      "filter[captured_at][lt]": "2024-07-01T00:00:00.000Z",
+    });
+  });
+
+  test("an end with a time is kept as given", () => {
+    const params = createQuery("media")
+      .dateRange("created_at", null, "2024-06-30T12:00:00Z")
+      .toParams();
+    assert.deepEqual(params, {
+      "filter[created_at][lte]": "2024-06-30T12:00:00.000Z",
+    });
+  });
+
+  test("a one-day range is valid", () => {
+    const params = createQuery("media")
+      .dateRange("updated_at", "2024-06-30", "2024-06-30")
+      .toParams();
+    assert.equal(params["filter[updated_at][lt]"], "2024-07-01T00:00:00.000Z");
+  });
+
+  test("is rejected by an endpoint of another target", async () => {
+    const requests = [];
+    const client = PhotoShelterV4API("key", {
+      fetch: async (url) => {
+        requests.push(url);
+        return Response.json({ data: [] });
+      },
+    });
+    const query = createQuery("search").keywords("sunset");
+    await assert.rejects(
+      client.media.getAll(query),
+      (error) =>
+        error instanceof ValidationError &&
+        /"search" query cannot be sent to \/media, use createQuery\("media"\)/.test(
+          error.message
+        )
+    );
+    await assert.rejects(
+      client.search.iterate(createQuery("media")).next(),
+      ValidationError
+    );
+    assert.deepEqual(requests, []);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createScheduler } from "../main.js";
+
+// A task that finishes when told to, recording the order tasks start in
+const gate = (started, name) => {
+  let open;
+  const done = new Promise((resolve) => (open = resolve));
+  const task = async () => {
+    started.push(name);
+    await done;
+    return name;
+  };
+  return { task, open };
+};
+
+describe("createScheduler", () => {
+  test("spaces out starts to the rate limit", async () => {
+    const scheduler = createScheduler({ requestsPerSecond: 20 });
+    const starts = [];
+    await Promise.all(
+      [1, 2, 3].map(() =>
+        scheduler.schedule(async () => starts.push(Date.now()))
+      )
+    );
+    for (let i = 1; i < starts.length; i++) {
+      assert.ok(
+        starts[i] - starts[i - 1] >= 45,
+        `${starts[i] - starts[i - 1]}ms`
+      );
+    }
+  });
+
+  test("keeps at most maxConcurrent tasks in flight", async () => {
+    const scheduler = createScheduler({ maxConcurrent: 2 });
+    const started = [];
+    const gates = ["a", "b", "c"].map((name) => gate(started, name));
+    const results = Promise.all(
+      gates.map(({ task }) => scheduler.schedule(task))
+    );
+    await sleep(10);
+    assert.deepEqual(started, ["a", "b"]);
+    assert.deepEqual(scheduler.stats(), {
+      inFlight: 2,
+      queued: 1,
+      interactive: 1,
+      background: 0,
+    });
+    gates[0].open();
+    await sleep(10);
+    assert.deepEqual(started, ["a", "b", "c"]);
+    gates.forEach(({ open }) => open());
+    assert.deepEqual(await results, ["a", "b", "c"]);
+    assert.equal(scheduler.stats().inFlight, 0);
+  });
+
+  test("runs queued interactive work before background work", async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const first = gate(started, "first");
+    const queued = [
+      scheduler.schedule(first.task),
+      scheduler.schedule(async () => started.push("background"), {
+        priority: "background",
+      }),
+      scheduler.schedule(async () => started.push("interactive")),
+    ];
+    assert.deepEqual(scheduler.stats(), {
+      inFlight: 1,
+      queued: 2,
+      interactive: 1,
+      background: 1,
+    });
+    first.open();
+    await Promise.all(queued);
+    assert.deepEqual(started, ["first", "interactive", "background"]);
+  });
+
+  test("drops a task aborted while queued", async () => {
+    const scheduler = createScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const first = gate(started, "first");
+    const controller = new AbortController();
+    const running = scheduler.schedule(first.task);
+    const aborted = scheduler.schedule(async () => started.push("aborted"), {
+      signal: controller.signal,
+    });
+    controller.abort(new Error("stop"));
+    await assert.rejects(aborted, /stop/);
+    assert.equal(scheduler.stats().queued, 0);
+    first.open();
+    await running;
+    assert.deepEqual(started, ["first"]);
+    await assert.rejects(
+      scheduler.schedule(async () => {}, { signal: controller.signal }),
+      /stop/
+    );
+  });
+
+  test("rejects an unknown priority", async () => {
+    const scheduler = createScheduler();
+    await assert.rejects(
+      scheduler.schedule(async () => {}, { priority: "urgent" }),
+      TypeError
+    );
+  });
+});